@@ -0,0 +1,292 @@
+#!/usr/bin/env node
+/* cli.js
+   KPI report from the command line, computed by the same core as the dashboard
+   (core.js), so nightly jobs get the numbers the dashboard shows.
+   Needs the papaparse and jszip packages (xlsx too for workbooks):
+     npm install papaparse jszip
+     node cli.js sales.csv --date Date --from 2024-01-01 --format markdown --out report.md
+     node cli.js june.csv --recipe cleaning_recipe.json
+     node cli.js sales.csv --fx rates.csv --fx-to EUR --formulas formulas.json
+   Run `node cli.js --help` for every option.
+*/
+
+const fs = require('fs');
+const path = require('path');
+const { File } = require('buffer');
+
+globalThis.Papa = require('papaparse');
+globalThis.JSZip = require('jszip');
+try{ globalThis.XLSX = require('xlsx'); } catch(e){ /* only needed for workbooks */ }
+
+const core = require('./core.js');
+
+const ROLES = ['sales','cost','profit','date','region','product','customer','channel','units','currency'];
+const FORMATS = ['json','csv','markdown'];
+
+const USAGE = `Usage: node cli.js <file> [options]
+
+<file> is a CSV/TSV, Excel, JSON or NDJSON file, or a ZIP holding them.
+
+Column mapping (detected from the headers unless given; '' unmaps a role):
+  --sales COL  --cost COL  --profit COL  --date COL  --region COL
+  --product COL  --customer COL  --channel COL  --units COL  --currency COL
+
+Filters:
+  --from YYYY-MM-DD  --to YYYY-MM-DD   date range (needs a date column)
+  --filter COL=V1,V2                   keep rows whose COL is one of the values (repeatable)
+  --range COL=MIN:MAX                  keep rows whose COL is within MIN..MAX; either end may be empty (repeatable)
+
+ZIP archives:
+  --files A.csv,B.csv                  entries to load and append (first supported entry by default)
+  --join FILE:KEY                      left-join a lookup table from the archive by column KEY
+  --sheet NAME                         worksheet to read from the workbook, or from each --files entry (first sheet by default)
+
+Cleaning:
+  --recipe FILE                        cleaning recipe saved from the dashboard (JSON), applied before the mapping is detected
+
+Currency and formulas:
+  --fx FILE                            FX rates CSV (currency codes and rates, as for the dashboard's Format menu)
+  --fx-to CODE                         currency to convert amounts to (default: the one in the sales column, else INR)
+  --formulas FILE                      calculated columns and KPI measures (JSON {columns: [{name, formula}], measures: [{name, formula}]})
+
+Output:
+  --gran day|week|month|quarter|year   time-series granularity (default month)
+  --top N                              rows per top-N table (default 10)
+  --format json|csv|markdown           (default json)
+  --out FILE                           write to FILE instead of stdout
+`;
+
+// --name value pairs; --filter and --range may repeat
+function parseArgs(argv){
+  const opts = { mapping: {}, values: {}, ranges: {}, gran: 'month', top: 10, format: 'json' };
+  const value = (i, name)=>{
+    if(i >= argv.length) throw new Error('Missing value for --' + name);
+    return argv[i];
+  };
+  const pair = (s, name)=>{
+    const i = s.indexOf('=');
+    if(i < 1) throw new Error('--' + name + ' expects COL=…, got "' + s + '"');
+    return [s.slice(0, i), s.slice(i + 1)];
+  };
+  for(let i=0;i<argv.length;i++){
+    const a = argv[i];
+    if(a === '-h' || a === '--help'){ opts.help = true; continue; }
+    if(!a.startsWith('--')){
+      if(opts.file) throw new Error('Only one input file is supported, got "' + a + '" too');
+      opts.file = a;
+      continue;
+    }
+    const name = a.slice(2), v = value(++i, name);
+    if(ROLES.includes(name)) opts.mapping[name] = v;
+    else if(name === 'from' || name === 'to'){
+      if(!/^\d{4}-\d{2}-\d{2}$/.test(v)) throw new Error('--' + name + ' expects YYYY-MM-DD, got "' + v + '"');
+      opts[name] = v;
+    }
+    else if(name === 'filter'){ const [c, list] = pair(v, name); opts.values[c] = list.split(','); }
+    else if(name === 'range'){
+      const [c, span] = pair(v, name), ends = span.split(':');
+      if(ends.length !== 2) throw new Error('--range expects COL=MIN:MAX, got "' + v + '"');
+      opts.ranges[c] = { min: ends[0], max: ends[1] };
+    }
+    else if(name === 'files') opts.files = v.split(',');
+    else if(name === 'join'){
+      const i = v.lastIndexOf(':');
+      if(i < 1) throw new Error('--join expects FILE:KEY, got "' + v + '"');
+      opts.join = { file: v.slice(0, i), key: v.slice(i + 1) };
+    }
+    else if(name === 'sheet') opts.sheet = v;
+    else if(name === 'recipe') opts.recipe = v;
+    else if(name === 'fx') opts.fx = v;
+    else if(name === 'fx-to'){
+      if(!/^[A-Za-z]{3}$/.test(v)) throw new Error('--fx-to expects a currency code such as EUR, got "' + v + '"');
+      opts.fxTo = v.toUpperCase();
+    }
+    else if(name === 'formulas') opts.formulas = v;
+    else if(name === 'gran'){
+      if(!core.GRANULARITIES[v]) throw new Error('--gran must be one of ' + Object.keys(core.GRANULARITIES).join(', '));
+      opts.gran = v;
+    }
+    else if(name === 'top'){
+      opts.top = Number(v);
+      if(!Number.isInteger(opts.top) || opts.top < 1) throw new Error('--top expects a positive whole number');
+    }
+    else if(name === 'format'){
+      if(!FORMATS.includes(v)) throw new Error('--format must be one of ' + FORMATS.join(', '));
+      opts.format = v;
+    }
+    else if(name === 'out') opts.out = v;
+    else throw new Error('Unknown option --' + name);
+  }
+  return opts;
+}
+
+// range ends as the column stores them: day keys for dates, numbers otherwise
+function rangeEnds(r, cs, col){
+  const read = v =>{
+    if(v === '') return null;
+    if(cs && cs.type === 'date'){
+      if(!/^\d{4}-\d{2}-\d{2}$/.test(v)) throw new Error('--range on date column ' + col + ' expects YYYY-MM-DD ends');
+      return v;
+    }
+    const n = core.parseNumber(v);
+    if(isNaN(n)) throw new Error('--range on ' + col + ': "' + v + '" is not a number');
+    return n;
+  };
+  return { min: read(r.min), max: read(r.max) };
+}
+
+// the steps of a recipe file: {steps: […]} as the dashboard saves it, or a bare array
+function readRecipe(file){
+  let st;
+  try{ st = JSON.parse(fs.readFileSync(file, 'utf8')); }
+  catch(e){ throw new Error('Could not read recipe ' + file + ': ' + e.message); }
+  const steps = Array.isArray(st) ? st : st && st.steps;
+  if(!Array.isArray(steps)) throw new Error('No steps in recipe ' + file);
+  return steps;
+}
+
+// rates by currency code from an FX CSV
+function readFxRates(file){
+  let text;
+  try{ text = fs.readFileSync(file, 'utf8'); }
+  catch(e){ throw new Error('Could not read FX rates ' + file + ': ' + e.message); }
+  const res = Papa.parse(text, { header: true, skipEmptyLines: true });
+  try{ return core.parseFxRates(res.meta.fields || [], res.data); }
+  catch(e){ throw new Error('FX rates ' + file + ': ' + e.message); }
+}
+
+// {columns, measures} from a formulas file; either list may be missing
+function readFormulas(file){
+  let st;
+  try{ st = JSON.parse(fs.readFileSync(file, 'utf8')); }
+  catch(e){ throw new Error('Could not read formulas ' + file + ': ' + e.message); }
+  const list = v => Array.isArray(v) ? v.filter(x=> x && typeof x === 'object') : [];
+  if(!st || typeof st !== 'object' || !(Array.isArray(st.columns) || Array.isArray(st.measures))) throw new Error('No columns or measures in formulas ' + file);
+  return { columns: list(st.columns), measures: list(st.measures) };
+}
+
+// the rows through the recipe, with the mapping detected again on the cleaned columns
+function clean(data, steps){
+  const t = core.applyRecipe(data, steps);
+  t.errors.forEach((msg, i)=>{ if(msg) process.stderr.write('Warning: recipe step ' + (i + 1) + ' skipped: ' + msg + '\n'); });
+  return Object.assign({}, data, { cols: t.cols, rows: t.rows, schema: t.schema, mapping: core.detectMapping(t.cols, t.schema) });
+}
+
+// detected mapping with the --role flags on top, checked against the columns
+function resolveMapping(data, given){
+  const mapping = Object.assign({}, data.mapping);
+  for(const role in given){
+    if(given[role] && !data.cols.includes(given[role])) throw new Error('Unknown column for --' + role + ': ' + given[role] + ' (columns: ' + data.cols.join(', ') + ')');
+    mapping[role] = given[role];
+  }
+  return mapping;
+}
+
+// long table of every number in the report: table, name, metric, value
+function reportRows(report){
+  const rows = [];
+  const k = report.kpis;
+  ['revenue','profit','orders','aov'].forEach(m=> rows.push({ table:'kpis', name:'', metric: m, value: k[m] }));
+  (report.measures || []).forEach(m=> rows.push({ table:'measures', name: m.name, metric:'value', value: m.value }));
+  if(report.series){
+    report.series.labels.forEach((l,i)=>{
+      rows.push({ table:'series_' + report.series.gran, name: l, metric:'revenue', value: report.series.revenue[i] });
+      rows.push({ table:'series_' + report.series.gran, name: l, metric:'orders', value: report.series.orders[i] });
+    });
+  }
+  for(const t in report.top) report.top[t].forEach(e=> rows.push({ table:'top_' + t, name: e.name, metric:'revenue', value: e.revenue }));
+  return rows;
+}
+
+const num = x => x !== null && isFinite(x) ? String(Math.round(x * 100) / 100) : '';
+const cell = v => String(v).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+
+function markdownTable(head, rows){
+  return ['| ' + head.map(cell).join(' | ') + ' |', '|' + head.map((h,i)=> i ? ' ---: ' : ' --- ').join('|') + '|']
+    .concat(rows.map(r=> '| ' + r.map(cell).join(' | ') + ' |')).join('\n');
+}
+
+function toMarkdown(report){
+  const k = report.kpis;
+  const out = ['# KPI report: ' + report.file, ''];
+  const filters = [];
+  if(report.filters.from || report.filters.to) filters.push('date ' + (report.filters.from || '…') + ' – ' + (report.filters.to || '…'));
+  for(const c in report.filters.values) filters.push(c + ' in ' + report.filters.values[c].join(', '));
+  for(const c in report.filters.ranges){ const r = report.filters.ranges[c]; filters.push(c + ' ' + (r.min === null ? '…' : r.min) + ' – ' + (r.max === null ? '…' : r.max)); }
+  out.push('Rows: ' + report.rows + (filters.length ? ' (filtered: ' + filters.join('; ') + ')' : ''), '');
+  if(report.fx) out.push('Amounts converted to ' + report.fx.to + ' with the rates in ' + report.fx.file + '.', '');
+  out.push('## KPIs', '', markdownTable(['KPI','Value'], [['Revenue', num(k.revenue) || '—'], ['Profit', num(k.profit) || '—'], ['Orders', num(k.orders)], ['AOV', num(k.aov) || '—']]), '');
+  if(report.measures) out.push('## Measures', '', markdownTable(['Measure','Value'], report.measures.map(m=> [m.name, num(m.value) || '—'])), '');
+  if(report.series){
+    out.push('## Revenue and orders by ' + report.series.gran, '', markdownTable([core.GRANULARITIES[report.series.gran], 'Revenue', 'Orders'],
+      report.series.labels.map((l,i)=> [l, num(report.series.revenue[i]), num(report.series.orders[i])])), '');
+  }
+  for(const t in report.top){
+    out.push('## Top ' + t, '', markdownTable([t.charAt(0).toUpperCase() + t.slice(1, -1), 'Revenue'], report.top[t].map(e=> [e.name, num(e.revenue)])), '');
+  }
+  return out.join('\n');
+}
+
+function format(report, kind){
+  if(kind === 'csv') return Papa.unparse(reportRows(report).map(r=> Object.assign({}, r, { value: num(r.value) })), { columns: ['table','name','metric','value'] }) + '\n';
+  if(kind === 'markdown') return toMarkdown(report);
+  return JSON.stringify(report, null, 2) + '\n';
+}
+
+async function main(){
+  const opts = parseArgs(process.argv.slice(2));
+  if(opts.help){
+    process.stdout.write(USAGE);
+    return;
+  }
+  // without a file the usage is an error message: keep it out of a redirected report
+  if(!opts.file){
+    process.stderr.write('Error: no input file\n\n' + USAGE);
+    process.exitCode = 2;
+    return;
+  }
+  const name = path.basename(opts.file);
+  if(!name.toLowerCase().endsWith('.zip') && !core.importKind(name)) throw new Error('Unsupported file type: ' + name);
+  const file = new File([fs.readFileSync(opts.file)], name);
+  const plan = {};
+  if(opts.files) plan.files = opts.files;
+  if(opts.join) plan.join = opts.join;
+  if(opts.sheet){
+    plan.sheets = { [name]: opts.sheet };
+    (opts.files || []).forEach(f=> plan.sheets[f] = opts.sheet);
+  }
+  const steps = opts.recipe ? readRecipe(opts.recipe) : null;
+  const rates = opts.fx ? readFxRates(opts.fx) : null;
+  const formulas = opts.formulas ? readFormulas(opts.formulas) : null;
+  if(opts.fxTo && !rates) throw new Error('--fx-to needs an FX rates file (--fx FILE)');
+  let data = await core.loadDataset(file, plan);
+  if(!data.cols.length) throw new Error('No rows found in ' + name);
+  if(data.errorCount){
+    const first = data.errors[0];
+    process.stderr.write('Warning: ' + data.errorCount + ' parse error(s); first: ' + first.file + (first.line ? ' line ' + first.line : first.rowNumber ? ' row ' + first.rowNumber : '') + ': ' + first.message + '\n');
+  }
+
+  if(steps) data = clean(data, steps);
+  // calculated columns first, so the role flags and filters can name them as in the dashboard
+  if(formulas) data = core.withCalcColumns(data, formulas.columns);
+  const mapping = resolveMapping(data, opts.mapping);
+  if((opts.from || opts.to) && !mapping.date) throw new Error('--from/--to need a date column (--date COL)');
+  const ranges = {};
+  for(const c of Object.keys(opts.values).concat(Object.keys(opts.ranges))){
+    if(!data.cols.includes(c)) throw new Error('Unknown filter column: ' + c);
+  }
+  for(const c in opts.ranges) ranges[c] = rangeEnds(opts.ranges[c], data.schema[c], c);
+  const filters = { from: opts.from || '', to: opts.to || '', values: opts.values, ranges };
+
+  const fx = core.fxSpec(rates, mapping, data.schema, opts.fxTo);
+  const summary = core.summarize(data, mapping, filters, { gran: opts.gran, top: opts.top, fx, formulas: formulas && { measures: formulas.measures } });
+  const report = Object.assign({ file: name, mapping, filters }, fx ? { fx: { file: path.basename(opts.fx), to: fx.to } } : {}, summary);
+  const text = format(report, opts.format);
+  if(opts.out) fs.writeFileSync(opts.out, text);
+  else process.stdout.write(text);
+}
+
+main().catch(err=>{
+  process.stderr.write('Error: ' + (err.message || err) + '\n');
+  process.exitCode = 1;
+});
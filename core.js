@@ -0,0 +1,2069 @@
+/* core.js
+   The dashboard's DOM-free core: file loading (streamed, in a Web Worker on a
+   page), type, date and column-role detection, filters, aggregation, pivots,
+   correlation, forecasting, data quality, formulas and cleaning recipes.
+   On a page, load it before script.js, whose dashboards use it (it is
+   window.DashboardCore, and Dashboard.core once script.js has run):
+     <script src="core.js"></script>
+     <script src="script.js"></script>
+   Under Node, require('./core.js') returns it; cli.js builds its KPI reports on
+   it. Loading files needs the papaparse and jszip globals (xlsx for workbooks):
+   a page gets them through the loader script.js sets, Node callers set them.
+*/
+
+(function dashboardCore(){
+  // Config: CDN URLs for libraries
+  const CDN = {
+    papaparse: "https://cdn.jsdelivr.net/npm/papaparse@5.4.1/papaparse.min.js",
+    jszip:    "https://cdn.jsdelivr.net/npm/jszip@3.10.1/dist/jszip.min.js",
+    chart:    "https://cdn.jsdelivr.net/npm/chart.js@4.4.0/dist/chart.umd.min.js",
+    xlsx:     "https://cdn.jsdelivr.net/npm/xlsx@0.18.5/dist/xlsx.full.min.js"
+  };
+  // global each library defines, for libraries loaded on demand (needLib)
+  const LIB_GLOBALS = { papaparse:'Papa', jszip:'JSZip', chart:'Chart', xlsx:'XLSX' };
+
+  // Load an optional library the first time a feature needs it, through the loader a
+  // page sets with setLibLoader (script.js does); without one, e.g. under Node, the
+  // caller must have set the global itself
+  let libLoader = null;
+  function setLibLoader(load){
+    libLoader = load;
+  }
+  function needLib(key){
+    if(globalThis[LIB_GLOBALS[key]]) return Promise.resolve();
+    if(!libLoader) return Promise.reject(new Error(LIB_GLOBALS[key] + ' is not loaded (the ' + key + ' package)'));
+    return libLoader(CDN[key]);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Pure data helpers. Nothing below touches the DOM: the parse worker is
+  // assembled from their source text (see workerSource), so each one may only
+  // call other helpers listed in WORKER_HELPERS.
+  // ---------------------------------------------------------------------------
+
+  // bytes handed to PapaParse per chunk while streaming a file
+  const STREAM_CHUNK = 2 * 1024 * 1024;
+  // parse errors passed on per batch (and kept per load); the rest are only counted
+  const MAX_PARSE_ERRORS = 1000;
+  // distinct values per column shared between loaded rows (see chunkUnpacker)
+  const INTERN_MAX = 5000;
+
+  // sanitize column name into JS-friendly
+  function cleanName(s){
+    return String(s||'').trim().replace(/\s+/g,'_').replace(/[\/%()]/g,'').slice(0,60);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Column types. inferSchema looks at a sample of each column and settles on
+  // number, currency, percent, date, category or text, together with the
+  // decimal/thousands separators and currency numbers are written with. The
+  // schema panel lets the user correct any of it; every numeric read of a cell
+  // then goes through parseNumber with that column's settings.
+  // ---------------------------------------------------------------------------
+
+  const COLUMN_TYPES = ['number','currency','percent','date','category','text'];
+
+  function isNumericType(t){
+    return t === 'number' || t === 'currency' || t === 'percent';
+  }
+
+  // currency symbol or ISO code written in a cell, '' when there is none
+  function currencyOf(s){
+    const m = String(s).match(/US\$|A\$|C\$|R\$|HK\$|S\$|Rs\.?|[$€£₹¥₩₽₺₫฿₦₱]|\b(?:USD|EUR|GBP|INR|JPY|CNY|AUD|CAD|CHF|SEK|NOK|DKK|SGD|HKD|NZD|ZAR|BRL|MXN|AED|SAR)\b/);
+    return m ? m[0] : '';
+  }
+
+  // ISO code for a currency symbol or code as written in a cell ('' when it is neither)
+  const CURRENCY_SYMBOLS = { '$':'USD', 'US$':'USD', 'A$':'AUD', 'C$':'CAD', 'R$':'BRL', 'HK$':'HKD', 'S$':'SGD', 'Rs':'INR', 'Rs.':'INR',
+    '€':'EUR', '£':'GBP', '₹':'INR', '¥':'JPY', '₩':'KRW', '₽':'RUB', '₺':'TRY', '₫':'VND', '฿':'THB', '₦':'NGN', '₱':'PHP' };
+  function currencyCode(v){
+    const s = String(v == null ? '' : v).trim();
+    if(CURRENCY_SYMBOLS[s]) return CURRENCY_SYMBOLS[s];
+    return /^[a-z]{3}$/i.test(s) ? s.toUpperCase() : '';
+  }
+
+  // Currency conversion. An FX table maps ISO codes to the value of one unit in a
+  // common base currency, so an amount converts as rates[from] / rates[to]; a target
+  // missing from the table is taken to be the base. fx = {col, to, rates, cols}: the
+  // currency of a row comes from column `col`, or from the symbol written in the amount
+  // cell when no column is mapped; `cols` are the amount columns to convert. Amounts in
+  // currencies the table does not know are left as they are.
+  function fxFactor(fx, row, col){
+    const from = currencyCode(fx.col ? row[fx.col] : currencyOf(row[col]));
+    if(!from || from === fx.to || !fx.rates[from]) return 1;
+    return fx.rates[from] / (fx.rates[fx.to] || 1);
+  }
+
+  // the currency amounts are shown in: the chosen one, or for 'auto' the one written in
+  // the sales column, else INR
+  function targetCurrency(chosen, schema, salesCol){
+    if(chosen && chosen !== 'auto') return chosen;
+    const cs = schema[salesCol];
+    return (cs && currencyCode(cs.currency)) || 'INR';
+  }
+
+  // fx for a mapping from a table of rates (see fxFactor), or null without rates
+  function fxSpec(rates, mapping, schema, chosen){
+    if(!rates) return null;
+    return { col: mapping.currency || '', to: targetCurrency(chosen, schema, mapping.sales), rates, cols: [mapping.sales, mapping.cost, mapping.profit].filter(Boolean) };
+  }
+
+  // FX rates from a parsed CSV table: the first column of currency codes/symbols and
+  // the first other column of positive numbers (see fxFactor)
+  function parseFxRates(fields, rows){
+    const share = (f, test)=> rows.filter(r=> test(r[f])).length / (rows.length || 1);
+    const codeCol = fields.find(f=> share(f, v=> !!currencyCode(v)) >= 0.8);
+    const rateCol = fields.find(f=> f !== codeCol && share(f, v=> parseNumber(v) > 0) >= 0.8);
+    if(!rows.length || !codeCol || !rateCol) throw new Error('Expected a column of currency codes and a column of rates');
+    const rates = {};
+    rows.forEach(r=>{ const c = currencyCode(r[codeCol]), n = parseNumber(r[rateCol]); if(c && n > 0) rates[c] = n; });
+    return rates;
+  }
+
+  // Parse a number written with the given separators (fmt: {decimal, thousands}).
+  // Understands currency symbols/codes, (450) and trailing-minus negatives,
+  // percentages (12% → 0.12) and K/M/B/Cr suffixes (1.2k → 1200).
+  function parseNumber(v, fmt){
+    if(v===null || v===undefined) return NaN;
+    if(typeof v === 'number') return isFinite(v) ? v : NaN;
+    const decimal = (fmt && fmt.decimal) || '.';
+    const thousands = fmt && fmt.thousands !== undefined ? fmt.thousands : (decimal === ',' ? '.' : ',');
+    let s = String(v).replace(/\s+/g,'');
+    if(!s) return NaN;
+    let neg = false;
+    if(s[0] === '(' && s[s.length-1] === ')'){ neg = true; s = s.slice(1,-1); }
+    s = s.replace(/US\$|A\$|C\$|R\$|HK\$|S\$|Rs\.?|[$€£₹¥₩₽₺₫฿₦₱]|(?:USD|EUR|GBP|INR|JPY|CNY|AUD|CAD|CHF|SEK|NOK|DKK|SGD|HKD|NZD|ZAR|BRL|MXN|AED|SAR)/g,'');
+    if(s[0] === '-' || s[0] === '−'){ neg = !neg; s = s.slice(1); }
+    else if(s[s.length-1] === '-'){ neg = !neg; s = s.slice(0,-1); }
+    else if(s[0] === '+') s = s.slice(1);
+    let scale = 1;
+    if(s[s.length-1] === '%'){ scale = 0.01; s = s.slice(0,-1); }
+    const suffix = s.match(/(k|mn|m|bn|b|cr)$/i);
+    if(suffix){
+      scale *= { k:1e3, m:1e6, mn:1e6, b:1e9, bn:1e9, cr:1e7 }[suffix[1].toLowerCase()];
+      s = s.slice(0, -suffix[1].length);
+    }
+    if(thousands) s = s.split(thousands).join('');
+    s = s.replace(/'/g,'');
+    if(decimal !== '.') s = s.replace(decimal, '.');
+    if(!/^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(s)) return NaN;
+    const n = Number(s) * scale;
+    return isFinite(n) ? (neg ? -n : n) : NaN;
+  }
+
+  // decimal/thousands convention used by a column's values: "1.234,56" and "12,5"
+  // count for comma decimals, "1,234.56" and "12.5" for point decimals
+  function detectSeparators(values){
+    let comma = 0, point = 0;
+    values.forEach(v=>{
+      if(typeof v === 'number') return;
+      const s = String(v).replace(/[^\d.,]/g,'');
+      if(/\d\.\d{3},\d/.test(s) || /^\d+,\d{1,2}$/.test(s) || /\.\d{3}\.\d{3}/.test(s)) comma++;
+      else if(/\d,\d{3}\.\d/.test(s) || /^\d+\.\d{1,2}$/.test(s) || /,\d{3},\d{3}/.test(s) || /^\d*\.\d{4,}$/.test(s)) point++;
+    });
+    return comma > point ? { decimal:',', thousands:'.' } : { decimal:'.', thousands:',' };
+  }
+
+  // Infer one column's type from sample values; confidence is the share of
+  // non-empty values that agree with it
+  function inferColumn(values){
+    const vals = values.filter(v=> v!==null && v!==undefined && String(v).trim() !== '');
+    const base = Object.assign({ type:'text', confidence:0, currency:'' }, detectSeparators(vals));
+    if(!vals.length) return Object.assign(base, { inferred:'text' });
+    let num = 0, pct = 0;
+    const curCounts = {};
+    vals.forEach(v=>{
+      const s = String(v).trim();
+      if(!isNaN(parseNumber(v, base))){
+        num++;
+        if(/%\)?$/.test(s)) pct++;
+        const c = currencyOf(s);
+        if(c) curCounts[c] = (curCounts[c] || 0) + 1;
+      }
+    });
+    const n = vals.length;
+    const topCur = Object.keys(curCounts).sort((a,b)=> curCounts[b]-curCounts[a])[0] || '';
+    let df;
+    if(num / n >= 0.9){
+      base.type = pct / num >= 0.5 ? 'percent' : (topCur && curCounts[topCur] / num >= 0.5 ? 'currency' : 'number');
+      base.confidence = num / n;
+      if(base.type === 'currency') base.currency = topCur;
+    } else if((df = detectDateFormat(vals)).ratio >= 0.8){
+      base.type = 'date'; base.confidence = df.ratio;
+      base.dateFormat = df.format; base.ambiguous = df.ambiguous;
+    } else {
+      const distinct = new Set(vals.map(v=> String(v))).size;
+      const ratio = distinct / n;
+      if(distinct <= 50 || ratio <= 0.2){ base.type = 'category'; base.confidence = Math.max(1 - ratio, distinct <= 50 ? 0.5 : 0); }
+      else { base.type = 'text'; base.confidence = ratio; }
+    }
+    base.confidence = Math.round(base.confidence * 100) / 100;
+    base.inferred = base.type;
+    return base;
+  }
+
+  // { col: {type, inferred, confidence, decimal, thousands, currency, dateFormat, ambiguous, tz} }
+  // from sample rows. Numeric columns named like dates are checked for Excel
+  // serials / Unix timestamps.
+  function inferSchema(cols, sampleRows){
+    const sample = sampleRows.slice(0, 1000);
+    const schema = {};
+    cols.forEach(c=>{
+      const values = sample.map(r=> r[c]);
+      const cs = inferColumn(values);
+      if(cs.type === 'number' && /date|day|dt|time/i.test(c)){
+        const df = detectDateFormat(values);
+        if(df.format === 'excel' || df.format === 'epoch'){ cs.type = cs.inferred = 'date'; cs.dateFormat = df.format; cs.ambiguous = false; }
+      }
+      cs.tz = '';
+      schema[c] = cs;
+    });
+    return schema;
+  }
+
+  // the parts of a schema that change aggregated numbers, over `cols` (default all)
+  function schemaKey(schema, cols){
+    if(!schema) return '';
+    return (cols || Object.keys(schema)).map(c=>{ const s = schema[c] || {}; return [c, s.type, s.decimal, s.thousands, s.dateFormat || '', s.tz || '', s.calc || ''].join(':'); }).join('|');
+  }
+
+  // numeric value of a cell under its column schema
+  function cellNum(v, cs){
+    return cs ? parseNumber(v, cs) : parseNumber(v);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Dates. Each date column carries an explicit format (detectDateFormat picks
+  // one from sample values; the schema panel confirms or overrides it) and a
+  // timezone. Values written without an offset are bucketed on the calendar day
+  // they show; instants (ISO with Z/offset, Unix timestamps) are converted to
+  // the column's timezone first. Day buckets are always 'YYYY-MM-DD' strings.
+  // ---------------------------------------------------------------------------
+
+  const DATE_FORMATS = {
+    iso:   'YYYY-MM-DD (ISO)',
+    ymd:   'YYYY/MM/DD',
+    dmy:   'DD/MM/YYYY',
+    mdy:   'MM/DD/YYYY',
+    excel: 'Excel serial number',
+    epoch: 'Unix timestamp (s / ms)',
+    auto:  'Text (e.g. 5 Jan 2024)'
+  };
+
+  function ymdKey(y, m, d){
+    return String(y).padStart(4,'0') + '-' + String(m).padStart(2,'0') + '-' + String(d).padStart(2,'0');
+  }
+
+  // Calendar parts of a date cell under a format: {y, m, d} for wall-clock
+  // values, {instant} (epoch ms) for values pinned to a moment in time; null
+  // when the cell does not match the format.
+  function parseDateParts(v, fmt){
+    if(v===null || v===undefined || v==='') return null;
+    const s = String(v).trim();
+    const valid = (y, m, d)=> m >= 1 && m <= 12 && d >= 1 && d <= new Date(Date.UTC(y, m, 0)).getUTCDate();
+    const wall = (y, m, d)=> valid(y, m, d) ? { y, m, d } : null;
+    const year = t => t.length === 2 ? (Number(t) < 70 ? 2000 : 1900) + Number(t) : Number(t);
+    let x;
+    switch(fmt){
+      case 'iso':
+        x = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})?)?$/i);
+        if(!x) return null;
+        if(x[7]){
+          const ms = Date.parse(ymdKey(x[1], x[2], x[3]) + 'T' + String(x[4]).padStart(2,'0') + ':' + x[5] + ':' + (x[6] || '00') + (x[7].toUpperCase() === 'Z' ? 'Z' : x[7].replace(/^([+-]\d{2})(\d{2})$/, '$1:$2')));
+          return isNaN(ms) ? null : { instant: ms };
+        }
+        return wall(+x[1], +x[2], +x[3]);
+      case 'ymd':
+        x = s.match(/^(\d{4})[\/.](\d{1,2})[\/.](\d{1,2})(?:[T ,].*)?$/);
+        return x ? wall(+x[1], +x[2], +x[3]) : null;
+      case 'dmy':
+      case 'mdy':
+        x = s.match(/^(\d{1,2})[\/.\-](\d{1,2})[\/.\-](\d{4}|\d{2})(?:[T ,].*)?$/);
+        if(!x) return null;
+        return fmt === 'dmy' ? wall(year(x[3]), +x[2], +x[1]) : wall(year(x[3]), +x[1], +x[2]);
+      case 'excel': {
+        const n = typeof v === 'number' ? v : Number(s);
+        if(!isFinite(n) || n < 1 || n > 2958465) return null;
+        // serials count days from 1899-12-30 (this absorbs Excel's phantom 1900-02-29)
+        const d = new Date(Date.UTC(1899, 11, 30) + Math.floor(n) * 86400000);
+        return { y: d.getUTCFullYear(), m: d.getUTCMonth()+1, d: d.getUTCDate() };
+      }
+      case 'epoch': {
+        const n = typeof v === 'number' ? v : Number(s);
+        if(!isFinite(n) || n < 1e8) return null;
+        return { instant: n > 1e11 ? n : n * 1000 };
+      }
+      default: {
+        if(/^\d+([.,]\d+)?$/.test(s)) return null; // bare numbers are not text dates
+        const ms = Date.parse(s);
+        if(isNaN(ms)) return null;
+        if(/(Z|GMT|UTC|[+-]\d{2}:?\d{2})$/i.test(s)) return { instant: ms };
+        const d = new Date(ms);
+        return { y: d.getFullYear(), m: d.getMonth()+1, d: d.getDate() };
+      }
+    }
+  }
+
+  // calendar day of an instant in a timezone ('' = the browser's own)
+  function instantDay(ms, tz){
+    if(tz === 'UTC') return new Date(ms).toISOString().slice(0,10);
+    const cache = instantDay.fmts || (instantDay.fmts = {});
+    const key = tz || 'local';
+    if(!cache[key]) cache[key] = new Intl.DateTimeFormat('en-CA', { timeZone: tz || undefined, year:'numeric', month:'2-digit', day:'2-digit' });
+    const p = {};
+    cache[key].formatToParts(ms).forEach(x=>{ p[x.type] = x.value; });
+    return p.year + '-' + p.month + '-' + p.day;
+  }
+
+  // YYYY-MM-DD bucket for a date cell under its column schema, '' when unparseable
+  function dayKeyOf(v, cs){
+    const p = parseDateParts(v, (cs && cs.dateFormat) || 'auto');
+    if(!p) return '';
+    return p.instant !== undefined ? instantDay(p.instant, cs && cs.tz) : ymdKey(p.y, p.m, p.d);
+  }
+
+  // Pick the date format that reads the most sample values. DD/MM vs MM/DD is
+  // decided by values with a part above 12; when none has one the result is
+  // flagged `ambiguous` (DD/MM is assumed) so the UI can ask for confirmation.
+  function detectDateFormat(values){
+    const vals = values.filter(v=> v!==null && v!==undefined && String(v).trim() !== '').slice(0, 500);
+    const none = { format:'auto', ratio:0, ambiguous:false };
+    if(!vals.length) return none;
+    const n = vals.length;
+    const count = fmt => vals.reduce((k,v)=> k + (parseDateParts(v, fmt) ? 1 : 0), 0);
+    const numeric = vals.every(v=> typeof v === 'number' || /^\d+(\.\d+)?$/.test(String(v).trim()));
+    if(numeric){
+      const nums = vals.map(Number);
+      if(nums.every(x=> x >= 1e9 && x < 1e13 && (x < 1e10 || x >= 1e12))) return { format:'epoch', ratio:1, ambiguous:false };
+      if(nums.every(x=> x >= 10000 && x <= 80000)) return { format:'excel', ratio:1, ambiguous:false };
+      return none;
+    }
+    for(const fmt of ['iso','ymd']){ const k = count(fmt); if(k / n >= 0.8) return { format:fmt, ratio:k/n, ambiguous:false }; }
+    const dm = count('dmy'), md = count('mdy');
+    if(Math.max(dm, md) / n >= 0.8){
+      let dayFirst = 0, monthFirst = 0;
+      vals.forEach(v=>{
+        const x = String(v).trim().match(/^(\d{1,2})[\/.\-](\d{1,2})[\/.\-]/);
+        if(!x) return;
+        if(+x[1] > 12) dayFirst++; else if(+x[2] > 12) monthFirst++;
+      });
+      const fmt = monthFirst > dayFirst || md > dm ? 'mdy' : 'dmy';
+      return { format:fmt, ratio: (fmt === 'mdy' ? md : dm) / n, ambiguous: dayFirst === 0 && monthFirst === 0 };
+    }
+    const k = count('auto');
+    return { format:'auto', ratio:k/n, ambiguous:false };
+  }
+
+  // guess the column mapping from header names; the date must also be typed as
+  // a date in the schema, and falls back to the first date-typed column
+  function detectMapping(cols, schema){
+    const m = { sales:'', cost:'', profit:'', date:'', region:'', product:'', customer:'', channel:'', units:'', currency:'' };
+    for(const c of cols){
+      const lc = c.toLowerCase();
+      if(!m.sales && /revenue|sales|amount|total|price|turnover/.test(lc)) m.sales = c;
+      if(!m.cost && /cost|expense|cogs|costs/.test(lc)) m.cost = c;
+      if(!m.profit && /profit|margin/.test(lc)) m.profit = c;
+      if(!m.date && /date|day|dt|timestamp/.test(lc) && schema[c] && schema[c].type === 'date') m.date = c;
+      if(!m.region && /region|state|area|zone|city|location/.test(lc)) m.region = c;
+      if(!m.product && /product|item|sku|category|cat/.test(lc)) m.product = c;
+      if(!m.customer && /customer|client|buyer|cust/.test(lc)) m.customer = c;
+      if(!m.channel && /channel|medium|platform/.test(lc)) m.channel = c;
+      if(!m.units && /qty|quantity|units|volume/.test(lc)) m.units = c;
+      if(!m.currency && /currency|ccy/.test(lc) && !(schema[c] && isNumericType(schema[c].type))) m.currency = c;
+    }
+    if(!m.date) m.date = cols.find(c=> schema[c] && schema[c].type === 'date') || '';
+    return m;
+  }
+
+  // only the columns the cube aggregates: customer/channel/units are read from the rows
+  // (the currency column enters the cube key through its fx, see createCube)
+  function mappingKey(m){
+    return [m.sales, m.cost, m.profit, m.date, m.region, m.product].join('|');
+  }
+
+  // slicer/grouping value for a cell; blanks collapse into one bucket
+  function dimKey(v){
+    return (v===undefined || v===null || v==='') ? 'Unknown' : String(v);
+  }
+
+  // move a YYYY-MM-DD key by n days
+  function shiftDay(key, n){
+    const d = new Date(key + 'T00:00:00Z');
+    d.setUTCDate(d.getUTCDate() + n);
+    return d.toISOString().slice(0,10);
+  }
+
+  // move a YYYY-MM-DD key by n years (29 Feb falls back to 28 Feb)
+  function shiftYear(key, n){
+    const y = Number(key.slice(0,4)) + n, m = Number(key.slice(5,7)), d = Number(key.slice(8,10));
+    const last = new Date(Date.UTC(y, m, 0)).getUTCDate();
+    return ymdKey(y, m, Math.min(d, last));
+  }
+
+  // whole days from key a to key b
+  function dayDiff(a, b){
+    return Math.round((Date.parse(b + 'T00:00:00Z') - Date.parse(a + 'T00:00:00Z')) / 86400000);
+  }
+
+  const GRANULARITIES = { day:'Day', week:'Week', month:'Month', quarter:'Quarter', year:'Year' };
+
+  // period bucket for a day key: the day itself, the Monday starting its week,
+  // 'YYYY-MM', 'YYYY-Qn' or 'YYYY' — all sort chronologically as strings
+  function periodKey(day, gran){
+    switch(gran){
+      case 'week': { const dow = (new Date(day + 'T00:00:00Z').getUTCDay() + 6) % 7; return shiftDay(day, -dow); }
+      case 'month': return day.slice(0,7);
+      case 'quarter': return day.slice(0,4) + '-Q' + (Math.floor((Number(day.slice(5,7)) - 1) / 3) + 1);
+      case 'year': return day.slice(0,4);
+      default: return day;
+    }
+  }
+
+  // the period following a period key
+  function nextPeriod(key, gran){
+    switch(gran){
+      case 'week': return shiftDay(key, 7);
+      case 'month': { const y = Number(key.slice(0,4)), m = Number(key.slice(5,7)); return m === 12 ? (y+1) + '-01' : y + '-' + String(m+1).padStart(2,'0'); }
+      case 'quarter': { const y = Number(key.slice(0,4)), q = Number(key.slice(6)); return q === 4 ? (y+1) + '-Q1' : y + '-Q' + (q+1); }
+      case 'year': return String(Number(key) + 1);
+      default: return shiftDay(key, 1);
+    }
+  }
+
+  // first day of a period key
+  function periodStart(key, gran){
+    switch(gran){
+      case 'month': return key + '-01';
+      case 'quarter': return key.slice(0,4) + '-' + String(Number(key.slice(6)) * 3 - 2).padStart(2,'0') + '-01';
+      case 'year': return key + '-01-01';
+      default: return key;
+    }
+  }
+
+  // first and last day of a period key
+  function periodBounds(key, gran){
+    return { from: periodStart(key, gran), to: shiftDay(periodStart(nextPeriod(key, gran), gran), -1) };
+  }
+
+  // every period key from first to last inclusive, so gaps show as zero
+  function periodRange(first, last, gran){
+    const out = [];
+    for(let k = first; k <= last && out.length < 100000; k = nextPeriod(k, gran)) out.push(k);
+    return out;
+  }
+
+  // trailing n-period mean; null until n periods are available
+  function movingAverage(values, n){
+    let sum = 0;
+    return values.map((v,i)=>{
+      sum += v;
+      if(i >= n) sum -= values[i-n];
+      return i >= n-1 ? sum / n : null;
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Forecasting. Each model projects h periods past a series and gives a 95%
+  // prediction interval from its one-step residuals. The season length follows
+  // the granularity (a week of days, a year of weeks/months/quarters).
+  // ---------------------------------------------------------------------------
+
+  const FORECAST_MODELS = { linear:'Linear trend', holt:'Holt-Winters', snaive:'Seasonal naive' };
+  const SEASON_LENGTH = { day:7, week:52, month:12, quarter:4, year:1 };
+  const Z95 = 1.96;
+
+  // additive Holt-Winters with smoothing a (level), b (trend) and g (season); without two
+  // full seasons of history it is Holt's linear trend. Returns the final state and the
+  // one-step errors.
+  function holtWintersFit(ys, m, a, b, g){
+    const k = m >= 2 && ys.length >= 2 * m ? m : 1;
+    const avg = (from, to)=>{ let sum = 0; for(let i=from;i<to;i++) sum += ys[i]; return sum / (to - from); };
+    let level = k > 1 ? avg(0, k) : ys[0];
+    let trend = k > 1 ? (avg(k, 2*k) - avg(0, k)) / k : ys[1] - ys[0];
+    const season = k > 1 ? ys.slice(0, k).map(v=> v - level) : [0];
+    const errors = [];
+    for(let t=k;t<ys.length;t++){
+      const st = season[t % k], prev = level;
+      errors.push(ys[t] - (level + trend + st));
+      level = a * (ys[t] - st) + (1 - a) * (level + trend);
+      trend = b * (level - prev) + (1 - b) * trend;
+      if(k > 1) season[t % k] = g * (ys[t] - level) + (1 - g) * st;
+    }
+    return { level, trend, season, k, a, b, g, errors };
+  }
+
+  // Weight of the one-step error made j periods before the end of an h-step forecast
+  // (j < h). Written as error corrections, the updates above move the level by a·e, the
+  // trend by a·b·e and that period's season by g·(1 − a)·e, so the h-step error variance
+  // is σ²·(1 + Σ weight(j)²) (Hyndman et al., class 1 models).
+  function holtWintersWeight(fit, j){
+    return fit.a + fit.a * fit.b * j + (fit.k > 1 && j % fit.k === 0 ? fit.g * (1 - fit.a) : 0);
+  }
+
+  // Forecast h periods after ys with season length m: {mean, lower, upper}, or null when
+  // the history is too short for the model
+  function forecastSeries(ys, h, model, m){
+    const n = ys.length;
+    const sd = (errs, dof)=> Math.sqrt(errs.reduce((sum,e)=> sum + e*e, 0) / Math.max(errs.length - dof, 1));
+    const mean = [], lower = [], upper = [];
+    const push = (v, half)=>{ mean.push(v); lower.push(v - half); upper.push(v + half); };
+    if(model === 'linear'){
+      if(n < 3) return null;
+      const ts = ys.map((v,i)=> i), fit = linearFit(ts, ys);
+      const s = sd(ys.map((v,i)=> v - fit.intercept - fit.slope * i), 2);
+      const mt = (n - 1) / 2, sxx = ts.reduce((sum,t)=> sum + (t - mt) * (t - mt), 0);
+      for(let j=1;j<=h;j++){ const t = n - 1 + j; push(fit.intercept + fit.slope * t, Z95 * s * Math.sqrt(1 + 1/n + (t - mt) * (t - mt) / sxx)); }
+    } else if(model === 'snaive'){
+      const k = m >= 2 && n > m ? m : 1;   // plain naive (last value) without a full season
+      if(n < k + 1) return null;
+      const s = sd(ys.slice(k).map((v,i)=> v - ys[i]), 0);
+      for(let j=1;j<=h;j++) push(ys[n - k + (j - 1) % k], Z95 * s * Math.sqrt(Math.floor((j - 1) / k) + 1));
+    } else {
+      if(n < 4) return null;
+      // smoothing parameters by grid search on the one-step squared error
+      let best = null;
+      for(const a of [0.1, 0.3, 0.5, 0.7, 0.9]) for(const b of [0.01, 0.1, 0.3]) for(const g of [0.05, 0.2, 0.5]){
+        const fit = holtWintersFit(ys, m, a, b, g);
+        const sse = fit.errors.reduce((sum,e)=> sum + e*e, 0);
+        if(!best || sse < best.sse) best = Object.assign(fit, { sse });
+        if(fit.k === 1) break;
+      }
+      const s = sd(best.errors, 0);
+      let acc = 0;   // sum of squared error weights (additive Holt-Winters variance)
+      for(let j=1;j<=h;j++){
+        push(best.level + j * best.trend + best.season[(n + j - 1) % best.k], Z95 * s * Math.sqrt(1 + acc));
+        acc += Math.pow(holtWintersWeight(best, j), 2);
+      }
+    }
+    return { mean, lower, upper };
+  }
+
+  // mean absolute percentage error over the periods with a non-zero actual (NaN without any)
+  function mape(actual, predicted){
+    let sum = 0, n = 0;
+    actual.forEach((a,i)=>{ if(a){ sum += Math.abs((a - predicted[i]) / a); n++; } });
+    return n ? sum / n * 100 : NaN;
+  }
+
+  // Backtest: hold out the last `hold` periods, forecast them from the rest and compare
+  function backtest(ys, hold, model, m){
+    if(hold < 1 || ys.length - hold < 3) return NaN;
+    const f = forecastSeries(ys.slice(0, ys.length - hold), hold, model, m);
+    return f ? mape(ys.slice(ys.length - hold), f.mean) : NaN;
+  }
+
+  // 1–5 quintile score per value (ties share a score); lower values score
+  // higher when higherIsBetter is false, as for recency in days
+  function quintileScores(values, higherIsBetter){
+    const order = values.map((v,i)=> i).sort((a,b)=> values[a] - values[b]);
+    const scores = new Array(values.length);
+    let rank = 0;
+    order.forEach((idx, pos)=>{
+      if(pos && values[idx] !== values[order[pos-1]]) rank = pos;
+      const q = 1 + Math.floor(5 * rank / values.length);
+      scores[idx] = higherIsBetter ? q : 6 - q;
+    });
+    return scores;
+  }
+
+  const RFM_SEGMENTS = ['Champions','Loyal','New','Potential','At risk','Lost'];
+
+  // RFM segment from recency and frequency scores
+  function rfmSegment(r, f){
+    if(r >= 4 && f >= 4) return 'Champions';
+    if(r <= 2 && f >= 3) return 'At risk';
+    if(f >= 4) return 'Loyal';
+    if(r >= 4 && f <= 2) return 'New';
+    if(r >= 3) return 'Potential';
+    return 'Lost';
+  }
+
+  // Pareto order of {key, value} items with cumulative share and ABC class:
+  // A up to 80% of the total (including the item that crosses it), B up to 95%, C the rest
+  function paretoABC(items){
+    const sorted = items.slice().sort((a,b)=> b.value - a.value);
+    const total = sorted.reduce((t,x)=> t + Math.max(x.value, 0), 0) || 1;
+    let cum = 0;
+    return sorted.map(x=>{
+      const cls = cum < 0.8 ? 'A' : cum < 0.95 ? 'B' : 'C';
+      cum += Math.max(x.value, 0) / total;
+      return Object.assign({}, x, { cum, cls });
+    });
+  }
+
+  // Pivot aggregations. A cell keeps one accumulator per value field; distinct
+  // counts keep the values seen, so subtotals count each value once.
+  const PIVOT_AGGS = { sum:'Sum', count:'Count', avg:'Average', min:'Min', max:'Max', distinct:'Distinct count' };
+
+  function pivotAdd(acc, raw, num){
+    if(raw === undefined || raw === null || raw === '') return;
+    acc.count++;
+    if(acc.set) acc.set.add(String(raw));
+    if(isNaN(num)) return;
+    acc.n++; acc.sum += num;
+    if(num < acc.min) acc.min = num;
+    if(num > acc.max) acc.max = num;
+  }
+
+  function pivotResult(acc, agg){
+    switch(agg){
+      case 'count': return acc.count;
+      case 'distinct': return acc.set.size;
+      case 'avg': return acc.n ? acc.sum / acc.n : NaN;
+      case 'min': return acc.n ? acc.min : NaN;
+      case 'max': return acc.n ? acc.max : NaN;
+      default: return acc.n ? acc.sum : NaN;
+    }
+  }
+
+  // grouping key of a cell: the period for date fields with a grain, else its slicer value
+  function pivotKey(v, field, schema){
+    const cs = schema[field.col];
+    if(field.gran && cs && cs.type === 'date'){ const d = dayKeyOf(v, cs); return d ? periodKey(d, field.gran) : 'Unknown'; }
+    return dimKey(v);
+  }
+
+  // Group rows by spec = {rows:[field], cols:[field], values:[{col, agg}]}, field = {col, gran}.
+  // Returns the sorted leaf row paths and column keys (column fields joined with ' / ',
+  // [''] without any) and value(path, colKey): one number per value field for a row path
+  // or any prefix of one (subtotals; [] is the grand total), colKey '' being the row total.
+  // A value field with col '' counts rows. With fx, amounts in fx.cols are converted first.
+  function buildPivot(rows, spec, schema, fx){
+    const SEP = '\u0001';
+    const cells = new Map(), leaves = new Map(), colKeys = new Set();
+    const accs = key =>{
+      let a = cells.get(key);
+      if(!a){ a = spec.values.map(v=> ({ sum:0, n:0, count:0, min:Infinity, max:-Infinity, set: v.agg === 'distinct' ? new Set() : null })); cells.set(key, a); }
+      return a;
+    };
+    for(const r of rows){
+      const path = spec.rows.map(f=> pivotKey(r[f.col], f, schema));
+      const ck = spec.cols.map(f=> pivotKey(r[f.col], f, schema)).join(' / ');
+      const leaf = path.join(SEP);
+      if(!leaves.has(leaf)) leaves.set(leaf, path);
+      colKeys.add(ck);
+      const raws = spec.values.map(v=> v.col ? r[v.col] : 1);
+      const nums = spec.values.map(v=> v.col ? cellNum(r[v.col], schema[v.col]) * (fx && fx.cols.includes(v.col) ? fxFactor(fx, r, v.col) : 1) : NaN);
+      for(let i=0;i<=path.length;i++){
+        const rk = path.slice(0,i).join(SEP) + '\u0002';
+        const targets = spec.cols.length ? [accs(rk + ck), accs(rk)] : [accs(rk)];
+        targets.forEach(a=> spec.values.forEach((v,j)=> pivotAdd(a[j], raws[j], nums[j])));
+      }
+    }
+    const cmp = (a,b)=> a.localeCompare(b, undefined, {numeric:true});
+    const rowKeys = Array.from(leaves.values()).sort((a,b)=>{
+      for(let i=0;i<a.length;i++){ const c = cmp(a[i], b[i]); if(c) return c; }
+      return 0;
+    });
+    return {
+      rowKeys,
+      colKeys: spec.cols.length ? Array.from(colKeys).sort(cmp) : [''],
+      value: (path, ck)=>{
+        const a = cells.get(path.join(SEP) + '\u0002' + ck);
+        return a ? a.map((x,j)=> pivotResult(x, spec.values[j].agg)) : null;
+      }
+    };
+  }
+
+  // Vector SVG of a bar/line chart from its Chart.js data (bars and lines may be mixed,
+  // as in the time chart). Always drawn vertically and unstacked; `type` is the chart's
+  // own type, used for datasets without one.
+  const SVG_PALETTE = ['#0ea5e9','#7c3aed','#10b981','#f59e0b','#ef4444','#58a6ff'];
+  function chartSVG(data, type, opts){
+    opts = opts || {};
+    const W = opts.width || 900, H = opts.height || 420, pad = { l:80, r:20, t: opts.title ? 64 : 44, b:90 };
+    const esc = v => String(v).replace(/[&<>"]/g, c=> ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;'})[c]);
+    const num = v => typeof v === 'number' ? v : (v && typeof v.y === 'number' ? v.y : NaN);
+    const labels = data.labels || [], sets = (data.datasets || []).filter(d=> !d.hidden);
+    let min = 0, max = 0;
+    sets.forEach(d=> d.data.forEach(v=>{ const n = num(v); if(isFinite(n)){ if(n < min) min = n; if(n > max) max = n; } }));
+    if(max === min) max = min + 1;
+    const n = Math.max(labels.length, 1), pw = W - pad.l - pad.r, ph = H - pad.t - pad.b;
+    const x = i => pad.l + (i + 0.5) * pw / n;
+    const y = v => pad.t + (max - v) / (max - min) * ph;
+    const fmt = opts.format || (v => v.toLocaleString(undefined, {maximumFractionDigits:2}));
+    const colorOf = (d, i, k)=>{
+      const c = d.type === 'line' || (!d.type && type === 'line') ? (d.borderColor || d.backgroundColor) : (d.backgroundColor || d.borderColor);
+      if(Array.isArray(c)) return c[k % c.length];
+      return typeof c === 'string' ? c : SVG_PALETTE[i % SVG_PALETTE.length];
+    };
+    const out = [`<svg xmlns="http://www.w3.org/2000/svg" width="${W}" height="${H}" viewBox="0 0 ${W} ${H}" font-family="Inter,Segoe UI,Arial,sans-serif" font-size="12">`,
+      `<rect width="${W}" height="${H}" fill="#ffffff"/>`];
+    if(opts.title) out.push(`<text x="${pad.l}" y="24" font-size="16" font-weight="700" fill="#111827">${esc(opts.title)}</text>`);
+    for(let k=0;k<=5;k++){
+      const v = min + (max - min) * k / 5, yy = y(v).toFixed(1);
+      out.push(`<line x1="${pad.l}" x2="${W - pad.r}" y1="${yy}" y2="${yy}" stroke="#e5e7eb"/>`, `<text x="${pad.l - 8}" y="${yy}" text-anchor="end" dominant-baseline="middle" fill="#4b5563">${esc(fmt(v))}</text>`);
+    }
+    const step = Math.ceil(labels.length / 24) || 1;
+    labels.forEach((l,i)=>{
+      if(i % step) return;
+      out.push(`<text transform="translate(${x(i).toFixed(1)},${H - pad.b + 14}) rotate(-40)" text-anchor="end" fill="#4b5563">${esc(String(l).slice(0,24))}</text>`);
+    });
+    const isLine = d => d.type ? d.type === 'line' : type === 'line';
+    const bars = sets.filter(d=> !isLine(d));
+    const slot = pw / n * 0.8, bw = bars.length ? slot / bars.length : 0;
+    sets.forEach((d,i)=>{
+      if(isLine(d)){
+        // gaps (null moving-average points) lift the pen
+        let path = '', pen = false;
+        d.data.forEach((v,k)=>{
+          const m = num(v);
+          if(!isFinite(m)){ pen = false; return; }
+          path += (pen ? ' L' : ' M') + x(k).toFixed(1) + ',' + y(m).toFixed(1);
+          pen = true;
+        });
+        out.push(`<path d="${path.trim()}" fill="none" stroke="${esc(colorOf(d, i, 0))}" stroke-width="2"${d.borderDash ? ' stroke-dasharray="' + d.borderDash.join(' ') + '"' : ''}/>`);
+      } else {
+        const b = bars.indexOf(d);
+        d.data.forEach((v,k)=>{
+          const m = num(v); if(!isFinite(m)) return;
+          const top = y(Math.max(m, 0)), h = Math.abs(y(m) - y(0));
+          out.push(`<rect x="${(x(k) - slot/2 + b*bw).toFixed(1)}" y="${top.toFixed(1)}" width="${Math.max(bw - 1, 1).toFixed(1)}" height="${h.toFixed(1)}" fill="${esc(colorOf(d, i, k))}"/>`);
+        });
+      }
+    });
+    let lx = pad.l;
+    sets.forEach((d,i)=>{
+      const name = String(d.label || 'Series ' + (i+1));
+      out.push(`<rect x="${lx}" y="${pad.t - 24}" width="12" height="12" fill="${esc(colorOf(d, i, 0))}"/>`, `<text x="${lx + 16}" y="${pad.t - 14}" fill="#111827">${esc(name)}</text>`);
+      lx += 28 + name.length * 7;
+    });
+    out.push('</svg>');
+    return out.join('\n');
+  }
+
+  // A cube is the pre-aggregated form renderAll works from: facts holds one entry per
+  // day × region × product with revenue/cost/profit sums and row count.
+  // Cubes built from separate chunks merge by plain addition (cubeMerge). Values are
+  // read through the column schema and converted by the optional fx (see fxFactor),
+  // so the key covers mapping, fx and the schema of the columns read. A calculated column
+  // among them depends on others, so then the whole schema counts.
+  function createCube(mapping, schema, fx){
+    const fxKey = fx ? '#fx:' + fx.col + ':' + fx.to + ':' + JSON.stringify(fx.rates) : '';
+    const read = [mapping.sales, mapping.cost, mapping.profit, mapping.date, mapping.region, mapping.product, fx && fx.col].filter(Boolean);
+    const cols = read.some(c=> schema[c] && schema[c].calc) ? null : read;
+    return { key: mappingKey(mapping) + '#' + schemaKey(schema, cols) + fxKey, facts: {}, fx: fx || null };
+  }
+
+  function cubeAddRows(cube, rows, mapping, cols, schema){
+    schema = schema || {};
+    const salesS = schema[mapping.sales], costS = schema[mapping.cost], profitS = schema[mapping.profit], dateS = schema[mapping.date];
+    const fx = cube.fx;
+    for(const r of rows){
+      let sales = mapping.sales ? cellNum(r[mapping.sales], salesS) : NaN;
+      let cost = mapping.cost ? cellNum(r[mapping.cost], costS) : NaN;
+      let profit = mapping.profit ? cellNum(r[mapping.profit], profitS) : NaN;
+      if(fx){
+        sales *= fxFactor(fx, r, mapping.sales); cost *= fxFactor(fx, r, mapping.cost); profit *= fxFactor(fx, r, mapping.profit);
+      }
+      const d = mapping.date ? dayKeyOf(r[mapping.date], dateS) : '';
+      const region = mapping.region ? dimKey(r[mapping.region]) : '';
+      const product = mapping.product ? dimKey(r[mapping.product]) : '';
+      const k = d + '\u0001' + region + '\u0001' + product;
+      const f = cube.facts[k] || (cube.facts[k] = { d, region, product, rev:0, cost:0, profit:0, n:0 });
+      f.rev += isFinite(sales) ? sales : 0;
+      f.cost += isFinite(cost) ? cost : 0;
+      f.profit += isFinite(profit) ? profit : 0;
+      f.n += 1;
+    }
+    return cube;
+  }
+
+  function cubeMerge(target, delta){
+    for(const k in delta.facts){
+      const f = delta.facts[k], t = target.facts[k];
+      if(!t){ target.facts[k] = f; continue; }
+      t.rev += f.rev; t.cost += f.cost; t.profit += f.profit; t.n += f.n;
+    }
+    return target;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Filtering and aggregation: the numbers the dashboard shows, from a cube and
+  // the rows it was built from. Filters are
+  //   {from, to, values: {col: Set}, ranges: {col: {min, max}}}
+  // (plainFilters/filtersFromPlain convert to and from JSON). summarize() runs the
+  // whole pipeline headless, for scripts and cli.js.
+  // ---------------------------------------------------------------------------
+
+  // predicate over cube facts for the given mapping/filters (date range and the
+  // region/product slicers; see extraRowFilter for the rest)
+  function factFilter(mapping, f){
+    const regions = mapping.region && f.values[mapping.region];
+    const products = mapping.product && f.values[mapping.product];
+    return fact =>{
+      if(mapping.date && (f.from || f.to)){
+        if(!fact.d) return false;
+        if(f.from && fact.d < f.from) return false; if(f.to && fact.d > f.to) return false;
+      }
+      if(regions && !regions.has(fact.region)) return false;
+      if(products && !products.has(fact.product)) return false;
+      return true;
+    };
+  }
+
+  // predicate over raw rows for the filters the cube cannot answer: slicers on
+  // unmapped columns and value ranges. null when there are none.
+  function extraRowFilter(mapping, f, schema){
+    schema = schema || {};
+    const tests = [];
+    for(const c in f.values){
+      if(c === mapping.region || c === mapping.product) continue;
+      const set = f.values[c];
+      tests.push(r=> set.has(dimKey(r[c])));
+    }
+    for(const c in f.ranges){
+      const {min, max} = f.ranges[c], cs = schema[c];
+      const read = cs && cs.type === 'date' ? v=> dayKeyOf(v, cs) || null : v=>{ const n = cellNum(v, cs); return isNaN(n) ? null : n; };
+      tests.push(r=>{
+        const v = read(r[c]);
+        return v !== null && (min === null || v >= min) && (max === null || v <= max);
+      });
+    }
+    return tests.length ? r=> tests.every(t=> t(r)) : null;
+  }
+
+  // same predicates over raw rows (the transactions table and the per-row breakdowns)
+  function rowFilter(mapping, f, schema){
+    schema = schema || {};
+    const keep = factFilter(mapping, f);
+    const extra = extraRowFilter(mapping, f, schema);
+    return r => keep({
+      d: mapping.date ? dayKeyOf(r[mapping.date], schema[mapping.date]) : '',
+      region: mapping.region ? dimKey(r[mapping.region]) : '',
+      product: mapping.product ? dimKey(r[mapping.product]) : ''
+    }) && (!extra || extra(r));
+  }
+
+  // revenue/profit/orders/AOV over a set of facts (NaN where the mapping lacks the column)
+  function kpiValues(facts, mapping){
+    let rev = 0, cost = 0, prof = 0, orders = 0;
+    facts.forEach(f=>{ rev += f.rev; cost += f.cost; prof += f.profit; orders += f.n; });
+    const revenue = mapping.sales ? rev : NaN;
+    const profit = mapping.profit ? prof : (mapping.sales && mapping.cost ? revenue - cost : NaN);
+    return { revenue, profit, orders, aov: orders ? revenue / orders : NaN };
+  }
+
+  // filters as plain JSON: {from, to, values: {col: [value…]}, ranges: {col: {min, max}}}
+  function plainFilters(f){
+    const values = {};
+    for(const c in f.values) values[c] = Array.from(f.values[c]);
+    return { from: f.from, to: f.to, values, ranges: f.ranges };
+  }
+
+  // filters from their JSON form (value lists become Sets; missing parts are empty)
+  function filtersFromPlain(p){
+    p = p || {};
+    const values = {}, ranges = {};
+    for(const c in p.values || {}) values[c] = new Set(Array.from(p.values[c] || [], v=> String(v)));
+    for(const c in p.ranges || {}){
+      const r = p.ranges[c] || {};
+      ranges[c] = { min: r.min == null || r.min === '' ? null : r.min, max: r.max == null || r.max === '' ? null : r.max };
+    }
+    return { from: p.from || '', to: p.to || '', values, ranges };
+  }
+
+  // a money cell of a row, converted by the optional fx (NaN when not a number)
+  function cellAmount(r, col, schema, fx){
+    const n = cellNum(r[col], schema[col]);
+    return fx && isFinite(n) ? n * fxFactor(fx, r, col) : n;
+  }
+
+  // revenue of a row (0 when not a number), for the per-row breakdowns
+  function revenueOf(r, mapping, schema, fx){
+    const v = mapping.sales ? cellAmount(r, mapping.sales, schema, fx) : NaN;
+    return isFinite(v) ? v : 0;
+  }
+
+  // revenue and orders per period of the granularity, gaps filled with zero
+  function timeSeries(facts, gran){
+    const byPeriod = {};
+    facts.forEach(f=>{
+      if(!f.d) return;
+      const key = periodKey(f.d, gran);
+      byPeriod[key] = byPeriod[key] || {rev:0,orders:0};
+      byPeriod[key].rev += f.rev;
+      byPeriod[key].orders += f.n;
+    });
+    const keys = Object.keys(byPeriod).sort();
+    const labels = keys.length ? periodRange(keys[0], keys[keys.length-1], gran) : [];
+    return {
+      labels,
+      revenue: labels.map(l=> byPeriod[l] ? byPeriod[l].rev : 0),
+      orders: labels.map(l=> byPeriod[l] ? byPeriod[l].orders : 0)
+    };
+  }
+
+  // revenue per value of a cube dimension ('region' or 'product')
+  function factTotals(facts, dim){
+    const out = {};
+    facts.forEach(f=>{ out[f[dim]] = (out[f[dim]]||0) + f.rev; });
+    return out;
+  }
+
+  // revenue per value of any column over the rows `keep` accepts
+  function rowTotals(rows, col, keep, mapping, schema, fx){
+    const out = {};
+    for(const r of rows){
+      if(!keep(r)) continue;
+      const k = dimKey(r[col]);
+      out[k] = (out[k]||0) + revenueOf(r, mapping, schema, fx);
+    }
+    return out;
+  }
+
+  // keys of the n largest totals, largest first
+  function topKeys(totals, n){
+    return Object.keys(totals).sort((a,b)=> totals[b] - totals[a]).slice(0,n);
+  }
+
+  // Change per value between two sets of totals (current vs comparison): the n
+  // largest by absolute difference as {name, cur, prev, diff, pct}; pct is null
+  // when the value is new (nothing to compare with)
+  function topMovers(cur, prev, n){
+    const names = new Set(Object.keys(cur).concat(Object.keys(prev)));
+    return Array.from(names, name=>{
+      const a = cur[name] || 0, b = prev[name] || 0;
+      return { name, cur: a, prev: b, diff: a - b, pct: b ? (a - b) / Math.abs(b) : null };
+    }).filter(m=> m.diff !== 0).sort((x,y)=> Math.abs(y.diff) - Math.abs(x.diff)).slice(0,n);
+  }
+
+  const SUMMARY_TOPS = { products:'product', regions:'region', customers:'customer', channels:'channel' };
+
+  // The dashboard's numbers for a loaded dataset (see loadDataset), without a DOM:
+  //   { rows, kpis: {revenue, profit, orders, aov}, series: {gran, labels, revenue, orders} | null,
+  //     top: {products, regions, customers, channels: [{name, revenue}]}, measures?: [{name, value}] }
+  // `filters` may be in JSON form or hold Sets; opts: gran (default month), top (default 10),
+  // fx (see fxFactor) and formulas ({columns, measures} as the Formulas panel keeps them:
+  // the columns are added before mapping and filters apply, and can be used by both).
+  function summarize(data, mapping, filters, opts){
+    opts = opts || {};
+    const formulas = opts.formulas || {};
+    if(formulas.columns && formulas.columns.length) data = withCalcColumns(data, formulas.columns);
+    const f = filtersFromPlain(filters);
+    const extra = extraRowFilter(mapping, f, data.schema);
+    const rows = extra ? data.rows.filter(extra) : data.rows;
+    const cube = cubeAddRows(createCube(mapping, data.schema, opts.fx), rows, mapping, data.cols, data.schema);
+    const facts = Object.values(cube.facts).filter(factFilter(mapping, f));
+    const gran = opts.gran || 'month', n = opts.top || 10;
+    const keep = rowFilter(mapping, f, data.schema);
+    const top = {};
+    for(const name in SUMMARY_TOPS){
+      const col = mapping[SUMMARY_TOPS[name]];
+      if(!col) continue;
+      const totals = name === 'products' || name === 'regions' ? factTotals(facts, SUMMARY_TOPS[name]) : rowTotals(data.rows, col, keep, mapping, data.schema, opts.fx);
+      top[name] = topKeys(totals, n).map(k=> ({ name: k, revenue: totals[k] }));
+    }
+    const out = {
+      rows: facts.reduce((t, x)=> t + x.n, 0),
+      kpis: kpiValues(facts, mapping),
+      series: mapping.date ? Object.assign({ gran }, timeSeries(facts, gran)) : null,
+      top
+    };
+    if(formulas.measures && formulas.measures.length){
+      const kept = data.rows.filter(keep);
+      out.measures = formulas.measures.map(m=>{
+        let c;
+        try{ c = compileFormula(String(m.formula || ''), data.cols, true); }
+        catch(e){ throw new Error('Measure "' + (m.name || '') + '": ' + e.message); }
+        const v = measureValue(c, kept, data.schema, opts.fx);
+        return { name: m.name || '', value: isFinite(v) ? v : null };
+      });
+    }
+    return out;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Correlation. Two columns are compared over the rows where both are numbers
+  // (pairwise complete); Spearman is Pearson on average ranks. The p-value is
+  // the two-sided Student t test of r with n - 2 degrees of freedom.
+  // ---------------------------------------------------------------------------
+
+  // 1-based ranks, ties sharing the mean of their positions
+  function rankValues(a){
+    const idx = a.map((v,i)=> i).sort((i,j)=> a[i] - a[j]);
+    const ranks = new Array(a.length);
+    for(let i=0;i<idx.length;){
+      let j = i;
+      while(j + 1 < idx.length && a[idx[j+1]] === a[idx[i]]) j++;
+      for(let k=i;k<=j;k++) ranks[idx[k]] = (i + j) / 2 + 1;
+      i = j + 1;
+    }
+    return ranks;
+  }
+
+  // Pearson r of two equally long arrays (NaN when either is constant)
+  function pearson(xs, ys){
+    const n = xs.length;
+    let mx = 0, my = 0;
+    for(let i=0;i<n;i++){ mx += xs[i]; my += ys[i]; }
+    mx /= n; my /= n;
+    let sxy = 0, sxx = 0, syy = 0;
+    for(let i=0;i<n;i++){ const dx = xs[i] - mx, dy = ys[i] - my; sxy += dx*dy; sxx += dx*dx; syy += dy*dy; }
+    return sxx && syy ? Math.max(-1, Math.min(1, sxy / Math.sqrt(sxx * syy))) : NaN;
+  }
+
+  // ln Γ(x) for x > 0 (Lanczos)
+  function logGamma(x){
+    const c = [76.18009172947146, -86.50532032941677, 24.01409824083091, -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+    let y = x, tmp = x + 5.5, ser = 1.000000000190015;
+    tmp -= (x + 0.5) * Math.log(tmp);
+    for(const ci of c) ser += ci / ++y;
+    return -tmp + Math.log(2.5066282746310005 * ser / x);
+  }
+
+  // regularized incomplete beta I_x(a, b), by its continued fraction
+  function incompleteBeta(x, a, b){
+    if(x <= 0) return 0;
+    if(x >= 1) return 1;
+    const cf = (x, a, b)=>{
+      const TINY = 1e-300, clamp = v => Math.abs(v) < TINY ? TINY : v;
+      let c = 1, d = 1 / clamp(1 - (a + b) * x / (a + 1)), h = d;
+      for(let m=1;m<=300;m++){
+        const m2 = 2 * m;
+        let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+        d = 1 / clamp(1 + aa * d); c = clamp(1 + aa / c); h *= d * c;
+        aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+        d = 1 / clamp(1 + aa * d); c = clamp(1 + aa / c);
+        const del = d * c; h *= del;
+        if(Math.abs(del - 1) < 1e-12) break;
+      }
+      return h;
+    };
+    const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+    return x < (a + 1) / (a + b + 2) ? front * cf(x, a, b) / a : 1 - front * cf(1 - x, b, a) / b;
+  }
+
+  // two-sided p-value of a correlation r over n pairs
+  function corrPValue(r, n){
+    if(n < 3 || !isFinite(r)) return NaN;
+    if(Math.abs(r) >= 1) return 0;
+    const df = n - 2, t2 = r * r * df / (1 - r * r);
+    return incompleteBeta(df / (df + t2), df / 2, 0.5);
+  }
+
+  // {r, p, n} of two value arrays (NaN where a row has no number), method 'pearson' or 'spearman'
+  function correlate(a, b, method){
+    const xs = [], ys = [];
+    for(let i=0;i<a.length;i++) if(isFinite(a[i]) && isFinite(b[i])){ xs.push(a[i]); ys.push(b[i]); }
+    const r = xs.length < 3 ? NaN : method === 'spearman' ? pearson(rankValues(xs), rankValues(ys)) : pearson(xs, ys);
+    return { r, p: corrPValue(r, xs.length), n: xs.length };
+  }
+
+  // least-squares line y = intercept + slope·x, null without two distinct x values
+  function linearFit(xs, ys){
+    const n = xs.length;
+    if(n < 2) return null;
+    let mx = 0, my = 0;
+    for(let i=0;i<n;i++){ mx += xs[i]; my += ys[i]; }
+    mx /= n; my /= n;
+    let sxx = 0, sxy = 0;
+    for(let i=0;i<n;i++){ const dx = xs[i] - mx; sxx += dx*dx; sxy += dx*(ys[i] - my); }
+    if(!sxx) return null;
+    const slope = sxy / sxx;
+    return { slope, intercept: my - slope * mx };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Data quality: per-column counts, duplicate rows, outlier bounds and anomalies
+  // in a daily series. The panel turns each issue into a row test so the grid can
+  // show exactly the rows behind it.
+  // ---------------------------------------------------------------------------
+
+  const QUALITY_DISTINCT_MAX = 100000;
+
+  function isBlank(v){
+    return v === undefined || v === null || String(v).trim() === '';
+  }
+
+  // a non-blank cell that does not read under its column's number or date type
+  function isUnparseable(v, cs){
+    if(!cs || isBlank(v)) return false;
+    if(isNumericType(cs.type)) return isNaN(cellNum(v, cs));
+    if(cs.type === 'date') return !dayKeyOf(v, cs);
+    return false;
+  }
+
+  // {missing, unparseable, distinct} for one column; distinct stops at QUALITY_DISTINCT_MAX
+  function columnQuality(rows, col, cs){
+    let missing = 0, bad = 0;
+    const seen = new Set();
+    for(const r of rows){
+      const v = r[col];
+      if(isBlank(v)){ missing++; continue; }
+      if(isUnparseable(v, cs)) bad++;
+      if(seen.size < QUALITY_DISTINCT_MAX) seen.add(String(v));
+    }
+    return { missing, unparseable: bad, distinct: seen.size };
+  }
+
+  // {lo, hi} outside which a value is an outlier: Tukey fences (1.5 × IQR) or |z| > 3;
+  // null with fewer than four values
+  function outlierBounds(values, method){
+    const xs = values.filter(v=> isFinite(v));
+    if(xs.length < 4) return null;
+    if(method === 'zscore'){
+      const mean = xs.reduce((a,v)=> a + v, 0) / xs.length;
+      const sd = Math.sqrt(xs.reduce((a,v)=> a + (v - mean) * (v - mean), 0) / (xs.length - 1));
+      return { lo: mean - 3 * sd, hi: mean + 3 * sd };
+    }
+    xs.sort((a,b)=> a - b);
+    const q = p =>{ const i = (xs.length - 1) * p, lo = Math.floor(i); return xs[lo] + (xs[Math.ceil(i)] - xs[lo]) * (i - lo); };
+    const q1 = q(0.25), q3 = q(0.75);
+    return { lo: q1 - 1.5 * (q3 - q1), hi: q3 + 1.5 * (q3 - q1) };
+  }
+
+  // a row's full contents as one string (duplicate detection)
+  function rowKey(r, cols){
+    return JSON.stringify(cols.map(c=> r[c] == null ? '' : r[c]));
+  }
+
+  // keys of the rows that occur more than once, and how many extra copies there are
+  function duplicateRows(rows, cols){
+    const counts = new Map();
+    for(const r of rows){ const k = rowKey(r, cols); counts.set(k, (counts.get(k) || 0) + 1); }
+    const keys = new Set();
+    let extra = 0;
+    counts.forEach((n,k)=>{ if(n > 1){ keys.add(k); extra += n - 1; } });
+    return { keys, extra };
+  }
+
+  // Spikes and drops: points further than 3.5 robust deviations (1.4826 × median
+  // absolute residual) from the median of the three points either side of them.
+  // Returns [{i, expected}]; series shorter than 14 points have none.
+  function seriesAnomalies(values){
+    if(values.length < 14) return [];
+    const median = a =>{ const s = a.slice().sort((x,y)=> x - y), m = s.length >> 1; return s.length % 2 ? s[m] : (s[m-1] + s[m]) / 2; };
+    const expected = values.map((v,i)=> median(values.slice(Math.max(0, i - 3), i).concat(values.slice(i + 1, i + 4))));
+    const res = values.map((v,i)=> v - expected[i]);
+    const scale = 1.4826 * median(res.map(Math.abs));
+    if(!scale) return [];
+    const out = [];
+    res.forEach((r,i)=>{ if(Math.abs(r) > 3.5 * scale) out.push({ i, expected: expected[i] }); });
+    return out;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Cleaning recipes: an ordered list of steps, each a plain {op, col, …} object,
+  // so a recipe saves as JSON and replays on the next upload. A step reads a table
+  // {cols, rows, schema} and returns a new one without touching its rows, which
+  // lets any prefix of the recipe be replayed from the loaded rows (undo/redo).
+  // Columns a step changes are re-typed unless their type was set by hand.
+  // ---------------------------------------------------------------------------
+
+  const CLEAN_STEPS = {
+    trim:'Trim whitespace', dedupe:'Remove duplicate rows', fill:'Fill missing values', drop:'Drop rows with missing values',
+    rename:'Rename column', split:'Split column', map:'Map values', replace:'Find and replace', outliers:'Exclude outliers'
+  };
+  const FILL_METHODS = { value:'a value', previous:'the value above', mean:'the mean', median:'the median' };
+
+  // the columns a step works on: its `col` (which must exist), or all of them when
+  // `all` allows a step without one
+  function stepCols(t, st, all){
+    if(!st.col){
+      if(all) return t.cols;
+      throw new Error('Pick a column');
+    }
+    if(!t.cols.includes(st.col)) throw new Error('Column "' + st.col + '" not found');
+    return [st.col];
+  }
+
+  // infer a column's type again after its values changed, unless it was overridden
+  function retypeColumn(schema, rows, col){
+    const cs = schema[col];
+    if(cs && cs.type !== cs.inferred) return;
+    schema[col] = inferSchema([col], rows)[col];
+    if(cs) schema[col].tz = cs.tz;
+  }
+
+  // new cell values fn(value) for some columns; rows without a change are shared
+  function mapCells(t, cols, fn){
+    const changed = new Set();
+    const rows = t.rows.map(r=>{
+      let o = null;
+      for(const c of cols){
+        const v = fn(r[c], c);
+        if(v === r[c]) continue;
+        if(!o) o = Object.assign({}, r);
+        o[c] = v;
+        changed.add(c);
+      }
+      return o || r;
+    });
+    const schema = Object.assign({}, t.schema);
+    changed.forEach(c=> retypeColumn(schema, rows, c));
+    return { cols: t.cols, rows, schema };
+  }
+
+  const CLEAN_APPLY = {
+    trim(t, st){
+      return mapCells(t, stepCols(t, st, true), v=> typeof v === 'string' ? v.trim().replace(/\s+/g, ' ') : v);
+    },
+    // keeps the first of the rows that match on the column (on every column without one)
+    dedupe(t, st){
+      const cols = stepCols(t, st, true), seen = new Set();
+      return Object.assign({}, t, { rows: t.rows.filter(r=>{
+        const k = rowKey(r, cols);
+        if(seen.has(k)) return false;
+        seen.add(k);
+        return true;
+      }) });
+    },
+    fill(t, st){
+      const col = stepCols(t, st)[0], cs = t.schema[col];
+      let value = st.value == null ? '' : st.value, above = null;
+      if(st.method === 'mean' || st.method === 'median'){
+        const xs = t.rows.map(r=> cellNum(r[col], cs)).filter(x=> isFinite(x)).sort((a,b)=> a - b);
+        if(!xs.length) throw new Error(col + ' has no numbers to take the ' + st.method + ' of');
+        const m = xs.length >> 1;
+        value = st.method === 'mean' ? xs.reduce((a,x)=> a + x, 0) / xs.length : xs.length % 2 ? xs[m] : (xs[m-1] + xs[m]) / 2;
+      }
+      return mapCells(t, [col], v=>{
+        if(!isBlank(v)){ above = v; return v; }
+        if(st.method === 'previous') return above === null ? v : above;
+        return value;
+      });
+    },
+    // drops the rows where the column (any column without one) is blank
+    drop(t, st){
+      const cols = stepCols(t, st, true);
+      return Object.assign({}, t, { rows: t.rows.filter(r=> !cols.some(c=> isBlank(r[c]))) });
+    },
+    rename(t, st){
+      const col = stepCols(t, st)[0], to = String(st.to || '').trim();
+      if(!to) throw new Error('Give the new name');
+      if(t.cols.includes(to)) throw new Error('There is already a column named "' + to + '"');
+      const schema = Object.assign({}, t.schema);
+      schema[to] = schema[col];
+      delete schema[col];
+      return {
+        cols: t.cols.map(c=> c === col ? to : c),
+        rows: t.rows.map(r=>{ const o = Object.assign({}, r); o[to] = o[col]; delete o[col]; return o; }),
+        schema
+      };
+    },
+    // new columns from the parts of a column; the last one takes whatever is left over
+    split(t, st){
+      const col = stepCols(t, st)[0];
+      const names = (st.into || []).map(n=> String(n).trim()).filter(Boolean);
+      if(!st.sep) throw new Error('Give the separator');
+      if(!names.length) throw new Error('Name the new columns');
+      names.forEach(n=>{ if(t.cols.includes(n)) throw new Error('There is already a column named "' + n + '"'); });
+      const rows = t.rows.map(r=>{
+        const parts = isBlank(r[col]) ? [] : String(r[col]).split(st.sep);
+        const o = Object.assign({}, r);
+        names.forEach((n,i)=>{
+          const p = i === names.length - 1 ? parts.slice(i).join(st.sep) : parts[i];
+          o[n] = p === undefined ? '' : p.trim();
+        });
+        if(!st.keep) delete o[col];
+        return o;
+      });
+      const schema = Object.assign({}, t.schema);
+      if(!st.keep) delete schema[col];
+      Object.assign(schema, inferSchema(names, rows));
+      const at = t.cols.indexOf(col);
+      return { cols: t.cols.slice(0, at).concat(st.keep ? [col] : [], names, t.cols.slice(at + 1)), rows, schema };
+    },
+    // st.values: {old value: new value}, matched on the trimmed text
+    map(t, st){
+      const col = stepCols(t, st)[0], values = st.values || {};
+      return mapCells(t, [col], v=>{
+        const k = v == null ? '' : String(v).trim();
+        return Object.prototype.hasOwnProperty.call(values, k) ? values[k] : v;
+      });
+    },
+    replace(t, st){
+      if(!st.find) throw new Error('Give the text to find');
+      let re;
+      try{ re = new RegExp(st.regex ? st.find : st.find.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g'); }
+      catch(e){ throw new Error('Bad pattern: ' + e.message); }
+      const by = st.replace == null ? '' : String(st.replace);
+      return mapCells(t, stepCols(t, st, true), v=>{
+        if(v == null || v === '') return v;
+        const s = String(v), out = st.regex ? s.replace(re, by) : s.replace(re, ()=> by);
+        return out === s ? v : out;
+      });
+    },
+    // drops the rows whose number lies outside the bounds (see outlierBounds)
+    outliers(t, st){
+      const col = stepCols(t, st)[0], cs = t.schema[col];
+      if(!cs || !isNumericType(cs.type)) throw new Error(col + ' is not a number column');
+      const b = outlierBounds(t.rows.map(r=> cellNum(r[col], cs)), st.method === 'zscore' ? 'zscore' : 'iqr');
+      if(!b) return t;
+      return Object.assign({}, t, { rows: t.rows.filter(r=>{ const v = cellNum(r[col], cs); return !isFinite(v) || (v >= b.lo && v <= b.hi); }) });
+    }
+  };
+
+  // Run a recipe over a table {cols, rows, schema}. A step that cannot run (a
+  // missing column, a bad pattern) is skipped, with its message in errors[i].
+  function applyRecipe(table, steps){
+    let t = { cols: table.cols.slice(), rows: table.rows, schema: Object.assign({}, table.schema) };
+    const errors = [];
+    steps.forEach((st, i)=>{
+      try{
+        if(!st || !CLEAN_APPLY[st.op]) throw new Error('Unknown step: ' + (st && st.op));
+        t = CLEAN_APPLY[st.op](t, st);
+      } catch(e){ errors[i] = e.message; }
+    });
+    return Object.assign(t, { errors });
+  }
+
+  // one line per step for the recipe list
+  function cleanStepText(st){
+    const q = v => '"' + v + '"';
+    const where = st.col || 'all columns';
+    switch(st.op){
+      case 'trim': return 'Trim whitespace in ' + where;
+      case 'dedupe': return 'Remove duplicate rows' + (st.col ? ' by ' + st.col : '');
+      case 'fill': return 'Fill missing ' + st.col + ' with ' + (st.method === 'value' || !FILL_METHODS[st.method] ? q(st.value) : FILL_METHODS[st.method]);
+      case 'drop': return 'Drop rows with ' + (st.col ? 'no ' + st.col : 'any missing value');
+      case 'rename': return 'Rename ' + st.col + ' to ' + st.to;
+      case 'split': return 'Split ' + st.col + ' on ' + q(st.sep) + ' into ' + (st.into || []).join(', ') + (st.keep ? '' : ' (dropping ' + st.col + ')');
+      case 'map': {
+        const pairs = Object.keys(st.values || {}).map(k=> (k || '(blank)') + ' → ' + st.values[k]);
+        return 'Map ' + st.col + ': ' + pairs.slice(0,3).join(', ') + (pairs.length > 3 ? ' +' + (pairs.length - 3) : '');
+      }
+      case 'replace': return 'Replace ' + q(st.find) + ' with ' + q(st.replace || '') + ' in ' + where + (st.regex ? ' (pattern)' : '');
+      case 'outliers': return 'Exclude ' + (st.method === 'zscore' ? 'z-score' : 'IQR') + ' outliers in ' + st.col;
+      default: return String(st.op);
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Formulas: a small expression language for calculated columns (one value per
+  // row) and KPI measures (aggregates over the filtered rows). Formulas are
+  // parsed into a tree and interpreted, so they can only read cells and call the
+  // functions below.
+  //   literals   12.5  "text"  TRUE  FALSE
+  //   columns    Sales  [Unit Price]   (matched case-insensitively)
+  //   operators  + - * / % ^   & (joins text)   = != <> < <= > >=   AND OR NOT
+  // Blank or non-numeric cells are null. Arithmetic on null gives null, and so
+  // does division by zero. Aggregates skip nulls.
+  // ---------------------------------------------------------------------------
+
+  const MEASURE_FORMATS = { number:'Number', money:'Money', percent:'Percent' };
+
+  // number for a formula value, null when it has none
+  function formulaNum(v){
+    if(v === null || v === undefined) return null;
+    if(typeof v === 'boolean') return v ? 1 : 0;
+    if(typeof v === 'number') return isFinite(v) ? v : null;
+    const s = String(v).trim();
+    return s !== '' && isFinite(Number(s)) ? Number(s) : null;
+  }
+
+  function formulaNums(values){
+    const out = [];
+    values.forEach(v=>{ const x = formulaNum(v); if(x !== null) out.push(x); });
+    return out;
+  }
+
+  function formulaTruthy(v){
+    return v !== null && v !== false && v !== 0 && v !== '';
+  }
+
+  const finiteOrNull = x => isFinite(x) ? x : null;
+  const formulaMath = f => a =>{ const x = formulaNum(a[0]); return x === null ? null : finiteOrNull(f(x)); };
+  const formulaText = f => a => a[0] === null ? null : f(String(a[0]));
+  // year or month of a date column's value (dates reach formulas as 'YYYY-MM-DD')
+  const formulaDatePart = (from, to)=> a => /^\d{4}-\d{2}/.test(String(a[0])) ? Number(String(a[0]).slice(from, to)) : null;
+  const formulaExtreme = pick => a =>{ const xs = formulaNums(a); return xs.length ? xs.reduce(pick) : null; };
+
+  // scalar functions: [fewest args, most args, implementation over the evaluated args]
+  // (IF is evaluated lazily by evalFormula)
+  const FORMULA_FUNCTIONS = {
+    ABS:      [1, 1, formulaMath(Math.abs)],
+    ROUND:    [1, 2, a=>{ const x = formulaNum(a[0]), d = a.length > 1 ? formulaNum(a[1]) : 0; return x === null || d === null ? null : finiteOrNull(Math.round(x * Math.pow(10, d)) / Math.pow(10, d)); }],
+    FLOOR:    [1, 1, formulaMath(Math.floor)],
+    CEILING:  [1, 1, formulaMath(Math.ceil)],
+    SQRT:     [1, 1, formulaMath(Math.sqrt)],
+    LN:       [1, 1, formulaMath(Math.log)],
+    EXP:      [1, 1, formulaMath(Math.exp)],
+    MIN:      [2, Infinity, formulaExtreme((a,b)=> Math.min(a, b))],
+    MAX:      [2, Infinity, formulaExtreme((a,b)=> Math.max(a, b))],
+    IF:       [2, 3, null],
+    COALESCE: [1, Infinity, a=>{ const v = a.find(v=> v !== null && v !== ''); return v === undefined ? null : v; }],
+    ISBLANK:  [1, 1, a=> a[0] === null || a[0] === ''],
+    LEN:      [1, 1, formulaText(s=> s.length)],
+    UPPER:    [1, 1, formulaText(s=> s.toUpperCase())],
+    LOWER:    [1, 1, formulaText(s=> s.toLowerCase())],
+    TRIM:     [1, 1, formulaText(s=> s.trim())],
+    CONCAT:   [1, Infinity, a=> a.map(v=> v === null ? '' : String(v)).join('')],
+    LEFT:     [2, 2, a=>{ const n = formulaNum(a[1]); return a[0] === null || n === null ? null : String(a[0]).slice(0, Math.max(0, n)); }],
+    RIGHT:    [2, 2, a=>{ const n = formulaNum(a[1]), s = String(a[0]); return a[0] === null || n === null ? null : s.slice(Math.max(0, s.length - n)); }],
+    YEAR:     [1, 1, formulaDatePart(0, 4)],
+    MONTH:    [1, 1, formulaDatePart(5, 7)]
+  };
+
+  // aggregates (measures only): [fewest args, most args, implementation over the
+  // argument's value per row — or over the rows themselves for COUNTROWS()].
+  // MIN and MAX with one argument are aggregates, with more they compare values.
+  const FORMULA_AGGREGATES = {
+    SUM:           [1, 1, vs=> formulaNums(vs).reduce((a,x)=> a + x, 0)],
+    AVG:           [1, 1, vs=>{ const xs = formulaNums(vs); return xs.length ? xs.reduce((a,x)=> a + x, 0) / xs.length : null; }],
+    MIN:           [1, 1, formulaExtreme((a,b)=> Math.min(a, b))],
+    MAX:           [1, 1, formulaExtreme((a,b)=> Math.max(a, b))],
+    MEDIAN:        [1, 1, vs=>{ const xs = formulaNums(vs).sort((a,b)=> a - b), m = xs.length >> 1; return !xs.length ? null : xs.length % 2 ? xs[m] : (xs[m-1] + xs[m]) / 2; }],
+    COUNT:         [1, 1, vs=> vs.filter(v=> v !== null && v !== '').length],
+    DISTINCTCOUNT: [1, 1, vs=> new Set(vs.filter(v=> v !== null && v !== '').map(String)).size],
+    COUNTROWS:     [0, 0, rows=> rows.length]
+  };
+
+  const FORMULA_COMPARE = {
+    '=': (a,b)=> a === b, '!=': (a,b)=> a !== b,
+    '<': (a,b)=> a < b, '<=': (a,b)=> a <= b, '>': (a,b)=> a > b, '>=': (a,b)=> a >= b
+  };
+  const FORMULA_ARITHMETIC = {
+    '+': (a,b)=> a + b, '-': (a,b)=> a - b, '*': (a,b)=> a * b,
+    '/': (a,b)=> a / b, '%': (a,b)=> a % b, '^': (a,b)=> Math.pow(a, b)
+  };
+
+  // number | "text" | 'text' | [column] | name | operator
+  const FORMULA_TOKEN = /\s*(?:(\d+(?:\.\d*)?(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)|"([^"]*)"|'([^']*)'|\[([^\]]+)\]|([A-Za-z_][\w.]*)|(<=|>=|<>|!=|==|[-+*\/%^&=<>(),]))/iy;
+
+  function tokenizeFormula(src){
+    const out = [];
+    let i = 0;
+    while(i < src.length){
+      FORMULA_TOKEN.lastIndex = i;
+      const m = FORMULA_TOKEN.exec(src);
+      if(!m){
+        if(/^\s*$/.test(src.slice(i))) break;
+        const at = i + src.slice(i).search(/\S/);
+        throw new Error((src[at] === '"' || src[at] === "'" ? 'Unclosed text' : 'Unexpected "' + src[at] + '"') + ' at position ' + (at + 1));
+      }
+      const at = FORMULA_TOKEN.lastIndex - m[0].trimStart().length;
+      if(m[1] !== undefined) out.push({ t:'num', v: Number(m[1]), at });
+      else if(m[2] !== undefined || m[3] !== undefined) out.push({ t:'str', v: m[2] !== undefined ? m[2] : m[3], at });
+      else if(m[4] !== undefined) out.push({ t:'col', v: m[4].trim(), at });
+      else if(m[5] !== undefined) out.push({ t:'id', v: m[5], at });
+      else out.push({ t:'op', v: m[6], at });
+      i = FORMULA_TOKEN.lastIndex;
+    }
+    return out;
+  }
+
+  // formula text → tree of {t:'val', v} | {t:'col', name} | {t:'un', op, a} |
+  // {t:'bin', op, a, b} | {t:'call', fn, args}; throws on a syntax error
+  function parseFormula(src){
+    const toks = tokenizeFormula(src);
+    let p = 0;
+    const isOp = (...ops)=> p < toks.length && toks[p].t === 'op' && ops.includes(toks[p].v);
+    const isWord = w => p < toks.length && toks[p].t === 'id' && toks[p].v.toUpperCase() === w;
+    const fail = tok =>{ throw new Error(tok ? 'Unexpected "' + tok.v + '" at position ' + (tok.at + 1) : 'The formula ends too early'); };
+    const expect = op =>{ if(!isOp(op)) fail(toks[p]); p++; };
+    function or(){ let a = and(); while(isWord('OR')){ p++; a = { t:'bin', op:'OR', a, b: and() }; } return a; }
+    function and(){ let a = not(); while(isWord('AND')){ p++; a = { t:'bin', op:'AND', a, b: not() }; } return a; }
+    function not(){ if(isWord('NOT')){ p++; return { t:'un', op:'NOT', a: not() }; } return compare(); }
+    function compare(){
+      const a = sum();
+      if(!isOp('=', '==', '!=', '<>', '<', '<=', '>', '>=')) return a;
+      const op = { '==':'=', '<>':'!=' }[toks[p].v] || toks[p].v;
+      p++;
+      return { t:'bin', op, a, b: sum() };
+    }
+    function sum(){ let a = product(); while(isOp('+', '-', '&')){ const op = toks[p++].v; a = { t:'bin', op, a, b: product() }; } return a; }
+    function product(){ let a = unary(); while(isOp('*', '/', '%')){ const op = toks[p++].v; a = { t:'bin', op, a, b: unary() }; } return a; }
+    function unary(){
+      if(isOp('-', '+')){ const op = toks[p++].v, a = unary(); return op === '-' ? { t:'un', op:'-', a } : a; }
+      const a = primary();
+      if(isOp('^')){ p++; return { t:'bin', op:'^', a, b: unary() }; }
+      return a;
+    }
+    function primary(){
+      const tok = toks[p++];
+      if(!tok) fail(null);
+      if(tok.t === 'num' || tok.t === 'str') return { t:'val', v: tok.v };
+      if(tok.t === 'col') return { t:'col', name: tok.v };
+      if(tok.t === 'op'){
+        if(tok.v !== '(') fail(tok);
+        const e = or();
+        expect(')');
+        return e;
+      }
+      const word = tok.v.toUpperCase();
+      if(isOp('(')){
+        p++;
+        const args = [];
+        if(!isOp(')')) for(;;){ args.push(or()); if(!isOp(',')) break; p++; }
+        expect(')');
+        return { t:'call', fn: word, args };
+      }
+      if(word === 'TRUE' || word === 'FALSE') return { t:'val', v: word === 'TRUE' };
+      if(word === 'AND' || word === 'OR' || word === 'NOT') fail(tok);
+      return { t:'col', name: tok.v };
+    }
+    if(!toks.length) throw new Error('The formula is empty');
+    const tree = or();
+    if(p < toks.length) fail(toks[p]);
+    return tree;
+  }
+
+  // Parse and check a formula against the available columns: {tree, cols}.
+  // Column formulas (measure false) may not aggregate; in measures every column
+  // must sit inside an aggregate, and aggregates do not nest.
+  function compileFormula(src, cols, measure){
+    const tree = parseFormula(src);
+    const byName = new Map();
+    cols.forEach(c=>{ if(!byName.has(c.toLowerCase())) byName.set(c.toLowerCase(), c); });
+    const used = new Set();
+    const arity = (n, lo, hi)=>{
+      if(n.args.length >= lo && n.args.length <= hi) return;
+      throw new Error(n.fn + '() takes ' + (lo === hi ? lo : hi === Infinity ? lo + ' or more' : lo + ' or ' + hi) + ' argument' + (lo === 1 && hi === 1 ? '' : 's'));
+    };
+    (function check(n, inAggregate){
+      if(n.t === 'col'){
+        const c = cols.includes(n.name) ? n.name : byName.get(n.name.toLowerCase());
+        if(!c) throw new Error('Unknown column "' + n.name + '"');
+        if(measure && !inAggregate) throw new Error('Column "' + c + '" needs an aggregate, e.g. SUM(' + c + ')');
+        n.name = c; used.add(c);
+      } else if(n.t === 'un') check(n.a, inAggregate);
+      else if(n.t === 'bin'){ check(n.a, inAggregate); check(n.b, inAggregate); }
+      else if(n.t === 'call'){
+        const agg = FORMULA_AGGREGATES[n.fn] && !(FORMULA_FUNCTIONS[n.fn] && n.args.length > 1);
+        if(agg){
+          if(!measure) throw new Error(n.fn + '() aggregates rows: use it in a KPI measure');
+          if(inAggregate) throw new Error(n.fn + '() cannot be used inside another aggregate');
+          arity(n, FORMULA_AGGREGATES[n.fn][0], FORMULA_AGGREGATES[n.fn][1]);
+          n.agg = true;
+          n.args.forEach(a=> check(a, true));
+          return;
+        }
+        const f = FORMULA_FUNCTIONS[n.fn];
+        if(!f) throw new Error('Unknown function ' + n.fn + '()');
+        arity(n, f[0], f[1]);
+        n.args.forEach(a=> check(a, inAggregate));
+      }
+    })(tree, false);
+    return { tree, cols: Array.from(used) };
+  }
+
+  // Value of a compiled tree. scope.get(col) reads a cell of the current row;
+  // measures pass scope.rows and scope.cell(row, col) for their aggregates.
+  function evalFormula(n, scope){
+    if(n.t === 'val') return n.v;
+    if(n.t === 'col') return scope.get(n.name);
+    if(n.t === 'un'){
+      const a = evalFormula(n.a, scope);
+      if(n.op === 'NOT') return a === null ? null : !formulaTruthy(a);
+      const x = formulaNum(a);
+      return x === null ? null : -x;
+    }
+    if(n.t === 'call'){
+      if(n.agg){
+        const f = FORMULA_AGGREGATES[n.fn][2];
+        if(!n.args.length) return f(scope.rows);
+        return f(scope.rows.map(r=> evalFormula(n.args[0], { get: c=> scope.cell(r, c) })));
+      }
+      if(n.fn === 'IF') return formulaTruthy(evalFormula(n.args[0], scope)) ? evalFormula(n.args[1], scope) : (n.args.length > 2 ? evalFormula(n.args[2], scope) : null);
+      return FORMULA_FUNCTIONS[n.fn][2](n.args.map(a=> evalFormula(a, scope)));
+    }
+    const a = evalFormula(n.a, scope);
+    if(n.op === 'AND') return formulaTruthy(a) && formulaTruthy(evalFormula(n.b, scope));
+    if(n.op === 'OR') return formulaTruthy(a) || formulaTruthy(evalFormula(n.b, scope));
+    const b = evalFormula(n.b, scope);
+    if(n.op === '&') return (a === null ? '' : String(a)) + (b === null ? '' : String(b));
+    if(FORMULA_COMPARE[n.op]){
+      if(a === null || b === null) return n.op === '=' ? a === b : n.op === '!=' ? a !== b : false;
+      const x = formulaNum(a), y = formulaNum(b);
+      return x !== null && y !== null ? FORMULA_COMPARE[n.op](x, y) : FORMULA_COMPARE[n.op](String(a).toLowerCase(), String(b).toLowerCase());
+    }
+    const x = formulaNum(a), y = formulaNum(b);
+    return x === null || y === null ? null : finiteOrNull(FORMULA_ARITHMETIC[n.op](x, y));
+  }
+
+  // a cell as formulas see it: numbers for numeric columns (converted by the optional fx,
+  // as measures read them), 'YYYY-MM-DD' for dates, text otherwise; null when blank or unreadable
+  function formulaValue(r, col, schema, fx){
+    const cs = schema[col], v = r[col];
+    if(cs && isNumericType(cs.type)){
+      const n = fx ? cellAmount(r, col, schema, fx) : cellNum(v, cs);
+      return isFinite(n) ? n : null;
+    }
+    if(isBlank(v)) return null;
+    if(cs && cs.type === 'date') return dayKeyOf(v, cs) || null;
+    return typeof v === 'number' ? v : String(v);
+  }
+
+  // what a calculated column stores for a row: '' for null, TRUE/FALSE for booleans
+  function calcValue(r, f, schema){
+    const v = evalFormula(f.tree, { get: col=> formulaValue(r, col, schema) });
+    return v === null ? '' : typeof v === 'boolean' ? (v ? 'TRUE' : 'FALSE') : v;
+  }
+
+  // A dataset with calculated columns ({name, formula} in order, so each can use the ones
+  // above it) added to copies of its rows, typed as the Formulas panel types them.
+  // Unlike the panel, which leaves a failing column out, a failing formula throws.
+  function withCalcColumns(data, columns){
+    const cols = data.cols.slice(), schema = Object.assign({}, data.schema);
+    const rows = data.rows.map(r=> Object.assign({}, r));
+    (columns || []).forEach(def=>{
+      if(!def.name && !String(def.formula || '').trim()) return;
+      if(!def.name) throw new Error('A calculated column needs a name');
+      if(cols.includes(def.name)) throw new Error('Calculated column "' + def.name + '": there is already a column with this name');
+      let f;
+      try{ f = compileFormula(String(def.formula || ''), cols, false); }
+      catch(e){ throw new Error('Calculated column "' + def.name + '": ' + e.message); }
+      rows.forEach(r=>{ r[def.name] = calcValue(r, f, schema); });
+      schema[def.name] = Object.assign({ tz:'', calc: def.formula }, inferColumn(rows.slice(0, 1000).map(r=> r[def.name])));
+      cols.push(def.name);
+    });
+    return Object.assign({}, data, { cols, rows, schema });
+  }
+
+  // value of a KPI measure over rows, amounts converted by the optional fx (NaN when not a number)
+  function measureValue(f, rows, schema, fx){
+    const x = formulaNum(evalFormula(f.tree, { rows, cell: (r, c)=> formulaValue(r, c, schema, fx) }));
+    return x === null ? NaN : x;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Importers. Every format ends up as a table of raw rows keyed by its header
+  // ({fields, rows, errors}) and goes through the same column cleaning and
+  // aggregation. Delimited text is streamed (streamParse); the other readers
+  // return the whole table. To add a format: write a reader(blob, name, plan),
+  // list its extensions in IMPORT_EXTS and register it in READERS.
+  // ---------------------------------------------------------------------------
+
+  const IMPORT_EXTS = {
+    delimited: ['csv','tsv','tab','txt'],
+    json:      ['json'],
+    ndjson:    ['ndjson','jsonl'],
+    excel:     ['xlsx','xlsm','xlsb','xls','ods']
+  };
+
+  // rows handed to the cube/UI per message for formats that are read whole
+  const INGEST_BATCH = 20000;
+
+  // importer kind for a file name, or null when unsupported
+  function importKind(name){
+    const ext = String(name).toLowerCase().split('.').pop();
+    for(const kind in IMPORT_EXTS) if(IMPORT_EXTS[kind].includes(ext)) return kind;
+    return null;
+  }
+
+  // Guess the delimiter from the first lines: the candidate that appears the
+  // same (non-zero) number of times on every line wins; tab and semicolon are
+  // preferred over comma so that "1,5;2,3" style European files split correctly.
+  async function sniffDelimiter(blob){
+    const sample = await blob.slice(0, 64*1024).text();
+    const lines = sample.split(/\r?\n/).slice(0, 21);
+    if(lines.length > 1) lines.pop(); // last line may be cut by the slice
+    const candidates = ['\t', ';', '|', ','];
+    const countIn = (line, d)=>{
+      let n = 0, quoted = false;
+      for(const ch of line){ if(ch === '"') quoted = !quoted; else if(ch === d && !quoted) n++; }
+      return n;
+    };
+    const useful = lines.filter(l=> l.trim() !== '');
+    if(!useful.length) return ',';
+    for(const d of candidates){
+      const counts = useful.map(l=> countIn(l, d));
+      if(counts[0] > 0 && counts.every(c=> c === counts[0])) return d;
+    }
+    let best = ',', bestCount = 0;
+    candidates.forEach(d=>{ const c = countIn(useful[0], d); if(c > bestCount){ best = d; bestCount = c; } });
+    return best;
+  }
+
+  // Flatten nested objects into dotted keys; arrays of scalars are joined,
+  // anything deeper inside an array is kept as JSON text.
+  function flattenRecord(obj, prefix, out){
+    out = out || {};
+    for(const k in obj){
+      const v = obj[k], key = prefix ? prefix + '.' + k : k;
+      if(v !== null && typeof v === 'object' && !Array.isArray(v)) flattenRecord(v, key, out);
+      else if(Array.isArray(v)) out[key] = v.every(x=> x === null || typeof x !== 'object') ? v.join(', ') : JSON.stringify(v);
+      else out[key] = v;
+    }
+    return out;
+  }
+
+  // table from a list of (possibly nested) records; fields in first-seen order
+  function recordsToTable(records, errors){
+    const fields = [], seen = new Set();
+    const rows = records.map(rec=>{
+      const flat = (rec !== null && typeof rec === 'object' && !Array.isArray(rec)) ? flattenRecord(rec) : { value: rec };
+      for(const k in flat) if(!seen.has(k)){ seen.add(k); fields.push(k); }
+      return flat;
+    });
+    return { fields, rows, errors: errors || [] };
+  }
+
+  // JSON: an array of objects, or an object holding one (e.g. {"data":[...]})
+  async function readJSON(blob){
+    const data = JSON.parse(await blob.text());
+    let records = data;
+    if(!Array.isArray(data)){
+      records = [data];
+      if(data && typeof data === 'object'){
+        for(const k in data) if(Array.isArray(data[k]) && data[k].some(x=> x && typeof x === 'object')){ records = data[k]; break; }
+      }
+    }
+    return recordsToTable(records);
+  }
+
+  // NDJSON / JSON Lines: one object per line; bad lines are reported, not fatal
+  async function readNDJSON(blob){
+    const records = [], errors = [];
+    (await blob.text()).split(/\r?\n/).forEach((line, i)=>{
+      if(!line.trim()) return;
+      try{ records.push(JSON.parse(line)); }
+      catch(e){ errors.push({ type:'JSON', line: i + 1, message: e.message }); }
+    });
+    return recordsToTable(records, errors);
+  }
+
+  // field names from a sheet's first row: blanks become Column_N, repeats get _2, _3…
+  function sheetHeader(row){
+    const seen = {};
+    return row.map((h,i)=>{
+      let f = String(h === '' || h == null ? 'Column_' + (i+1) : h);
+      if(seen[f]) f = f + '_' + (++seen[f]); else seen[f] = 1;
+      return f;
+    });
+  }
+
+  // Excel/ODS via SheetJS; plan.sheets[name] picks the sheet (first one by default).
+  // Dates come back as YYYY-MM-DD (plus time when present) rather than Date objects.
+  async function readWorkbook(blob, name, plan){
+    await needLib('xlsx');
+    const wb = XLSX.read(new Uint8Array(await blob.arrayBuffer()), { type:'array', cellDates:true, dense:true });
+    const sheet = (plan && plan.sheets && plan.sheets[name]) || wb.SheetNames[0];
+    const ws = wb.Sheets[sheet];
+    if(!ws) throw new Error('Sheet "' + sheet + '" not found in ' + name);
+    const grid = XLSX.utils.sheet_to_json(ws, { header:1, defval:'', raw:true, blankrows:false });
+    const pad = n => String(n).padStart(2,'0');
+    const cell = v => {
+      if(!(v instanceof Date)) return v;
+      const day = v.getFullYear() + '-' + pad(v.getMonth()+1) + '-' + pad(v.getDate());
+      return (v.getHours() || v.getMinutes() || v.getSeconds()) ? day + ' ' + pad(v.getHours()) + ':' + pad(v.getMinutes()) + ':' + pad(v.getSeconds()) : day;
+    };
+    const fields = sheetHeader(grid[0] || []);
+    const rows = grid.slice(1).map(r=>{
+      const o = {};
+      fields.forEach((f,i)=> o[f] = cell(r[i] === undefined ? '' : r[i]));
+      return o;
+    });
+    return { fields, rows, errors: [] };
+  }
+
+  // whole-table read for small delimited files (lookup tables)
+  async function readDelimited(blob){
+    const parsed = Papa.parse(await blob.text(), { header:true, skipEmptyLines:true, delimiter: await sniffDelimiter(blob) });
+    return { fields: parsed.meta.fields || [], rows: parsed.data, errors: parsed.errors || [] };
+  }
+
+  const READERS = { delimited: readDelimited, json: readJSON, ndjson: readNDJSON, excel: readWorkbook };
+
+  // Whole table for any supported format
+  async function readTable(blob, name, plan){
+    const kind = importKind(name);
+    if(!kind) throw new Error('Unsupported file type: ' + name);
+    return READERS[kind](blob, name, plan);
+  }
+
+  // Turn one batch of raw rows into cleaned rows and emit them with their cube.
+  // `state` is shared by every file of a load so that several files end up as one dataset:
+  //   state.cols/mapping  fixed by the first file (meta is emitted once)
+  //   state.sourceCol     when set, each row records the file it came from
+  //   state.lookup        optional lookup table joined onto each row (see buildLookup)
+  //   state.fx            {rates, currency} converting the cubes' amounts (see fxSpec)
+  // `part` ({name, index, count}) places this file within the load; `frac` is the
+  // share of the file done after this batch. emit() receives:
+  //   {type:'meta', cols, mapping, schema}    once, after the first batch
+  //   {type:'chunk', rows, cube, loaded, total, errors, errorCount}
+  // `errors` index this batch's raw rows by their `row`, if they name one. They are
+  // emitted (at most MAX_PARSE_ERRORS per batch) as {file, code, message, row, rowNumber, line}:
+  // row indexes the loaded rows (-1 when the row was dropped), rowNumber counts the data
+  // rows of the file from 1 (null when unknown), and line is the file's line where the
+  // reader knows it (NDJSON).
+  function ingestRows(raw, rawFields, emit, state, part, frac, errors){
+    if(state.part !== part.index){ state.part = part.index; state.fileStart = state.rowCount; }
+    const fileCols = rawFields.map(c=> cleanName(c));
+    if(!state.cols){
+      state.cols = fileCols.slice();
+      if(state.sourceCol) state.cols.push(state.sourceCol);
+      if(state.lookup) state.lookup.outCols = state.lookup.cols.map(c=>{
+        const out = state.cols.includes(c) ? c + '_' + state.lookup.tag : c;
+        state.cols.push(out);
+        return out;
+      });
+    }
+    const rows = raw.map(r=>{
+      const o = {};
+      rawFields.forEach((rf,i)=> o[fileCols[i]] = r[rf]);
+      if(state.sourceCol) o[state.sourceCol] = part.name;
+      if(state.lookup) joinLookup(o, state.lookup);
+      return o;
+    });
+    if(!state.mapping){
+      state.schema = inferSchema(state.cols, rows);
+      state.mapping = detectMapping(state.cols, state.schema);
+      state.cubeFx = state.fx && fxSpec(state.fx.rates, state.mapping, state.schema, state.fx.currency);
+      emit({ type:'meta', cols: state.cols, mapping: state.mapping, schema: state.schema });
+    }
+    const issues = (errors || []).slice(0, MAX_PARSE_ERRORS).map(e=>({
+      file: part.name, code: e.code || e.type || 'Error', message: e.message,
+      row: e.row != null && e.row >= 0 && e.row < rows.length ? state.rowCount + e.row : -1,
+      rowNumber: e.row != null && e.row >= 0 ? state.rowCount - state.fileStart + e.row + 1 : null,
+      line: e.line || null
+    }));
+    state.rowCount += rows.length;
+    const cube = cubeAddRows(createCube(state.mapping, state.schema, state.cubeFx), rows, state.mapping, state.cols, state.schema);
+    emit({ type:'chunk', rows, cube, loaded: part.index + Math.min(frac, 1), total: part.count, errors: issues, errorCount: (errors || []).length });
+  }
+
+  // Stream one delimited Blob through PapaParse chunk by chunk (see ingestRows), stopping
+  // at the next chunk once state.signal is aborted.
+  // Without FileReader (Node) PapaParse cannot read a Blob, so it gets the text.
+  async function streamParse(source, emit, state, part, delimiter){
+    let rawFields = null, seen = 0, first = true;
+    const size = source.size || 0;
+    const input = typeof FileReader === 'undefined' ? await source.text() : source;
+    return new Promise((resolve, reject)=>{
+      Papa.parse(input, {
+        header: true,
+        delimiter: delimiter || '',
+        chunkSize: STREAM_CHUNK,
+        chunk(res, parser){
+          if(state.signal && state.signal.aborted){ parser.abort(); return; }
+          if(!rawFields) rawFields = res.meta.fields || [];
+          const frac = size ? Math.min(res.meta.cursor || 0, size) / size : 0;
+          // Blank lines are dropped here rather than by Papa's skipEmptyLines, which leaves
+          // its error rows pointing past them. Papa counts field-count errors over the
+          // file's rows and quote errors over the chunk's (the header among them at first).
+          const rows = [], at = res.data.map(r=>{
+            const keys = Object.keys(r);
+            if(keys.length === 1 && r[keys[0]] === '') return -1;
+            rows.push(r);
+            return rows.length - 1;
+          });
+          const errors = [];
+          res.errors.forEach(e=>{
+            if(e.row == null){ errors.push(e); return; }
+            const i = e.type === 'FieldMismatch' ? e.row - seen : e.row - (first ? 1 : 0);
+            if(at[i] === -1) return; // the blank line itself
+            errors.push(Object.assign({}, e, { row: i >= 0 && i < at.length ? at[i] : null }));
+          });
+          seen += res.data.length; first = false;
+          ingestRows(rows, rawFields, emit, state, part, frac, errors);
+        },
+        complete(){ resolve(); },
+        error(err){ reject(err); }
+      });
+    });
+  }
+
+  // Feed one file of any supported format into the load
+  async function ingestFile(blob, name, emit, state, part, plan){
+    const kind = importKind(name);
+    if(!kind) throw new Error('Unsupported file type: ' + name);
+    if(kind === 'delimited') return streamParse(blob, emit, state, part, await sniffDelimiter(blob));
+    const table = await READERS[kind](blob, name, plan);
+    const total = table.rows.length;
+    if(!total){ ingestRows([], table.fields, emit, state, part, 1, table.errors); return; }
+    for(let i=0;i<total;i+=INGEST_BATCH){
+      if(state.signal && state.signal.aborted) return;
+      // each error goes with the batch holding its row; those without one with the first
+      const errors = table.errors.filter(e=> e.row == null ? i === 0 : e.row >= i && e.row < i + INGEST_BATCH)
+        .map(e=> e.row == null ? e : Object.assign({}, e, { row: e.row - i }));
+      ingestRows(table.rows.slice(i, i+INGEST_BATCH), table.fields, emit, state, part, (i+INGEST_BATCH)/total, errors);
+    }
+  }
+
+  // Index a (small) lookup table by its key column for joinLookup
+  function buildLookup(table, key, name){
+    const rawFields = table.fields;
+    const cols = rawFields.map(c=> cleanName(c));
+    const keyIdx = cols.indexOf(key);
+    if(keyIdx < 0) throw new Error('Key column "' + key + '" not found in ' + name);
+    const byKey = new Map();
+    table.rows.forEach(r=>{
+      const k = String(r[rawFields[keyIdx]] == null ? '' : r[rawFields[keyIdx]]).trim();
+      if(!byKey.has(k)) byKey.set(k, rawFields.map(rf=> r[rf]));
+    });
+    const tag = cleanName(name.replace(/^.*\//,'').replace(/\.[^.]+$/,''));
+    return { key, keyIdx, tag, byKey, cols: cols.filter((c,i)=> i !== keyIdx), outCols: null };
+  }
+
+  // Left join: copy the lookup columns matching row[key] onto the row ('' when unmatched)
+  function joinLookup(row, lookup){
+    const hit = lookup.byKey.get(String(row[lookup.key] == null ? '' : row[lookup.key]).trim());
+    let j = 0;
+    for(let i=0;i<=lookup.cols.length;i++){
+      if(i === lookup.keyIdx) continue;
+      row[lookup.outCols[j]] = hit ? hit[i] : '';
+      j++;
+    }
+    return row;
+  }
+
+  // Open an uploaded file and stream it. `plan` (all optional):
+  //   files:  ZIP entries to load; several are union-appended with a source_file column
+  //   join:   { file, key } left-joins a lookup table from the ZIP onto them by `key`
+  //   sheets: { [file name]: sheet } for workbooks
+  // A ZIP without `files` loads its first supported entry. opts (optional): fx
+  // ({rates, currency}, see ingestRows) and signal, an AbortSignal that stops the load
+  // without a 'done' message (a worker is terminated instead).
+  async function loadSource(file, emit, plan, opts){
+    plan = plan || {}; opts = opts || {};
+    const state = { cols: null, mapping: null, schema: null, rowCount: 0, sourceCol: '', lookup: null, part: -1, fileStart: 0,
+      fx: opts.fx || null, cubeFx: null, signal: opts.signal || null };
+    const stopped = ()=> state.signal && state.signal.aborted;
+    if(!file.name.toLowerCase().endsWith('.zip')){
+      await ingestFile(file, file.name, emit, state, { name: file.name, index: 0, count: 1 }, plan);
+      if(!stopped()) emit({ type:'done', rowCount: state.rowCount });
+      return;
+    }
+    const zip = await JSZip.loadAsync(typeof FileReader === 'undefined' ? await file.arrayBuffer() : file);
+    let files = plan.files;
+    if(!files){
+      let first = null;
+      zip.forEach((path, entry)=>{ if(!first && !entry.dir && importKind(path)) first = path; });
+      if(!first) throw new Error('No CSV, Excel or JSON file found inside ZIP');
+      files = [first];
+    }
+    if(files.length > 1) state.sourceCol = 'source_file';
+    if(plan.join){
+      const table = await readTable(await zip.file(plan.join.file).async('blob'), plan.join.file, plan);
+      state.lookup = buildLookup(table, plan.join.key, plan.join.file);
+    }
+    for(let i=0;i<files.length;i++){
+      const entry = zip.file(files[i]);
+      if(!entry) throw new Error(files[i] + ' not found inside ZIP');
+      await ingestFile(await entry.async('blob'), files[i], emit, state, { name: files[i], index: i, count: files.length }, plan);
+      if(stopped()) return;
+    }
+    emit({ type:'done', rowCount: state.rowCount });
+  }
+
+  // An empty in-memory dataset { cols, rows, schema, mapping, errors, errorCount }
+  // and the emit() that fills it from the meta/chunk messages of a load
+  function datasetSink(){
+    const data = { cols: [], rows: [], schema: {}, mapping: {}, errors: [], errorCount: 0 };
+    const emit = msg=>{
+      if(msg.type === 'meta'){ data.cols = msg.cols; data.schema = msg.schema; data.mapping = msg.mapping; }
+      else if(msg.type === 'chunk'){
+        for(const r of msg.rows) data.rows.push(r);
+        msg.errors.forEach(e=>{ if(data.errors.length < MAX_PARSE_ERRORS) data.errors.push(e); });
+        data.errorCount += msg.errorCount;
+      }
+    };
+    return { data, emit };
+  }
+
+  // Load a file to memory on this thread (no worker), for scripts and cli.js
+  // (see datasetSink); the mapping is the detected one
+  async function loadDataset(file, plan){
+    const sink = datasetSink();
+    await loadSource(file, sink.emit, plan);
+    return sink.data;
+  }
+
+  // Chunk rows cross from the worker as arrays in column order, without a key per cell
+  function packChunk(msg, cols){
+    return Object.assign({}, msg, { rows: msg.rows.map(r=> cols.map(c=> r[c])) });
+  }
+
+  // Turns the messages of a worker load back into row objects (see packChunk). The
+  // structured clone gives every cell a string of its own, so repeated text (regions,
+  // dates, channels) is shared between rows here; a column stops being shared once it
+  // has INTERN_MAX distinct values (ids, amounts), where sharing saves nothing.
+  function chunkUnpacker(){
+    let cols = null, pools = null;
+    return msg=>{
+      if(msg.type === 'meta'){ cols = msg.cols; pools = cols.map(()=> new Map()); }
+      if(msg.type !== 'chunk' || !cols) return msg;
+      const rows = new Array(msg.rows.length);
+      for(let i=0;i<rows.length;i++){
+        const a = msg.rows[i], o = {};
+        for(let j=0;j<cols.length;j++){
+          let v = a[j];
+          const pool = pools[j];
+          if(pool && typeof v === 'string'){
+            const hit = pool.get(v);
+            if(hit !== undefined) v = hit;
+            else if(pool.size < INTERN_MAX) pool.set(v, v);
+            else pools[j] = null;
+          }
+          o[cols[j]] = v;
+        }
+        rows[i] = o;
+      }
+      return Object.assign({}, msg, { rows });
+    };
+  }
+
+  const WORKER_HELPERS = [cleanName, isNumericType, currencyOf, currencyCode, targetCurrency, fxSpec, fxFactor, parseNumber, detectSeparators, inferColumn, inferSchema, schemaKey, cellNum,
+    ymdKey, parseDateParts, instantDay, dayKeyOf, detectDateFormat, detectMapping, mappingKey, dimKey, createCube, cubeAddRows,
+    importKind, sniffDelimiter, flattenRecord, recordsToTable, readJSON, readNDJSON, sheetHeader, readWorkbook, readDelimited, readTable,
+    ingestRows, streamParse, ingestFile, buildLookup, joinLookup, loadSource, packChunk];
+
+  // Source for the parse worker: libraries via importScripts, then the helpers above.
+  // Optional libraries (SheetJS) are pulled in by needLib only when a file needs them.
+  function workerSource(){
+    return [
+      `importScripts(${JSON.stringify(CDN.papaparse)}, ${JSON.stringify(CDN.jszip)});`,
+      `const STREAM_CHUNK = ${STREAM_CHUNK}, INGEST_BATCH = ${INGEST_BATCH}, MAX_PARSE_ERRORS = ${MAX_PARSE_ERRORS};`,
+      `const CURRENCY_SYMBOLS = ${JSON.stringify(CURRENCY_SYMBOLS)};`,
+      `const CDN = ${JSON.stringify(CDN)}, IMPORT_EXTS = ${JSON.stringify(IMPORT_EXTS)};`,
+      `function needLib(key){ if(!self[LIB_GLOBALS[key]]) importScripts(CDN[key]); }`,
+      `const LIB_GLOBALS = ${JSON.stringify(LIB_GLOBALS)};`,
+      WORKER_HELPERS.map(f=> f.toString()).join('\n'),
+      `const READERS = { ${Object.keys(READERS).map(k=> k + ': ' + READERS[k].name).join(', ')} };`,
+      `self.onmessage = ev => {
+        if(ev.data.type !== 'parse') return;
+        let cols = null;
+        const post = msg =>{
+          if(msg.type === 'meta') cols = msg.cols;
+          self.postMessage(msg.type === 'chunk' ? packChunk(msg, cols) : msg);
+        };
+        loadSource(ev.data.file, post, ev.data.plan, { fx: ev.data.fx })
+          .catch(err => self.postMessage({ type:'error', message: err.message || String(err) }));
+      };`
+    ].join('\n');
+  }
+
+  // Start a parse worker, or return null where workers (or blob: URLs) are unavailable
+  function createParseWorker(){
+    if(typeof Worker === 'undefined' || typeof Blob === 'undefined' || typeof URL.createObjectURL !== 'function') return null;
+    try{
+      const url = URL.createObjectURL(new Blob([workerSource()], {type:'text/javascript'}));
+      const w = new Worker(url);
+      w.srcUrl = url; // revoked when the load finishes or is cancelled
+      return w;
+    } catch(e){
+      console.warn('Parse worker unavailable, parsing on main thread:', e);
+      return null;
+    }
+  }
+
+  // Everything script.js and cli.js use: module.exports under Node, DashboardCore on a page
+  const core = {
+    // columns, types, numbers and currencies
+    cleanName, COLUMN_TYPES, isNumericType, currencyCode, targetCurrency, fxSpec, parseFxRates,
+    parseNumber, inferColumn, inferSchema, schemaKey, cellNum,
+    // dates and periods
+    DATE_FORMATS, dayKeyOf, detectDateFormat, detectMapping, dimKey, shiftDay, shiftYear, dayDiff,
+    GRANULARITIES, periodKey, nextPeriod, periodBounds, periodRange, movingAverage,
+    // forecasting, customer and product analysis, pivots and SVG charts
+    FORECAST_MODELS, SEASON_LENGTH, holtWintersFit, holtWintersWeight, forecastSeries, backtest,
+    quintileScores, RFM_SEGMENTS, rfmSegment, paretoABC, PIVOT_AGGS, buildPivot, chartSVG,
+    // cube, filters and aggregation
+    createCube, cubeAddRows, cubeMerge, factFilter, extraRowFilter, rowFilter, kpiValues, plainFilters, filtersFromPlain,
+    cellAmount, revenueOf, timeSeries, factTotals, rowTotals, topKeys, topMovers, summarize,
+    // correlation and data quality
+    pearson, correlate, linearFit, QUALITY_DISTINCT_MAX, isBlank, isUnparseable, columnQuality, outlierBounds, rowKey, duplicateRows, seriesAnomalies,
+    // cleaning recipes and formulas
+    CLEAN_STEPS, FILL_METHODS, applyRecipe, cleanStepText,
+    MEASURE_FORMATS, FORMULA_FUNCTIONS, FORMULA_AGGREGATES, compileFormula, evalFormula, calcValue, withCalcColumns, measureValue,
+    // loading files (in a worker or on this thread)
+    needLib, setLibLoader, MAX_PARSE_ERRORS, IMPORT_EXTS, importKind, sheetHeader, readTable, loadSource, datasetSink, loadDataset, chunkUnpacker, createParseWorker
+  };
+
+  if(typeof module === 'object' && module.exports) module.exports = core;
+  else globalThis.DashboardCore = core;
+
+})(); // end IIFE
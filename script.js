@@ -1,40 +1,112 @@
-/* dashboard.js
-   Single-file JavaScript dashboard injector.
-   Usage: include this file in any HTML page:
-     <script src="dashboard.js"></script>
-   The script will:
-   - load PapaParse, JSZip, Chart.js dynamically
+/* script.js
+   JavaScript dashboard injector: the UI over core.js.
+   Usage: include core.js and this file in any HTML page and mount a dashboard
+   where it should go (any number of them; see README for options, methods and events):
+     <script src="core.js"></script>
+     <script src="script.js"></script>
+     Dashboard.mount('#sales', { csv: text }).then(db => db.on('render', …));
+   or opt into the full-page dashboard that fills <body>, keeps its state in
+   the URL and binds the static index.html markup:
+     <script src="script.js" data-auto-mount></script>
+   The data side (parsing, detection, filters, aggregation, formulas, cleaning)
+   is core.js, which cli.js runs under Node for KPI reports.
+   A dashboard will:
+   - load PapaParse, JSZip, Chart.js dynamically (SheetJS only when a workbook is opened)
    - create UI (upload, controls, KPIs, charts, table)
-   - parse CSV or ZIP containing CSV
-   - auto-detect columns and provide slicers/filters
-   - render charts and KPI cards
+   - import CSV/TSV (delimiter sniffed), Excel, JSON or NDJSON, or a ZIP
+     holding one or more of them to pick, append or join
+     (streamed in chunks through a Web Worker, with progress and cancel;
+     falls back to the main thread without Worker support)
+   - auto-detect columns, infer their types and date formats (editable in
+     the schema panel) and provide slicers: a date range, searchable
+     multi-selects or value ranges on any column, filter chips and
+     cross-filtering from chart clicks
+   - when the page already has the static Sales Performance markup
+     (index.html), fill its filters, KPI cards, charts and Top 5 Customers
+   - Overview, Sales (by region/channel), Customers (top-N, new vs
+     returning, RFM) and Products (Pareto/ABC, margin, units) views
+   - pivot builder: row/column fields, sum/count/avg/min/max/distinct
+     values, subtotals and grand totals, sent to a chart on demand
+   - correlation explorer: Pearson or Spearman matrix of the numeric
+     columns with p-values and sample sizes, scatter plot with its
+     regression line per cell
+   - transactions grid over all filtered rows (virtualized): sort, global
+     and per-column search, show/hide and resize columns
+   - data-quality panel after each upload: missing, unparseable and distinct
+     values per column, duplicate rows, parse errors with their row, IQR or
+     z-score outliers and revenue anomalies per period of the time chart
+     (also marked on it); each issue filters the grid to its rows
+   - formulas (parsed and interpreted, never eval'd): calculated columns
+     usable as any other field, and aggregate measures shown as extra KPI
+     cards with an optional target that colours the card
+   - dashboard state (mapping, filters, view, …) in the URL hash, named
+     dashboards in localStorage and the last uploads cached in IndexedDB
+   - export the filtered rows (CSV/XLSX), any chart (PNG/SVG) and a
+     printable HTML/PDF report of the KPIs, charts and active filters
+   - money in a chosen currency, locale, decimals and compact notation;
+     mixed-currency rows converted through an FX rate table (CSV)
+   - render charts and KPI cards (time chart by day/week/month/quarter/year
+     with rolling averages and a revenue/orders forecast — linear trend,
+     Holt-Winters or seasonal naive, 95% bands, backtest MAPE; KPI deltas vs
+     previous period, last year or a custom range — without a date filter,
+     the cards show the latest complete period at the chosen granularity)
+   - comparison with a second dataset under the same mapping (this year
+     against last, forecast against actuals): KPI differences in amount and
+     %, its series on the time chart (matched by date or period by period)
+     and the top movers per product and region
+   - cleaning recipe (trim, dedupe, fill or drop missing values, rename and
+     split columns, map values, find/replace, exclude outliers) with
+     undo/redo, saved as JSON and replayed on the next upload; Download CSV
+     gives the cleaned rows
 */
 
 (function globalDashboard(){
-  // Config: CDN URLs for libraries
-  const CDN = {
-    papaparse: "https://cdn.jsdelivr.net/npm/papaparse@5.4.1/papaparse.min.js",
-    jszip:    "https://cdn.jsdelivr.net/npm/jszip@3.10.1/dist/jszip.min.js",
-    chart:    "https://cdn.jsdelivr.net/npm/chart.js@4.4.0/dist/chart.umd.min.js"
-  };
-
-  // Utility: dynamically load a script and return a Promise
+  // The DOM-free core (core.js), which the page loads before this file
+  const core = globalThis.DashboardCore;
+  if(!core) throw new Error('Dashboard: load core.js before script.js');
+  const {
+    cleanName, COLUMN_TYPES, isNumericType, currencyCode, targetCurrency, fxSpec, parseFxRates,
+    parseNumber, inferColumn, inferSchema, schemaKey, cellNum,
+    DATE_FORMATS, dayKeyOf, detectDateFormat, detectMapping, dimKey, shiftDay, shiftYear, dayDiff,
+    GRANULARITIES, periodKey, nextPeriod, periodBounds, periodRange, movingAverage,
+    FORECAST_MODELS, SEASON_LENGTH, holtWintersFit, holtWintersWeight, forecastSeries, backtest,
+    quintileScores, RFM_SEGMENTS, rfmSegment, paretoABC, PIVOT_AGGS, buildPivot, chartSVG,
+    createCube, cubeAddRows, cubeMerge, factFilter, extraRowFilter, rowFilter, kpiValues, plainFilters, filtersFromPlain,
+    cellAmount, revenueOf, timeSeries, factTotals, rowTotals, topKeys, topMovers, summarize,
+    pearson, correlate, linearFit, QUALITY_DISTINCT_MAX, isBlank, isUnparseable, columnQuality, outlierBounds, rowKey, duplicateRows, seriesAnomalies,
+    CLEAN_STEPS, FILL_METHODS, applyRecipe, cleanStepText,
+    MEASURE_FORMATS, FORMULA_FUNCTIONS, FORMULA_AGGREGATES, compileFormula, evalFormula, calcValue, withCalcColumns, measureValue,
+    needLib, MAX_PARSE_ERRORS, IMPORT_EXTS, importKind, sheetHeader, readTable, loadSource, datasetSink, loadDataset, chunkUnpacker, createParseWorker
+  } = core;
+  core.setLibLoader(loadScript);
+
+  // Utility: dynamically load a script and return a Promise. Every caller gets the
+  // same promise per URL, so mounts started together all wait for the library; a
+  // failed load is forgotten so the next caller tries again.
+  const scriptLoads = {};
   function loadScript(url){
-    return new Promise((resolve, reject)=>{
-      if(document.querySelector(`script[src="${url}"]`)) { resolve(); return; }
-      const s = document.createElement('script');
-      s.src = url;
-      s.onload = ()=>resolve();
-      s.onerror = (e)=>reject(new Error('Failed to load ' + url));
-      document.head.appendChild(s);
+    if(!scriptLoads[url]) scriptLoads[url] = new Promise((resolve, reject)=>{
+      let s = document.querySelector(`script[src="${url}"]`); // a tag of the page that is still loading
+      if(!s){
+        s = document.createElement('script');
+        s.src = url;
+        document.head.appendChild(s);
+      }
+      s.addEventListener('load', ()=> resolve());
+      s.addEventListener('error', ()=>{
+        delete scriptLoads[url];
+        s.remove();
+        reject(new Error('Failed to load ' + url));
+      });
     });
+    return scriptLoads[url];
   }
 
-  // Ensure required libs loaded in sequence
+  // Ensure required libs loaded in sequence (a page may already include Chart.js itself)
   async function ensureLibs(){
-    await loadScript(CDN.papaparse);
-    await loadScript(CDN.jszip);
-    await loadScript(CDN.chart);
+    await needLib('papaparse');
+    await needLib('jszip');
+    await needLib('chart');
   }
 
   // Basic CSS injected for nice look
@@ -57,12 +129,52 @@
   .db-kpi{flex:1;min-width:160px;padding:12px;border-radius:10px;background:linear-gradient(180deg, rgba(255,255,255,0.01), rgba(255,255,255,0.005))}
   .db-kpi .label{color:var(--muted);font-size:13px}
   .db-kpi .value{font-size:20px;font-weight:800;margin-top:6px}
-  .db-kpi .delta{font-size:13px;margin-top:6px}
+  .db-kpi .delta{font-size:13px;margin-top:6px;color:var(--muted)}
+  .db-kpi .delta.up{color:var(--growth)}
+  .db-kpi .delta.down{color:var(--decline)}
+  .db-kpi.good{box-shadow:inset 3px 0 0 var(--growth)}
+  .db-kpi.bad{box-shadow:inset 3px 0 0 var(--decline)}
   .db-grid{display:grid;grid-template-columns:2fr 1fr;gap:12px;margin-top:12px}
   .db-table{width:100%;border-collapse:collapse;color:#d7e7ff}
   .db-table th, .db-table td{padding:8px;border-bottom:1px solid rgba(255,255,255,0.02);text-align:left}
   .db-table th{color:var(--muted);font-size:13px}
+  .db-table td.up{color:var(--growth)}
+  .db-table td.down{color:var(--decline)}
+  .db-recipe{margin:8px 0;padding-left:22px;font-size:13px;color:#d7e7ff}
+  .db-recipe li{padding:2px 0}
+  .db-recipe li.undone{opacity:.45;text-decoration:line-through}
+  .db-vgrid{height:420px;overflow:auto;margin-top:8px;position:relative;font-size:13px;color:#d7e7ff}
+  .db-vgrid-head{position:sticky;top:0;z-index:2;background:var(--card);width:max-content;min-width:100%}
+  .db-vgrid-row{display:flex;width:max-content;min-width:100%}
+  .db-vgrid-body{position:relative}
+  .db-vgrid-body .db-vgrid-row{position:absolute;left:0;border-bottom:1px solid rgba(255,255,255,0.02)}
+  .db-vgrid-cell{flex:none;box-sizing:border-box;padding:6px 8px;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;position:relative}
+  .db-vgrid-cell.num{text-align:right;font-variant-numeric:tabular-nums}
+  .db-vgrid-head .db-vgrid-cell{color:var(--muted);cursor:pointer;user-select:none}
+  .db-vgrid-head input{width:100%;box-sizing:border-box;font-size:12px}
+  .db-vgrid-resize{position:absolute;top:0;right:0;width:6px;height:100%;cursor:col-resize}
   .db-footer{color:var(--muted);font-size:12px;margin-top:12px}
+  .db-progress{display:flex;gap:12px;align-items:center}
+  .db-progress progress{flex:1;height:10px;accent-color:var(--accent)}
+  .db-modal{position:fixed;inset:0;background:rgba(2,6,23,0.72);display:flex;align-items:center;justify-content:center;z-index:50}
+  .db-modal-box{background:var(--card);width:min(680px,92vw);max-height:82vh;overflow:auto}
+  .db-slicer{position:relative;display:inline-block;padding:6px 10px;border-radius:8px;border:1px solid rgba(255,255,255,0.06);font-size:13px}
+  .db-slicer summary{cursor:pointer;color:var(--muted)}
+  .db-slicer-pop{position:absolute;z-index:20;margin-top:8px;left:0;min-width:240px;padding:10px;border-radius:10px;background:var(--card);box-shadow:0 6px 18px rgba(2,6,23,0.6)}
+  .db-slicer-list{max-height:240px;overflow:auto;margin-top:6px}
+  .db-slicer-list label{display:block;padding:2px 0;white-space:nowrap}
+  .db-slicer-x{background:transparent;border:none;color:var(--muted);cursor:pointer}
+  .db-chips{display:flex;gap:6px;flex-wrap:wrap;margin-top:10px}
+  .db-chip{display:inline-flex;align-items:center;gap:4px;padding:4px 6px 4px 10px;border-radius:999px;background:rgba(14,165,233,0.12);color:var(--accent);font-size:12px}
+  .db-chip button{background:transparent;border:none;color:inherit;cursor:pointer;font-size:14px}
+  .db-export .db-slicer-pop{left:auto;right:0;min-width:280px}
+  .db-export .db-slicer-pop button{display:block;width:100%;margin-top:6px;text-align:left}
+  .db-export h4{margin:10px 0 0;font-size:12px;color:var(--muted);font-weight:600}
+  .db-heat td{text-align:center;cursor:pointer;font-variant-numeric:tabular-nums;white-space:nowrap}
+  .db-heat td small{display:block;color:#cbd5e1;font-size:11px}
+  .db-heat td.picked{outline:2px solid var(--accent);outline-offset:-2px}
+  .db-link{background:none;border:none;padding:0;color:var(--accent);cursor:pointer;font:inherit;text-decoration:underline}
+  .db-issues{margin:6px 0 0;padding-left:18px;max-height:200px;overflow:auto}
   .db-go-top{position:fixed;right:18px;bottom:18px;background:var(--accent);color:#021325;padding:12px;border-radius:999px;border:none;cursor:pointer}
   @media (max-width:900px){ .db-grid{grid-template-columns:1fr} .db-kpi-row{flex-direction:column} }
   `;
@@ -83,36 +195,152 @@
     return e;
   }
 
-  // Formatting utility
-  const fmtINR = n => (typeof n === 'number' && isFinite(n)) ? '₹' + Math.round(n).toLocaleString('en-IN') : '—';
-  const parseNum = v => {
-    if(v===null || v===undefined) return NaN;
-    const s = String(v).replace(/[₹,\\s]/g,'').trim();
-    const n = Number(s);
-    return isFinite(n) ? n : NaN;
-  };
-
-  // Main UI builder & logic
-  async function build(){
+  // Formatting utility: money under the display settings opts = {currency, locale,
+  // decimals, compact} (see the Format menu). Compact notation is the locale's own:
+  // K/M/B, or L/Cr under en-IN. Formatters are cached per settings.
+  const moneyFormats = new Map();
+  function formatMoney(n, opts){
+    if(typeof n !== 'number' || !isFinite(n)) return '—';
+    const key = [opts.currency, opts.locale, opts.decimals, opts.compact].join('|');
+    let f = moneyFormats.get(key);
+    if(!f){
+      const o = { style:'currency', currency: opts.currency, minimumFractionDigits: opts.decimals, maximumFractionDigits: opts.decimals };
+      if(opts.compact) Object.assign(o, { notation:'compact', minimumFractionDigits:0, maximumFractionDigits: Math.max(opts.decimals, 1) });
+      try{ f = new Intl.NumberFormat(opts.locale || undefined, o); }
+      catch(e){ f = { format: v=> opts.currency + ' ' + v.toFixed(opts.decimals) }; }
+      moneyFormats.set(key, f);
+    }
+    return f.format(n);
+  }
+
+  // choices in the Format menu
+  const DISPLAY_CURRENCIES = ['INR','USD','EUR','GBP','JPY','CNY','AUD','CAD','CHF','SGD','HKD','NZD','AED','SAR','ZAR','BRL','MXN','SEK','NOK','DKK'];
+  const DISPLAY_LOCALES = ['en-IN','en-US','en-GB','de-DE','fr-FR','es-ES','it-IT','nl-NL','pt-BR','ja-JP','zh-CN','ar-AE'];
+
+  // Dataset cache: the last CACHE_MAX uploaded files (the original File plus its load
+  // plan) in IndexedDB, so they can be reopened without uploading again. They are kept
+  // within CACHE_MAX_BYTES together; a larger file is not cached at all.
+  const CACHE_DB = 'db-dashboard-cache', CACHE_STORE = 'datasets', CACHE_MAX = 5, CACHE_MAX_BYTES = 200 * 1024 * 1024;
+
+  function cacheId(file){
+    return [file.name, file.size, file.lastModified || 0].join('|');
+  }
+
+  function cacheOpen(){
+    return new Promise((resolve, reject)=>{
+      if(typeof indexedDB === 'undefined'){ reject(new Error('IndexedDB is not available')); return; }
+      const req = indexedDB.open(CACHE_DB, 1);
+      req.onupgradeneeded = ()=> req.result.createObjectStore(CACHE_STORE, { keyPath:'id' });
+      req.onsuccess = ()=> resolve(req.result);
+      req.onerror = ()=> reject(req.error);
+    });
+  }
+
+  // run one request against the store and resolve with its result
+  async function cacheRequest(mode, make){
+    const db = await cacheOpen();
+    try{
+      return await new Promise((resolve, reject)=>{
+        const req = make(db.transaction(CACHE_STORE, mode).objectStore(CACHE_STORE));
+        req.onsuccess = ()=> resolve(req.result);
+        req.onerror = ()=> reject(req.error);
+      });
+    } finally { db.close(); }
+  }
+
+  // cached datasets, newest first
+  async function cacheList(){
+    const all = await cacheRequest('readonly', st=> st.getAll());
+    return all.sort((a,b)=> b.savedAt - a.savedAt);
+  }
+
+  function cacheGet(id){
+    return cacheRequest('readonly', st=> st.get(id));
+  }
+
+  function cacheDelete(id){
+    return cacheRequest('readwrite', st=> st.delete(id));
+  }
+
+  // store (or refresh) a file, then drop the oldest beyond CACHE_MAX or CACHE_MAX_BYTES;
+  // resolves with its id, or null when the file alone is over the limit
+  async function cachePut(file, plan){
+    if(file.size > CACHE_MAX_BYTES) return null;
+    const id = cacheId(file);
+    await cacheRequest('readwrite', st=> st.put({ id, name: file.name, size: file.size, savedAt: Date.now(), plan, file }));
+    let bytes = 0;
+    const all = await cacheList();
+    for(let i=0;i<all.length;i++){
+      bytes += all[i].size || 0;
+      if(i >= CACHE_MAX || bytes > CACHE_MAX_BYTES) await cacheDelete(all[i].id);
+    }
+    return id;
+  }
+
+  let styleTag = null; // shared by every dashboard on the page
+
+  // Settings of one mounted dashboard (format, FX table, formulas, recipe, saved
+  // dashboards). With a storageKey they persist in localStorage as '<key>-<name>', so
+  // dashboards sharing a key share them; without one they last as long as the instance.
+  function settingsStore(key){
+    const mem = {};
+    return {
+      get(name){
+        if(!key) return name in mem ? JSON.parse(mem[name]) : null;
+        try{ return JSON.parse(localStorage.getItem(key + '-' + name)); } catch(e){ return null; }
+      },
+      set(name, value){
+        const text = value === null || value === undefined ? null : JSON.stringify(value);
+        if(!key){ if(text === null) delete mem[name]; else mem[name] = text; return; }
+        try{
+          if(text === null) localStorage.removeItem(key + '-' + name);
+          else localStorage.setItem(key + '-' + name, text);
+        } catch(e){
+          // storage full or blocked: the setting still applies until the page is closed
+          alert('Could not save to this browser\'s storage (' + name + '): ' + (e.message || e));
+        }
+      }
+    };
+  }
+
+  // Main UI builder & logic: one dashboard inside `container` (an element or a
+  // selector). Everything it touches hangs off its own root, so several can share
+  // a page. options (all optional):
+  //   rows | csv        data to load once mounted (see loadRows / loadCSV)
+  //   mapping, filters  applied when that data's columns are known
+  //   on                {filterchange, render} listeners
+  //   urlState          keep the state in the URL hash and reopen linked datasets
+  //   page              fill the static index.html markup when the page has it
+  //   prepend           insert before the container's first child instead of after its last
+  //   storageKey        keep the settings in localStorage under this prefix (see settingsStore)
+  // Resolves to the dashboard's API (see the end of this function) once the
+  // libraries are loaded; the initial data keeps loading in the background.
+  async function mount(container, options){
+    options = options || {};
+    const host = typeof container === 'string' ? document.querySelector(container) : container;
+    if(!host || !host.appendChild) throw new Error('Dashboard.mount: no container element ' + (typeof container === 'string' ? 'matches ' + container : 'given'));
     await ensureLibs();
 
     // inject styles
-    const styleTag = document.createElement('style');
-    styleTag.innerText = styleCss;
-    document.head.appendChild(styleTag);
+    if(!styleTag){
+      styleTag = document.createElement('style');
+      styleTag.innerText = styleCss;
+      document.head.appendChild(styleTag);
+    }
 
-    // root container appended to body
-    const root = el('div',{class:'db-wrap', id:'db_root'});
-    document.body.prepend(root);
+    // root container; named parts are looked up inside it (data-part), never by page-wide id
+    const root = el('div',{class:'db-wrap'});
+    if(options.prepend) host.prepend(root); else host.appendChild(root);
+    const part = name => root.querySelector('[data-part="' + name + '"]');
 
     // header
     const logoBox = el('div',{class:'db-logo-box'}, 'DB');
-    const title = el('div',{}, [el('div',{class:'db-title'}, 'Interactive Dashboard (JS)'), el('div',{class:'db-sub'}, 'Upload CSV or ZIP → KPIs • Filters • Time-series')]);
+    const title = el('div',{}, [el('div',{class:'db-title'}, 'Interactive Dashboard (JS)'), el('div',{class:'db-sub'}, 'Upload CSV, Excel, JSON or ZIP → KPIs • Filters • Time-series')]);
     const brand = el('div',{class:'db-logo'}, [logoBox, title]);
 
     // nav
     const nav = el('div',{class:'db-nav'});
-    ['Overview','Sales','Customers','Products'].forEach((n,i)=>{
+    ['Overview','Sales','Customers','Products','Pivot','Correlations'].forEach((n,i)=>{
       const btn = el('button',{type:'button'}, n);
       btn.dataset.view = n.toLowerCase();
       if(i===0) btn.classList.add('active');
@@ -121,14 +349,26 @@
     });
 
     // uploader and download
-    const fileInput = el('input',{type:'file', accept:'.csv,.zip', style:'display:none'});
-    const uploadBtn = el('button',{class:'db-btn'}, 'Upload CSV / ZIP');
+    const fileInput = el('input',{type:'file', accept: Object.values(IMPORT_EXTS).flat().concat('zip').map(e=> '.' + e).join(','), style:'display:none'});
+    const uploadBtn = el('button',{class:'db-btn'}, 'Upload CSV / Excel / JSON / ZIP');
     uploadBtn.addEventListener('click', ()=> fileInput.click());
     const downloadBtn = el('a',{class:'db-btn secondary', style:'display:none', href:'#', download:'cleaned_data.csv'}, 'Download CSV');
+    // build the cleaned CSV only when asked for: large uploads would otherwise hold a second copy in memory
+    downloadBtn.addEventListener('click', ()=>{
+      if(downloadBtn.href && downloadBtn.href.startsWith('blob:')) URL.revokeObjectURL(downloadBtn.href);
+      const blob = new Blob([Papa.unparse(master.rows, {columns: master.cols})], {type:'text/csv'});
+      downloadBtn.href = URL.createObjectURL(blob);
+    });
 
     fileInput.addEventListener('change', (ev)=> handleFile(ev.target.files[0]));
 
-    const headerRow = el('div',{class:'db-header'}, [brand, el('div',{}, [nav, el('div',{style:'display:flex;gap:8px;margin-top:8px'}, [uploadBtn, downloadBtn]), fileInput])]);
+    // export menu: filtered rows, chart images and the printable report (rebuilt when opened,
+    // so it lists the charts currently on screen)
+    const exportList = el('div',{});
+    const exportMenu = el('details',{class:'db-slicer db-export', style:'display:none'}, [el('summary',{}, 'Export'), el('div',{class:'db-slicer-pop'}, exportList)]);
+    exportMenu.addEventListener('toggle', ()=>{ if(exportMenu.open) fillExportMenu(); });
+
+    const headerRow = el('div',{class:'db-header'}, [brand, el('div',{}, [nav, el('div',{style:'display:flex;gap:8px;margin-top:8px'}, [uploadBtn, downloadBtn, exportMenu]), fileInput])]);
     root.appendChild(headerRow);
 
     // controls card
@@ -143,11 +383,17 @@
     const dateSel = createSelect('Date column (auto)');
     const regionSel = createSelect('Region / Segment');
     const productSel = createSelect('Product / Category');
+    const customerSel = createSelect('Customer (optional)');
+    const channelSel = createSelect('Channel (optional)');
+    const unitsSel = createSelect('Units / Quantity (optional)');
+    const currencySel = createSelect('Currency column (optional)');
 
     const renderBtn = el('button',{class:'db-btn'}, 'Render');
     renderBtn.addEventListener('click', ()=> renderAll());
     const resetBtn = el('button',{class:'db-btn secondary'}, 'Reset');
-    resetBtn.addEventListener('click', ()=> location.reload());
+    resetBtn.addEventListener('click', ()=> resetDashboard());
+    const schemaBtn = el('button',{class:'db-btn secondary'}, 'Column types');
+    schemaBtn.addEventListener('click', ()=>{ schemaCard.style.display = schemaCard.style.display === 'none' ? 'block' : 'none'; });
 
     controlsRow.appendChild(salesSel);
     controlsRow.appendChild(costSel);
@@ -155,23 +401,133 @@
     controlsRow.appendChild(dateSel);
     controlsRow.appendChild(regionSel);
     controlsRow.appendChild(productSel);
+    controlsRow.appendChild(customerSel);
+    controlsRow.appendChild(channelSel);
+    controlsRow.appendChild(unitsSel);
+    controlsRow.appendChild(currencySel);
     controlsRow.appendChild(renderBtn);
     controlsRow.appendChild(resetBtn);
+    controlsRow.appendChild(schemaBtn);
+    const formulaBtn = el('button',{class:'db-btn secondary'}, 'Formulas');
+    formulaBtn.addEventListener('click', ()=>{
+      formulaCard.style.display = formulaCard.style.display === 'none' ? 'block' : 'none';
+      if(formulaCard.style.display === 'block') renderFormulaPanel();
+    });
+    controlsRow.appendChild(formulaBtn);
+    const cleanBtn = el('button',{class:'db-btn secondary'}, 'Clean data');
+    cleanBtn.addEventListener('click', ()=>{
+      cleanCard.style.display = cleanCard.style.display === 'none' ? 'block' : 'none';
+      if(cleanCard.style.display === 'block') renderCleanPanel();
+    });
+    controlsRow.appendChild(cleanBtn);
+
+    // saved dashboards (settings store) and cached datasets (IndexedDB); both lists are
+    // read when their menu opens
+    const dashName = el('input',{type:'text', placeholder:'Dashboard name', size:'16'});
+    const dashSave = el('button',{class:'db-btn secondary'}, 'Save');
+    const dashLink = el('button',{class:'db-btn secondary'}, 'Copy link');
+    const dashList = el('div',{class:'db-slicer-list'});
+    const dashMenu = el('details',{class:'db-slicer'}, [el('summary',{}, 'Dashboards'), el('div',{class:'db-slicer-pop'}, [el('div',{class:'db-controls', style:'margin-top:0'}, [dashName, dashSave, dashLink]), dashList])]);
+    dashMenu.addEventListener('toggle', ()=>{ if(dashMenu.open) fillDashboards(); });
+    dashSave.addEventListener('click', ()=>{
+      const name = dashName.value.trim();
+      if(!name){ dashName.focus(); return; }
+      const all = readDashboards(); all[name] = dashboardState();
+      writeDashboards(all); dashName.value = ''; fillDashboards();
+    });
+    dashLink.addEventListener('click', ()=>{
+      const link = location.href.split('#')[0] + '#db=' + encodeURIComponent(JSON.stringify(dashboardState()));
+      if(navigator.clipboard) navigator.clipboard.writeText(link).then(()=>{ dashLink.textContent = 'Copied'; setTimeout(()=> dashLink.textContent = 'Copy link', 1500); }, ()=> prompt('Copy this link:', link));
+      else prompt('Copy this link:', link);
+    });
+    const dataList = el('div',{class:'db-slicer-list'});
+    const dataMenu = el('details',{class:'db-slicer'}, [el('summary',{}, 'Recent datasets'), el('div',{class:'db-slicer-pop'}, dataList)]);
+    dataMenu.addEventListener('toggle', ()=>{ if(dataMenu.open) fillDatasets(); });
+    controlsRow.appendChild(dashMenu);
+    controlsRow.appendChild(dataMenu);
+
+    // number format: display currency, locale, decimals, compact notation, and the FX
+    // table (a local CSV) that converts mixed-currency rows; kept in the settings store
+    const fmtCurrency = el('select',{}, [el('option',{value:'auto'}, 'Currency: from data')].concat(DISPLAY_CURRENCIES.map(c=> el('option',{value:c}, c))));
+    const fmtLocale = el('select',{}, [el('option',{value:''}, 'Locale: browser')].concat(DISPLAY_LOCALES.map(l=> el('option',{value:l}, l))));
+    const fmtDecimals = el('select',{}, [0,1,2].map(n=> el('option',{value:String(n)}, n + ' decimals')));
+    const fmtCompact = el('input',{type:'checkbox'});
+    const fxInput = el('input',{type:'file', accept:'.csv,.txt', style:'display:none'});
+    const fxLoad = el('button',{class:'db-btn secondary'}, 'Load FX rates…');
+    const fxClear = el('button',{class:'db-btn secondary'}, 'Clear');
+    const fxNote = el('div',{class:'db-sub'});
+    const formatMenu = el('details',{class:'db-slicer'}, [el('summary',{}, 'Format'), el('div',{class:'db-slicer-pop'}, [
+      el('div',{class:'db-controls', style:'margin-top:0'}, [fmtCurrency, fmtLocale, fmtDecimals, el('label',{}, [fmtCompact, ' Compact (K/M/Cr/B)'])]),
+      el('div',{class:'db-controls'}, [fxLoad, fxClear, fxInput]),
+      fxNote
+    ])]);
+    [fmtCurrency, fmtLocale, fmtDecimals, fmtCompact].forEach(x=> x.addEventListener('change', ()=>{
+      setFormat({ currency: fmtCurrency.value, locale: fmtLocale.value, decimals: Number(fmtDecimals.value), compact: fmtCompact.checked }, true);
+      if(master.rows.length) renderAll();
+    }));
+    fxLoad.addEventListener('click', ()=> fxInput.click());
+    fxInput.addEventListener('change', ()=>{
+      const f = fxInput.files[0]; fxInput.value = '';
+      if(f) loadFxTable(f).catch(err=> alert('Could not read FX rates: ' + err.message));
+    });
+    fxClear.addEventListener('click', ()=>{ setFxTable(null); if(master.rows.length) renderAll(); });
+    formatMenu.addEventListener('toggle', ()=>{ if(formatMenu.open) showFxNote(); });
+    controlsRow.appendChild(formatMenu);
     controlsCard.appendChild(controlsRow);
     controlsCard.appendChild(hint);
     root.appendChild(controlsCard);
 
-    // slicers card (date range + region/product filters)
-    const slicersCard = el('div',{class:'db-card', id:'db_slicers', style:'display:none'}, []);
+    // schema panel (detected column types, editable; filled by renderSchemaPanel)
+    const schemaCard = el('div',{class:'db-card', style:'display:none'}, []);
+    root.appendChild(schemaCard);
+    const formulaCard = el('div',{class:'db-card', style:'display:none'}, []);
+    root.appendChild(formulaCard);
+    const cleanCard = el('div',{class:'db-card', style:'display:none'}, []);
+    root.appendChild(cleanCard);
+
+    // load progress (shown while a file streams in)
+    const progressLabel = el('div',{class:'db-sub'}, 'Loading…');
+    const progressBar = el('progress',{max:'1', value:'0'});
+    const cancelBtn = el('button',{class:'db-btn secondary'}, 'Cancel');
+    cancelBtn.addEventListener('click', ()=> cancelLoad());
+    const progressCard = el('div',{class:'db-card db-progress', style:'display:none'}, [progressLabel, progressBar, cancelBtn]);
+    root.appendChild(progressCard);
+
+    // slicers card (date range, a slicer per filtered column, active filter chips)
+    const slicersCard = el('div',{class:'db-card db-slicers', style:'display:none'}, []);
     const dateFrom = el('input',{type:'date'});
     const dateTo = el('input',{type:'date'});
-    const filterRegion = el('select',{}, el('option',{}, 'All Regions'));
-    const filterProduct = el('select',{}, el('option',{}, 'All Products'));
+    const slicerRow = el('span',{class:'db-controls', style:'margin-top:0'});
+    const addFilterSel = el('select',{}, el('option',{value:''}, '+ Filter column…'));
+    addFilterSel.addEventListener('change', ()=>{ const c = addFilterSel.value; addFilterSel.value = ''; if(c) addSlicer(c, true); });
     const applyFilters = el('button',{class:'db-btn'}, 'Apply Filters');
     const clearFilters = el('button',{class:'db-btn secondary'}, 'Clear Filters');
     applyFilters.addEventListener('click', ()=> renderAll());
-    clearFilters.addEventListener('click', ()=> { dateFrom.value=''; dateTo.value=''; filterRegion.value='All'; filterProduct.value='All'; renderAll(); });
-    slicersCard.appendChild(el('div',{}, ['Date from: ', dateFrom, ' to ', dateTo, '  ', filterRegion, filterProduct, applyFilters, clearFilters]));
+    clearFilters.addEventListener('click', ()=> { dateFrom.value=''; dateTo.value=''; Object.keys(slicerState).forEach(clearSlicer); renderAll(); });
+    const chipBar = el('div',{class:'db-chips', style:'display:none'});
+    slicersCard.appendChild(el('div',{class:'db-controls', style:'margin-top:0'}, ['Date from: ', dateFrom, ' to ', dateTo, slicerRow, addFilterSel, applyFilters, clearFilters]));
+    slicersCard.appendChild(chipBar);
+    // comparison period for the KPI deltas
+    const compareSel = el('select',{}, [el('option',{value:'previous'}, 'Previous period'), el('option',{value:'yoy'}, 'Same period last year'), el('option',{value:'custom'}, 'Custom range'), el('option',{value:'none'}, 'No comparison')]);
+    const compareFrom = el('input',{type:'date'});
+    const compareTo = el('input',{type:'date'});
+    const customRange = el('span',{style:'display:none'}, [' from ', compareFrom, ' to ', compareTo]);
+    compareSel.addEventListener('change', ()=>{ customRange.style.display = compareSel.value === 'custom' ? 'inline' : 'none'; renderAll(); });
+    [compareFrom, compareTo].forEach(i=> i.addEventListener('change', ()=> renderAll()));
+    // a second dataset (same mapping) to compare with: KPI differences, its series on the
+    // time chart and the top movers; 'Comparison dataset' is offered while one is loaded
+    const compareDatasetOpt = el('option',{value:'dataset'}, 'Comparison dataset');
+    const compareInput = el('input',{type:'file', accept: fileInput.accept, style:'display:none'});
+    const compareLoad = el('button',{class:'db-btn secondary'}, 'Compare with dataset…');
+    const compareName = el('span',{});
+    const compareAlign = el('select',{}, [el('option',{value:'date'}, 'Match dates'), el('option',{value:'period'}, 'Match periods in order')]);
+    const compareClear = el('button',{title:'Stop comparing'}, '×');
+    const compareInfo = el('span',{class:'db-chip', style:'display:none'}, [compareName, compareAlign, compareClear]);
+    compareLoad.addEventListener('click', ()=> compareInput.click());
+    compareInput.addEventListener('change', ()=>{ const f = compareInput.files[0]; compareInput.value = ''; if(f) loadCompare(f); });
+    compareAlign.addEventListener('change', ()=> renderAll());
+    compareClear.addEventListener('click', ()=> setCompare(null));
+    slicersCard.appendChild(el('div',{class:'db-controls'}, ['Compare KPIs with: ', compareSel, customRange, compareLoad, compareInput, compareInfo]));
     root.appendChild(slicersCard);
 
     // KPI row
@@ -184,29 +540,242 @@
     const grid = el('div',{class:'db-grid'});
     // left big column
     const leftCol = el('div',{});
-    const timeCard = el('div',{class:'db-card'}, [el('div',{}, el('strong',{}, 'Revenue & Orders Over Time')), el('canvas',{id:'timeChart', height:160})]);
-    const productsCard = el('div',{class:'db-card'}, [el('div',{}, el('strong',{}, 'Top Products')), el('canvas',{id:'prodChart', height:180})]);
+    const granSel = el('select',{}, Object.keys(GRANULARITIES).map(g=> el('option',{value:g}, GRANULARITIES[g])));
+    const ma7 = el('input',{type:'checkbox'});
+    const ma30 = el('input',{type:'checkbox'});
+    // forecast: model and horizon in periods of the chosen granularity; the backtest panel
+    // under the chart scores every model on the last periods of history
+    const forecastOn = el('input',{type:'checkbox'});
+    const forecastModel = el('select',{}, Object.keys(FORECAST_MODELS).map(k=> el('option',{value:k}, FORECAST_MODELS[k])));
+    forecastModel.value = 'holt';
+    const forecastH = el('input',{type:'number', min:'1', max:'104', value:'6', style:'width:56px'});
+    const forecastPanel = el('div',{class:'db-sub', style:'display:none;margin-top:8px'});
+    [granSel, ma7, ma30, forecastOn, forecastModel, forecastH].forEach(x=> x.addEventListener('change', ()=> renderAll()));
+    const timeControls = el('div',{class:'db-controls db-sub'}, ['Group by ', granSel, el('label',{}, [ma7, ' 7-period avg']), el('label',{}, [ma30, ' 30-period avg']),
+      el('label',{}, [forecastOn, ' Forecast']), forecastModel, forecastH, ' periods ahead']);
+    const timeCard = el('div',{class:'db-card', 'data-views':'overview sales'}, [el('div',{}, [el('strong',{}, 'Revenue & Orders Over Time'), el('span',{class:'db-sub'}, ' — click a point to filter to its period')]), timeControls, el('canvas',{'data-part':'timeChart', height:160}), forecastPanel]);
+    const productsCard = el('div',{class:'db-card', 'data-views':'overview'}, [el('div',{}, [el('strong',{}, 'Top Products'), el('span',{class:'db-sub'}, ' — click a bar to filter')]), el('canvas',{'data-part':'prodChart', height:180})]);
     leftCol.appendChild(timeCard); leftCol.appendChild(productsCard);
 
+    // per-view cards: a chart (or table) plus a note for what is missing from the mapping
+    function viewCard(views, heading, body){
+      const note = el('div',{class:'db-sub'}, '');
+      return { card: el('div',{class:'db-card', 'data-views':views}, [el('div',{}, el('strong',{}, heading)), note].concat(body)), note };
+    }
+    const topNSel = el('select',{}, [5,10,20,50].map(n=> el('option',{value:String(n)}, 'Top ' + n)));
+    topNSel.value = '10';
+    const mixGran = el('select',{}, Object.keys(GRANULARITIES).filter(g=> g !== 'day').map(g=> el('option',{value:g}, GRANULARITIES[g])));
+    mixGran.value = 'month';
+    [topNSel, mixGran].forEach(x=> x.addEventListener('change', ()=> renderAll()));
+    const topCustomers = viewCard('customers', 'Top Customers', [el('div',{class:'db-controls db-sub'}, ['Show ', topNSel]), el('canvas',{'data-part':'topCustomersChart', height:200})]);
+    const customerMix = viewCard('customers', 'New vs Returning Customers', [el('div',{class:'db-controls db-sub'}, ['Group by ', mixGran]), el('canvas',{'data-part':'customerMixChart', height:160})]);
+    const paretoView = viewCard('products', 'Pareto / ABC by Revenue', el('canvas',{'data-part':'paretoChart', height:180}));
+    const unitsView = viewCard('products', 'Units vs Revenue by Product', el('canvas',{'data-part':'unitsChart', height:180}));
+    [topCustomers, customerMix, paretoView, unitsView].forEach(v=> leftCol.appendChild(v.card));
+
     // right column
     const rightCol = el('div',{});
-    const corrCard = el('div',{class:'db-card'}, [el('div',{}, el('strong',{}, 'Top Correlations vs Sales')), el('canvas',{id:'corrChart', height:220})]);
-    const tableCard = el('div',{class:'db-card'}, [el('div',{}, el('strong',{}, 'Transactions (sample)')), el('div',{style:'max-height:260px;overflow:auto;margin-top:8px'}, el('table',{class:'db-table', id:'sampleTable'}, [el('thead',{}), el('tbody',{})]))]);
-    rightCol.appendChild(corrCard); rightCol.appendChild(tableCard);
+    const corrCard = el('div',{class:'db-card', 'data-views':'overview'}, [el('div',{}, [el('strong',{}, 'Top Correlations vs Sales'), el('span',{class:'db-sub'}, ' — Pearson r; click a bar for its scatter plot')]), el('canvas',{'data-part':'corrChart', height:220})]);
+    rightCol.appendChild(corrCard);
+    const regionView = viewCard('sales', 'Revenue by Region', el('canvas',{'data-part':'regionChart', height:200}));
+    const channelView = viewCard('sales', 'Revenue by Channel', el('canvas',{'data-part':'channelChart', height:200}));
+    const rfmView = viewCard('customers', 'RFM Segments', el('table',{class:'db-table', 'data-part':'rfmTable'}, [el('thead',{}), el('tbody',{})]));
+    const marginView = viewCard('products', 'Margin by Product', el('canvas',{'data-part':'marginChart', height:260}));
+    const moversView = viewCard('overview sales', 'Top Movers vs Comparison', el('table',{class:'db-table', 'data-part':'moversTable'}, [el('thead',{}), el('tbody',{})]));
+    [regionView, channelView, rfmView, marginView, moversView].forEach(v=> rightCol.appendChild(v.card));
 
     grid.appendChild(leftCol); grid.appendChild(rightCol);
     root.appendChild(grid);
 
+    // data-quality panel (filled by renderQuality once a load has finished)
+    let quality = null;       // {key, columns, dup}: the counts for the loaded rows and outlier method
+    const outlierSel = el('select',{}, [el('option',{value:'iqr'}, 'IQR (1.5 × IQR fences)'), el('option',{value:'zscore'}, 'z-score (|z| > 3)')]);
+    outlierSel.addEventListener('change', ()=> renderAll());
+    const qualitySummary = el('div',{class:'db-sub'}, 'Upload a file to check its data quality.');
+    const qualityTable = el('table',{class:'db-table'}, [el('thead',{}), el('tbody',{})]);
+    const qualityIssues = el('div',{});
+    const qualityCard = el('div',{class:'db-card', 'data-views':'overview'}, [
+      el('div',{}, [el('strong',{}, 'Data Quality'), el('span',{class:'db-sub'}, ' — click a count to see its rows in the grid')]),
+      el('div',{class:'db-controls db-sub'}, ['Outliers by ', outlierSel]),
+      qualitySummary,
+      el('div',{style:'max-height:320px;overflow:auto;margin-top:8px'}, qualityTable),
+      qualityIssues
+    ]);
+    root.appendChild(qualityCard);
+
+    // transactions grid: every filtered row, virtualized so only the rows in view are
+    // in the DOM; sorting, global and per-column search, column show/hide and resize
+    const TX_ROW_H = 30, TX_OVERSCAN = 10, TX_MIN_W = 60;
+    const tx = { base: [], rows: [], sort: null, search: '', colSearch: {}, hidden: new Set(), widths: {}, issue: null };
+    const txSearch = el('input',{type:'search', placeholder:'Search all columns…'});
+    const txCount = el('span',{class:'db-sub'}, '');
+    const txColsList = el('div',{class:'db-slicer-list'});
+    const txColsBox = el('details',{class:'db-slicer'}, [el('summary',{}, 'Columns'), el('div',{class:'db-slicer-pop'}, txColsList)]);
+    const txHead = el('div',{class:'db-vgrid-head'});
+    const txBody = el('div',{class:'db-vgrid-body'});
+    const txView = el('div',{class:'db-vgrid'}, [txHead, txBody]);
+    // a data-quality issue shown in place of the slicer-filtered rows (tx.issue = {label, test})
+    const txIssueLabel = el('span',{});
+    const txIssueClear = el('button',{title:'Back to the filtered rows'}, '×');
+    const txIssueChip = el('span',{class:'db-chip', style:'display:none'}, [txIssueLabel, txIssueClear]);
+    txIssueClear.addEventListener('click', ()=>{ tx.issue = null; txUpdate(currentMapping(), readFilters()); });
+    const tableCard = el('div',{class:'db-card', 'data-views':'overview'}, [
+      el('div',{}, el('strong',{}, 'Transactions')),
+      el('div',{class:'db-controls'}, [txSearch, txColsBox, txCount, txIssueChip]), txView
+    ]);
+    root.appendChild(tableCard);
+    let txSearchTimer = null;
+    txSearch.addEventListener('input', ()=> setTxSearch(txSearch.value));
+    txView.addEventListener('scroll', ()=> txRenderRows());
+    let currentView = 'overview';
+
+    // The static "Sales Performance Dashboard" in index.html, when the page has it: its
+    // year/region/product selects drive the shared filters and renderAll fills its KPI
+    // cards, charts and Top 5 Customers table. The hard-coded placeholders are cleared.
+    const page = options.page && document.getElementById('salesTrendChart') ? bindPage() : null;
+
+    function bindPage(){
+      const kpi = re => { const c = Array.from(document.querySelectorAll('.kpi-card')).find(k=> re.test(k.textContent)); return c ? c.querySelector('h2') : null; };
+      const pg = {
+        revenue: kpi(/revenue/i), profit: kpi(/profit/i), growth: kpi(/growth|yoy/i),
+        year: document.getElementById('year-filter'),
+        region: document.getElementById('region-filter'),
+        product: document.getElementById('product-type-filter'),
+        customers: document.querySelector('.top-customers tbody'),
+        search: document.querySelector('.search-bar')
+      };
+      // the header search bar searches the transactions grid
+      if(pg.search) pg.search.addEventListener('input', ()=> setTxSearch(pg.search.value));
+      [pg.revenue, pg.profit, pg.growth].forEach(h=>{ if(h) h.textContent = '—'; });
+      [pg.year, pg.region, pg.product].forEach(sel=>{ if(sel) fillPageSelect(sel, []); });
+      if(pg.customers) pg.customers.innerHTML = '';
+      if(pg.year) pg.year.addEventListener('change', ()=>{
+        const y = pg.year.value;
+        dateFrom.value = y === 'all' ? '' : y + '-01-01';
+        dateTo.value = y === 'all' ? '' : y + '-12-31';
+        renderAll();
+      });
+      // region/product selects set a single-value slicer on the mapped column
+      [[pg.region, 'region'], [pg.product, 'product']].forEach(([sel, role])=>{
+        if(!sel) return;
+        sel.addEventListener('change', ()=>{
+          const col = currentMapping()[role];
+          if(!col) return;
+          if(sel.value === 'all') delete slicerState[col]; else slicerState[col] = { values: new Set([sel.value]) };
+          if(slicers[col]) slicers[col].refresh();
+          renderAll();
+        });
+      });
+      return pg;
+    }
+
+    // 'ALL' plus the given values; options are only rebuilt when the values change
+    function fillPageSelect(sel, values){
+      const sig = values.join('\u0001');
+      if(sel.dataset.values === sig) return;
+      sel.dataset.values = sig;
+      sel.innerHTML = '';
+      sel.appendChild(el('option',{value:'all'}, 'ALL'));
+      values.forEach(v=> sel.appendChild(el('option',{value:v}, v)));
+    }
+
+    // pivot builder: fields on rows and columns, value measures; filled by renderPivotView
+    const pivotSpec = { rows: [], cols: [], values: [] };
+    let pivotChartOn = false;
+    const pivotRowsBox = el('span',{class:'db-chips', style:'margin-top:0'});
+    const pivotColsBox = el('span',{class:'db-chips', style:'margin-top:0'});
+    const pivotValuesBox = el('span',{class:'db-chips', style:'margin-top:0'});
+    const pivotRowAdd = el('select',{}); const pivotColAdd = el('select',{});
+    const pivotValueCol = el('select',{});
+    const pivotValueAgg = el('select',{}, Object.keys(PIVOT_AGGS).map(a=> el('option',{value:a}, PIVOT_AGGS[a])));
+    const pivotValueAdd = el('button',{class:'db-btn secondary'}, 'Add value');
+    const pivotChartType = el('select',{}, [el('option',{value:'bar'}, 'Bar'), el('option',{value:'stacked'}, 'Stacked bar'), el('option',{value:'line'}, 'Line')]);
+    const pivotChartBtn = el('button',{class:'db-btn secondary'}, 'Send to chart');
+    const pivotNote = el('div',{class:'db-sub'}, '');
+    const pivotCanvasBox = el('div',{style:'display:none;margin-top:8px'}, el('canvas',{'data-part':'pivotChart', height:140}));
+    [[pivotRowAdd, pivotSpec.rows], [pivotColAdd, pivotSpec.cols]].forEach(([sel, list])=>{
+      sel.addEventListener('change', ()=>{
+        const c = sel.value; sel.value = '';
+        if(!c) return;
+        list.push({ col: c, gran: master.schema[c] && master.schema[c].type === 'date' ? 'month' : '' });
+        renderPivotFields(); renderAll();
+      });
+    });
+    pivotValueAdd.addEventListener('click', ()=>{
+      pivotSpec.values.push({ col: pivotValueCol.value, agg: pivotValueCol.value ? pivotValueAgg.value : 'count' });
+      renderPivotFields(); renderAll();
+    });
+    pivotChartBtn.addEventListener('click', ()=>{ pivotChartOn = true; renderAll(); });
+    pivotChartType.addEventListener('change', ()=>{ if(pivotChartOn) renderAll(); });
+    const pivotCard = el('div',{class:'db-card', 'data-views':'pivot'}, [
+      el('div',{}, el('strong',{}, 'Pivot')),
+      el('div',{class:'db-sub'}, 'Group the filtered rows by row and column fields; subtotals per row group and grand totals.'),
+      el('div',{class:'db-controls'}, ['Rows: ', pivotRowsBox, pivotRowAdd]),
+      el('div',{class:'db-controls'}, ['Columns: ', pivotColsBox, pivotColAdd]),
+      el('div',{class:'db-controls'}, ['Values: ', pivotValuesBox, pivotValueCol, pivotValueAgg, pivotValueAdd]),
+      el('div',{class:'db-controls'}, [pivotChartType, pivotChartBtn]),
+      pivotNote, pivotCanvasBox,
+      el('div',{style:'max-height:480px;overflow:auto;margin-top:8px'}, el('table',{class:'db-table', 'data-part':'pivotTable'}, [el('thead',{}), el('tbody',{})]))
+    ]);
+    root.appendChild(pivotCard);
+
+    // correlation explorer (filled by renderCorrelationView)
+    let corrPick = null;      // {x, y}: the matrix cell shown as a scatter plot
+    const corrMethod = el('select',{}, [el('option',{value:'pearson'}, 'Pearson'), el('option',{value:'spearman'}, 'Spearman (rank)')]);
+    corrMethod.addEventListener('change', ()=> renderAll());
+    const corrNote = el('div',{class:'db-sub'}, '');
+    const corrScatterTitle = el('div',{class:'db-sub'}, '');
+    const corrScatterBox = el('div',{style:'display:none;margin-top:8px'}, [corrScatterTitle, el('canvas',{'data-part':'corrScatter', height:120})]);
+    const corrExplorer = el('div',{class:'db-card', 'data-views':'correlations'}, [
+      el('div',{}, el('strong',{}, 'Correlations')),
+      el('div',{class:'db-sub'}, 'Numeric columns over the filtered rows. Each cell shows r, the two-sided p-value and the number of rows where both columns have a value; click a cell for its scatter plot.'),
+      el('div',{class:'db-controls'}, ['Method: ', corrMethod]),
+      corrNote,
+      el('div',{style:'overflow:auto;margin-top:8px'}, el('table',{class:'db-table db-heat', 'data-part':'corrTable'}, [el('thead',{}), el('tbody',{})])),
+      corrScatterBox
+    ]);
+    root.appendChild(corrExplorer);
+    showView(currentView);
+
     // footer and go-top
-    const footer = el('div',{class:'db-footer'}, 'Built with JS • Upload CSV or ZIP and click Render');
+    const footer = el('div',{class:'db-footer'}, 'Built with JS • Upload a CSV, Excel, JSON or ZIP file and click Render');
     root.appendChild(footer);
-    const goTop = el('button',{class:'db-go-top', title:'Go to top'}, '⬆');
-    goTop.addEventListener('click', ()=> window.scrollTo({top:0, behavior:'smooth'}));
-    document.body.appendChild(goTop);
+    const goTop = host === document.body ? el('button',{class:'db-go-top', title:'Go to top'}, '⬆') : null;
+    if(goTop){
+      goTop.addEventListener('click', ()=> window.scrollTo({top:0, behavior:'smooth'}));
+      document.body.appendChild(goTop);
+    }
 
     // Data container and chart references
-    let master = { cols: [], rows: [] };
+    let master = { cols: [], rows: [], schema: {}, errors: [], errorCount: 0 };
+    let cube = null;          // pre-aggregated view of master for the current mapping
+    let filteredCube = null;  // {key, cube} re-aggregated for filters the cube cannot answer
+    let corrCache = null;     // {key, rows, total, values} the rows the correlations read (see corrRows)
+    let compare = null;       // comparison dataset {name, rows, cols}, read with master's schema
+    let compareCube = null;   // {key, cube} of the comparison rows (compareFacts)
+    let slicerState = {};     // column → {values:Set} (multi-select) or {min, max} (range)
+    let slicers = {};         // column → slicer widget {el, refresh}
+    let valueCache = {};      // column → {n, values} distinct values with counts
+    let currentDataset = null; // cache id of the loaded file (kept in the URL state)
+    let pendingState = null;   // dashboard state to apply once the next dataset's columns are known
+    const store = settingsStore(options.storageKey);
+    let fmtSettings = null;    // money display settings {currency, locale, decimals, compact} (setFormat)
+    let formulas = readFormulas(); // {columns:[{name, formula}], measures:[{name, formula, format, target, better}]}
+    let calcCols = [];         // calculated columns in master, in evaluation order: {name, formula, f}
+    let formulaErrors = { columns: [], measures: [] }; // message per definition that failed
+    let measureCards = [];     // KPI card per measure (buildMeasureCards)
+    let recipe = readRecipe(); // {steps, at, auto}: steps[0..at) are applied, the rest can be redone
+    let raw = null;            // {cols, rows, schema} as loaded, before the recipe (taken when it first runs)
+    let recipeErrors = [];     // message per applied step that could not run
+    let recipeApplied = false; // master holds the loaded rows through steps[0..at) (else the rows as loaded)
+    let replayRecipe = false;  // the load in progress replays the stored recipe when it is set to
+    let cleanOp = 'trim';      // step being built in the Clean data panel
+    let fxTable = readFxTable(); // {name, rates} loaded from an FX CSV, or null
+    let activeFx = null;       // fx for the current render (fxFor), used by the per-row breakdowns
     let charts = {};
+    setFormat(readFormat());
+    showFxNote();
+    buildMeasureCards();
 
     // Build default UI population functions
     function kpiCard(name){
@@ -215,125 +784,711 @@
       const value = el('div',{class:'value'}, '—');
       const delta = el('div',{class:'delta'}, '—');
       card.appendChild(label); card.appendChild(value); card.appendChild(delta);
-      return {card, set: (v, d)=>{ value.textContent = v; delta.textContent = d; } };
+      return {card, set: (v, d)=>{
+        value.textContent = v; delta.textContent = d || '';
+        delta.classList.toggle('up', /^▲/.test(delta.textContent));
+        delta.classList.toggle('down', /^▼/.test(delta.textContent));
+      } };
     }
 
     // switch view helper
     function switchView(view, navEl){
       navEl.querySelectorAll('button').forEach(b=> b.classList.toggle('active', b.dataset.view === view));
-      // for this self-contained version we keep same content and just update footer text to show view
+      currentView = view;
+      showView(view);
       footer.textContent = 'View: ' + view.toUpperCase() + ' — Built with JS';
-      window.scrollTo({top:0, behavior:'smooth'});
+      if(master.rows.length) renderAll();
+      if(root.getBoundingClientRect().top < 0 && root.scrollIntoView) root.scrollIntoView({ behavior:'smooth', block:'start' });
     }
 
-    // handle file (CSV or ZIP) : uses PapaParse & JSZip
+    // show the cards listed for a view (data-views); KPIs and slicers stay for all of them
+    function showView(view){
+      root.querySelectorAll('[data-views]').forEach(c=>{ c.style.display = c.dataset.views.split(' ').includes(view) ? '' : 'none'; });
+    }
+
+    // handle file (CSV or ZIP): parsed and aggregated chunk by chunk in a worker;
+    // ZIPs holding several CSVs go through zipDialog first
+    let loader = null;        // active parse: the worker, or on the main thread a handle whose terminate() aborts it (null when idle)
+    let loadToken = 0;        // bumps on every new load/cancel so stale messages are dropped
+    let loadSettle = null;    // {resolve, reject} of the promise an API load returned (apiLoad)
+    let renderTimer = null;
+
     async function handleFile(file){
       if(!file) return;
+      fileInput.value = '';
+      let plan;
+      try{ plan = await choosePlan(file); } catch(err){ alert(err.message || String(err)); return; }
+      if(!plan) return; // dialog dismissed
+      startLoad(file, plan);
+    }
+
+    // the load plan for a file: ZIP entries or workbook sheet, asked for when there is
+    // a choice; null when the dialog is dismissed
+    async function choosePlan(file){
+      const kind = importKind(file.name);
+      if(file.name.toLowerCase().endsWith('.zip')) return chooseZipPlan(file);
+      if(!kind) throw new Error('Unsupported file type: ' + file.name);
+      if(kind !== 'excel') return {};
+      const sheets = (await workbookInfo(file)).sheets;
+      const sheet = sheets.length > 1 ? await sheetDialog(file.name, sheets) : sheets[0];
+      return sheet == null ? null : { sheets: { [file.name]: sheet } };
+    }
+
+    // Load the comparison dataset in a worker of its own (on this thread without Worker
+    // support). It keeps the loaded dataset's schema and mapping, and its own rows.
+    async function loadCompare(file){
+      let plan;
+      try{ plan = await choosePlan(file); } catch(err){ alert(err.message || String(err)); return; }
+      if(!plan) return;
+      compareLoad.disabled = true;
+      compareLoad.textContent = 'Loading ' + file.name + '…';
+      try{
+        const data = await readDataset(file, plan);
+        if(!data.rows.length) throw new Error('No rows found');
+        setCompare({ name: file.name, rows: data.rows, cols: data.cols });
+      } catch(err){ alert('Could not load ' + file.name + ': ' + (err.message || err)); }
+      finally{
+        compareLoad.disabled = false;
+        compareLoad.textContent = 'Compare with dataset…';
+      }
+    }
+
+    // parse a file to memory (see datasetSink), in a worker when there is one
+    function readDataset(file, plan){
+      const w = createParseWorker();
+      if(!w) return loadDataset(file, plan);
+      const sink = datasetSink(), unpack = chunkUnpacker();
+      return new Promise((resolve, reject)=>{
+        const finish = err =>{
+          w.terminate(); URL.revokeObjectURL(w.srcUrl);
+          if(err) reject(err); else resolve(sink.data);
+        };
+        w.onmessage = ev =>{
+          if(ev.data.type === 'done') finish();
+          else if(ev.data.type === 'error') finish(new Error(ev.data.message));
+          else sink.emit(unpack(ev.data));
+        };
+        w.onerror = ev =>{ ev.preventDefault(); finish(new Error(ev.message || 'Worker failed')); };
+        w.postMessage({ type:'parse', file, plan });
+      });
+    }
+
+    // start comparing with a dataset {name, rows, cols}, or stop (null)
+    function setCompare(c){
+      compare = c;
+      compareCube = null;
+      if(c){
+        c.raw = { cols: c.cols, rows: c.rows };
+        if(recipeApplied && recipe.at) cleanCompare();
+        calcCols.forEach(cc=> c.rows.forEach(r=> calcRow(r, cc)));
+        if(!compareDatasetOpt.parentNode) compareSel.appendChild(compareDatasetOpt);
+        compareSel.value = 'dataset';
+        customRange.style.display = 'none';
+        compareName.textContent = c.name + ' · ' + c.rows.length.toLocaleString() + ' rows ';
+      } else {
+        if(compareSel.value === 'dataset') compareSel.value = 'previous';
+        compareDatasetOpt.remove();
+      }
+      compareInfo.style.display = c ? '' : 'none';
+      if(master.rows.length) renderAll();
+    }
+
+    // `quiet` loads come from the API: they are not cached, report errors only
+    // through their promise and replay the stored recipe only when `replay` asks to
+    function startLoad(file, plan, quiet, replay){
+      cancelLoad();
+      const token = ++loadToken;
+      currentDataset = quiet ? null : cacheId(file);
+      // a linked or saved state waits for its own dataset only; API state has none and waits for any
+      if(pendingState && pendingState.dataset && pendingState.dataset !== currentDataset) pendingState = null;
       // reset
-      master = { cols: [], rows: [] };
-      // read as text or zip
-      if(file.name.toLowerCase().endsWith('.zip')){
-        const buf = await file.arrayBuffer();
-        const zip = await JSZip.loadAsync(buf);
-        let csvName = null;
-        zip.forEach((path, f)=>{ if(!csvName && path.toLowerCase().endsWith('.csv')) csvName = path; });
-        if(!csvName){ alert('No CSV found inside ZIP'); return; }
-        const text = await zip.file(csvName).async('string');
-        parseCSVText(text, file.name);
+      master = { cols: [], rows: [], schema: {}, errors: [], errorCount: 0 };
+      raw = null; recipeErrors = []; recipeApplied = false;
+      replayRecipe = !quiet || !!replay;
+      tx.issue = null;
+      cube = null;
+      resetSlicers();
+      clearCharts();
+      progressBar.value = 0;
+      progressLabel.textContent = 'Loading ' + file.name + '…';
+      progressCard.style.display = 'flex';
+      downloadBtn.style.display = 'none';
+      exportMenu.style.display = 'none';
+
+      const onMessage = msg => { if(token === loadToken) handleLoadMessage(msg, file, plan, quiet); };
+      // the chunk cubes are converted like the dashboard's, so they merge as they come (see ensureCube)
+      const fx = fxTable ? { rates: fxTable.rates, currency: fmtSettings.currency } : null;
+      loader = createParseWorker();
+      if(loader){
+        const unpack = chunkUnpacker();
+        loader.onmessage = ev => onMessage(unpack(ev.data));
+        loader.onerror = ev => { ev.preventDefault(); onMessage({ type:'error', message: ev.message || 'Worker failed' }); };
+        loader.postMessage({ type:'parse', file, plan, fx });
       } else {
-        const text = await file.text();
-        parseCSVText(text, file.name);
-      }
-    }
-
-    // parse CSV text with PapaParse
-    function parseCSVText(txt, sourceName){
-      const parsed = Papa.parse(txt, { header:true, skipEmptyLines:true });
-      if(parsed.errors && parsed.errors.length){
-        console.warn('CSV parse warnings:', parsed.errors.slice(0,5));
-      }
-      const rawFields = parsed.meta.fields || [];
-      const cleanedFields = rawFields.map(c=> cleanName(c));
-      // map rows to cleaned fields
-      const rows = parsed.data.map(r=>{
-        const o = {};
-        rawFields.forEach((rf,i)=> o[cleanedFields[i]] = r[rf]);
-        return o;
-      });
-      master.cols = cleanedFields; master.rows = rows;
-      populateSelectors();
-      renderSample();
-      slicersCard.style.display = 'block';
-      // create downloadable cleaned CSV
-      const cleanCsv = Papa.unparse(rows);
-      const blob = new Blob([cleanCsv], {type:'text/csv'});
-      downloadBtn.href = URL.createObjectURL(blob);
-      downloadBtn.style.display = 'inline-block';
+        const ctl = new AbortController();
+        loader = { terminate: ()=> ctl.abort() };
+        loadSource(file, onMessage, plan, { fx, signal: ctl.signal }).catch(err=> onMessage({ type:'error', message: err.message || String(err) }));
+      }
+    }
+
+    // load a file for the API: resolves with the row count once it is shown, rejects
+    // when it fails or another load replaces it
+    function apiLoad(file, opts){
+      startLoad(file, {}, true, opts && opts.recipe);
+      return new Promise((resolve, reject)=>{ loadSettle = { resolve, reject }; });
+    }
+
+    function settleLoad(err){
+      const s = loadSettle;
+      loadSettle = null;
+      if(s){ if(err) s.reject(err); else s.resolve(master.rows.length); }
+    }
+
+    // list the importable files in a ZIP; unless there is a single obvious choice,
+    // ask which to load and how to combine them
+    async function chooseZipPlan(file){
+      const zip = await JSZip.loadAsync(file);
+      const names = [];
+      zip.forEach((path, entry)=>{ if(!entry.dir && importKind(path) && !/(^|\/)__MACOSX\//.test(path)) names.push(path); });
+      if(!names.length) throw new Error('No CSV, Excel or JSON file found inside ZIP');
+      if(names.length === 1 && importKind(names[0]) !== 'excel') return { files: names, join: null };
+      const info = {};
+      for(const n of names) info[n] = await entryInfo(zip.file(n), n);
+      if(names.length === 1 && info[names[0]].sheets.length <= 1) return { files: names, join: null };
+      return zipDialog(file.name, names, info);
+    }
+
+    // header (cleaned column names) of a ZIP entry, plus sheet names/headers for workbooks
+    async function entryInfo(entry, name){
+      const kind = importKind(name);
+      if(kind === 'delimited') return { sheets: null, header: await readZipHeader(entry) };
+      const blob = await entry.async('blob');
+      if(kind === 'excel'){
+        const wb = await workbookInfo(blob);
+        return { sheets: wb.sheets, headers: wb.headers, header: wb.headers[wb.sheets[0]] || [] };
+      }
+      const table = await readTable(blob, name);
+      return { sheets: null, header: table.fields.map(c=> cleanName(c)) };
+    }
+
+    // sheet names of a workbook and the cleaned header row of each (reads two rows per sheet)
+    async function workbookInfo(blob){
+      await needLib('xlsx');
+      const wb = XLSX.read(new Uint8Array(await blob.arrayBuffer()), { type:'array', sheetRows:2, dense:true });
+      const headers = {};
+      wb.SheetNames.forEach(s=>{
+        const first = XLSX.utils.sheet_to_json(wb.Sheets[s], { header:1, defval:'', blankrows:false })[0] || [];
+        headers[s] = sheetHeader(first).map(c=> cleanName(c));
+      });
+      return { sheets: wb.SheetNames, headers };
+    }
+
+    // cleaned header of a zipped delimited file, decompressing only up to the first line break
+    function readZipHeader(entry){
+      return new Promise((resolve, reject)=>{
+        let buf = '', finished = false;
+        const finish = ()=>{
+          if(finished) return; finished = true;
+          const line = buf.split(/\r?\n/)[0];
+          resolve((Papa.parse(line).data[0] || []).map(c=> cleanName(c)));
+        };
+        const stream = entry.internalStream('string');
+        stream.on('data', chunk=>{ buf += chunk; if(/\r?\n/.test(buf)){ stream.pause(); finish(); } })
+          .on('error', reject)
+          .on('end', finish)
+          .resume();
+      });
+    }
+
+    // overlay a modal card on the dashboard; Escape dismisses it (onDismiss), close() removes it
+    function showModal(children, onDismiss){
+      const overlay = el('div',{class:'db-modal'}, el('div',{class:'db-card db-modal-box'}, children));
+      const onKey = ev => { if(ev.key === 'Escape'){ close(); onDismiss(); } };
+      function close(){ document.removeEventListener('keydown', onKey); overlay.remove(); }
+      document.addEventListener('keydown', onKey);
+      root.appendChild(overlay);
+      return close;
+    }
+
+    // pick one sheet of a workbook; resolves with its name or null when cancelled
+    function sheetDialog(fileName, sheets){
+      return new Promise(resolve=>{
+        const sel = el('select',{}, sheets.map(s=> el('option',{value:s}, s)));
+        const okBtn = el('button',{class:'db-btn'}, 'Load');
+        const cancel = el('button',{class:'db-btn secondary'}, 'Cancel');
+        const close = showModal([
+          el('strong',{}, 'Sheets in ' + fileName),
+          el('div',{class:'db-controls'}, ['Sheet: ', sel]),
+          el('div',{class:'db-controls'}, [okBtn, cancel])
+        ], ()=> resolve(null));
+        okBtn.addEventListener('click', ()=>{ close(); resolve(sel.value); });
+        cancel.addEventListener('click', ()=>{ close(); resolve(null); });
+      });
     }
 
-    // sanitize column name into JS-friendly
-    function cleanName(s){
-      return String(s||'').trim().replace(/\s+/g,'_').replace(/[\/%()]/g,'').slice(0,60);
+    // modal for multi-file archives; resolves with a load plan or null when cancelled
+    function zipDialog(zipName, names, info){
+      return new Promise(resolve=>{
+        const sameCols = (a, b)=> a.length === b.length && a.every(c=> b.includes(c));
+        const checks = {}, status = {}, sheetSels = {};
+        const list = el('table',{class:'db-table'}, el('tbody',{}, names.map((n,i)=>{
+          checks[n] = el('input',{type:'checkbox'});
+          checks[n].checked = i === 0;
+          checks[n].addEventListener('change', refresh);
+          status[n] = el('td',{class:'db-sub'}, '');
+          let sheetCell = null;
+          if(info[n].sheets && info[n].sheets.length > 1){
+            sheetSels[n] = el('select',{}, info[n].sheets.map(s=> el('option',{value:s}, s)));
+            sheetSels[n].addEventListener('change', ()=>{ info[n].header = info[n].headers[sheetSels[n].value] || []; refresh(); });
+            sheetCell = sheetSels[n];
+          }
+          const colCount = el('td',{class:'db-sub'}, '');
+          info[n].countCell = colCount;
+          return el('tr',{}, [el('td',{}, checks[n]), el('td',{}, n), el('td',{}, sheetCell), colCount, status[n]]);
+        })));
+        const lookupSel = el('select',{}, [el('option',{value:''}, 'No lookup join')].concat(names.map(n=> el('option',{value:n}, n))));
+        const keySel = el('select',{});
+        lookupSel.addEventListener('change', refresh);
+        const msg = el('div',{class:'db-sub', style:'color:var(--decline);min-height:18px'}, '');
+        const okBtn = el('button',{class:'db-btn'}, 'Load');
+        const cancel = el('button',{class:'db-btn secondary'}, 'Cancel');
+        const close = showModal([
+          el('strong',{}, 'Files in ' + zipName),
+          el('div',{class:'db-sub'}, 'Tick one file to load it, or several with the same columns to append them (a source_file column is added). Optionally join a lookup table onto them by a key column.'),
+          list,
+          el('div',{class:'db-controls'}, ['Join ', lookupSel, ' on ', keySel]),
+          msg,
+          el('div',{class:'db-controls'}, [okBtn, cancel])
+        ], ()=> resolve(null));
+
+        function checked(){ return names.filter(n=> checks[n].checked); }
+        function refresh(){
+          const sel = checked();
+          const base = sel.length ? info[sel[0]].header : null;
+          names.forEach(n=>{
+            info[n].countCell.textContent = info[n].header.length + ' columns';
+            status[n].textContent = !checks[n].checked ? '' : (sameCols(info[n].header, base) ? '' : 'columns differ');
+          });
+          const prevKey = keySel.value;
+          keySel.innerHTML = '';
+          const lookup = lookupSel.value;
+          const common = base && lookup ? base.filter(c=> info[lookup].header.includes(c)) : [];
+          common.forEach(c=> keySel.appendChild(el('option',{value:c}, c)));
+          if(common.includes(prevKey)) keySel.value = prevKey;
+          keySel.disabled = !lookup;
+          msg.textContent = '';
+        }
+
+        okBtn.addEventListener('click', ()=>{
+          const sel = checked();
+          const lookup = lookupSel.value;
+          if(!sel.length){ msg.textContent = 'Select at least one file.'; return; }
+          if(sel.some(n=> !sameCols(info[n].header, info[sel[0]].header))){ msg.textContent = 'Only files with matching headers can be appended.'; return; }
+          if(lookup && sel.includes(lookup)){ msg.textContent = 'The lookup table cannot also be appended.'; return; }
+          if(lookup && !keySel.value){ msg.textContent = 'The lookup table shares no column with the selected files.'; return; }
+          const sheets = {};
+          for(const n in sheetSels) sheets[n] = sheetSels[n].value;
+          close();
+          resolve({ files: sel, join: lookup ? { file: lookup, key: keySel.value } : null, sheets });
+        });
+        cancel.addEventListener('click', ()=>{ close(); resolve(null); });
+        refresh();
+      });
+    }
+
+    function handleLoadMessage(msg, file, plan, quiet){
+      if(msg.type === 'meta'){
+        master.cols = msg.cols;
+        master.schema = msg.schema;
+        if(formulas.columns.length) applyCalcColumns();
+        populateSelectors(msg.mapping);
+        cube = newCube(currentMapping());
+        fillAddFilter();
+        fillPivotPickers();
+        // a state whose columns may come from the recipe waits for the cleaned rows
+        if(pendingState && !recipeOnLoad()){
+          applyState(pendingState); pendingState = null;
+          cube = newCube(currentMapping());
+        }
+        renderSchemaPanel();
+        slicersCard.style.display = 'block';
+      } else if(msg.type === 'chunk'){
+        const rows = master.rows;
+        for(let i=0;i<msg.rows.length;i++) rows.push(msg.rows[i]);
+        // calculated columns: values for the new rows, their types inferred from the first chunk
+        if(calcCols.length || formulas.columns.length){
+          if(rows.length === msg.rows.length) applyCalcColumns();
+          else msg.rows.forEach(r=> calcCols.forEach(c=> calcRow(r, c)));
+        }
+        // parse errors go to the data-quality panel
+        (msg.errors || []).forEach(e=>{ if(master.errors.length < MAX_PARSE_ERRORS) master.errors.push(e); });
+        master.errorCount += msg.errorCount || 0;
+        // the mapping or schema may have been changed while streaming: re-aggregate this chunk locally
+        if(cube && msg.cube.key === cube.key) cubeMerge(cube, msg.cube);
+        else if(cube){
+          const mapping = currentMapping();
+          if(cube.key === newCube(mapping).key) cubeAddRows(cube, msg.rows, mapping, master.cols, master.schema);
+          else cube = null;
+        }
+        if(msg.total) progressBar.value = msg.loaded / msg.total;
+        progressLabel.textContent = 'Loading ' + file.name + ' — ' + rows.length.toLocaleString() + ' rows';
+        scheduleRender();
+      } else if(msg.type === 'done'){
+        stopLoader();
+        progressCard.style.display = 'none';
+        downloadBtn.style.display = 'inline-block';
+        exportMenu.style.display = 'inline-block';
+        clearTimeout(renderTimer); renderTimer = null;
+        // the recipe of a waiting state, else the stored one when it replays on this load;
+        // otherwise the rows stay as loaded and the recipe waits in the panel
+        const st = pendingState;
+        if(st && Array.isArray(st.recipe)) changeRecipe({ steps: st.recipe, at: st.recipe.length, auto: recipe.auto }, false);
+        else if(replayRecipe && recipe.auto) changeRecipe(recipe, false);
+        if(st){
+          applyState(Object.assign({}, st, { recipe: null })); pendingState = null;
+        }
+        renderSchemaPanel(); // previews need the loaded rows
+        renderAll();
+        if(cleanCard.style.display === 'block') renderCleanPanel();
+        if(!quiet) cachePut(file, plan).catch(err=> console.warn('Dataset not cached:', err));
+        settleLoad(null);
+      } else if(msg.type === 'error'){
+        stopLoader();
+        progressCard.style.display = 'none';
+        if(!quiet) alert(msg.message);
+        settleLoad(new Error(msg.message));
+      }
+    }
+
+    // incremental KPI/chart refresh while chunks arrive, at most every 400ms
+    function scheduleRender(){
+      if(renderTimer) return;
+      renderTimer = setTimeout(()=>{ renderTimer = null; renderAll(); }, 400);
+    }
+
+    function stopLoader(){
+      if(!loader) return;
+      loader.terminate();
+      if(loader.srcUrl) URL.revokeObjectURL(loader.srcUrl);
+      loader = null;
+    }
+
+    // abort an in-flight load and drop whatever it had delivered
+    function cancelLoad(){
+      if(progressCard.style.display === 'none') return;
+      loadToken++;
+      stopLoader();
+      settleLoad(new Error('Load cancelled'));
+      clearTimeout(renderTimer); renderTimer = null;
+      progressCard.style.display = 'none';
+      master = { cols: [], rows: [], schema: {}, errors: [], errorCount: 0 };
+      raw = null; recipeErrors = []; recipeApplied = false;
+      tx.issue = null;
+      cube = null;
+      resetSlicers();
+      clearCharts();
+      txUpdate(currentMapping(), readFilters());
+      renderSchemaPanel();
     }
 
     // populate all select controls with columns
-    function populateSelectors(){
-      const allSelects = [salesSel, costSel, profitSel, dateSel, regionSel, productSel];
+    function populateSelectors(mapping){
+      const allSelects = [salesSel, costSel, profitSel, dateSel, regionSel, productSel, customerSel, channelSel, unitsSel, currencySel];
       allSelects.forEach(sel => {
+        const label = sel.firstChild ? sel.firstChild.textContent : 'Select';
         sel.innerHTML = '';
         const placeholder = document.createElement('option');
         placeholder.value = '';
-        placeholder.textContent = sel.firstChild ? sel.firstChild.textContent : 'Select';
+        placeholder.textContent = label;
         sel.appendChild(placeholder);
       });
       master.cols.forEach(c=>{
         const opt = document.createElement('option'); opt.value = c; opt.textContent = c;
         allSelects.forEach(s=> s.appendChild(opt.cloneNode(true)));
       });
-      // auto-detect candidates
-      for(const c of master.cols){
-        const lc = c.toLowerCase();
-        if(!salesSel.value && /revenue|sales|amount|total|price|turnover/.test(lc)) salesSel.value = c;
-        if(!costSel.value && /cost|expense|cogs|costs/.test(lc)) costSel.value = c;
-        if(!profitSel.value && /profit|margin/.test(lc)) profitSel.value = c;
-        if(!dateSel.value && /date|day|dt|timestamp/.test(lc)) dateSel.value = c;
-        if(!regionSel.value && /region|state|area|zone|city|location/.test(lc)) regionSel.value = c;
-        if(!productSel.value && /product|item|sku|category|cat/.test(lc)) productSel.value = c;
-      }
-      // if no date found by pattern, try heuristic on sample content
-      if(!dateSel.value){
-        for(const c of master.cols){
-          const sample = master.rows.slice(0,200).map(r=>r[c]);
-          if(isDateCandidate(sample)){ dateSel.value = c; break; }
-        }
+      salesSel.value = mapping.sales; costSel.value = mapping.cost; profitSel.value = mapping.profit;
+      dateSel.value = mapping.date; regionSel.value = mapping.region; productSel.value = mapping.product;
+      customerSel.value = mapping.customer; channelSel.value = mapping.channel; unitsSel.value = mapping.units;
+      currencySel.value = mapping.currency || '';
+    }
+
+    function currentMapping(){
+      return { sales: salesSel.value, cost: costSel.value, profit: profitSel.value, date: dateSel.value, region: regionSel.value, product: productSel.value,
+        customer: customerSel.value, channel: channelSel.value, units: unitsSel.value, currency: currencySel.value };
+    }
+
+    // an empty cube for the mapping under the current schema and FX table
+    function newCube(mapping){
+      return createCube(mapping, master.schema, fxFor(mapping));
+    }
+
+    // the cube for the current mapping, schema and FX table, re-aggregated from master.rows when any changed
+    function ensureCube(mapping){
+      const fresh = newCube(mapping);
+      if(!cube || cube.key !== fresh.key) cube = cubeAddRows(fresh, master.rows, mapping, master.cols, master.schema);
+      return cube;
+    }
+
+    // first non-empty value of a column (schema preview)
+    function firstValue(col){
+      for(let i=0;i<master.rows.length && i<1000;i++){
+        const v = master.rows[i][col];
+        if(v !== undefined && v !== null && String(v).trim() !== '') return v;
       }
+      return '';
     }
 
-    // heuristic: is majority of sample parseable as date?
-    function isDateCandidate(sample){
-      let ok=0, tot=0;
-      for(let i=0;i<Math.min(sample.length,200);i++){
-        const v = sample[i]; if(v==null) continue; tot++;
-        const parsed = Date.parse(String(v));
-        if(!isNaN(parsed)) ok++;
+    // schema panel: detected type and confidence per column, with overrides for
+    // type, separators, currency, date format and timezone; any change
+    // re-aggregates and re-renders
+    function renderSchemaPanel(){
+      schemaCard.innerHTML = '';
+      const schema = master.schema || {};
+      schemaCard.appendChild(el('div',{}, el('strong',{}, 'Column types')));
+      schemaCard.appendChild(el('div',{class:'db-sub'}, 'Detected type and confidence per column. Change the type, separators, currency or date format and KPIs, charts and filters follow.'));
+      const warning = el('div',{class:'db-sub', style:'color:var(--decline);margin-top:6px'}, '');
+      schemaCard.appendChild(warning);
+      const option = (value, label)=> el('option',{value}, label);
+      const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+      const head = el('tr',{}, ['Column','Detected','Type','Decimal','Thousands','Currency','Date format','Timezone','Sample'].map(h=> el('th',{}, h)));
+      const body = el('tbody',{});
+      const showWarning = ()=>{
+        const open = master.cols.filter(c=> schema[c] && schema[c].type === 'date' && schema[c].ambiguous);
+        warning.textContent = open.length ? 'Please confirm the date format of ' + open.join(', ') + ': no value shows whether the day or the month comes first.' : '';
+      };
+      master.cols.forEach(c=>{
+        const cs = schema[c]; if(!cs) return;
+        const preview = el('td',{class:'db-sub'}, '');
+        const typeSel = el('select',{}, COLUMN_TYPES.map(t=> option(t, t)));
+        const decSel = el('select',{}, [option('.', '. (point)'), option(',', ', (comma)')]);
+        const thouSel = el('select',{}, [option(',', ', (comma)'), option('.', '. (point)'), option(' ', 'space'), option("'", "' (apostrophe)"), option('', 'none')]);
+        const curIn = el('input',{type:'text', size:'5', placeholder:'—'});
+        const fmtSel = el('select',{}, Object.keys(DATE_FORMATS).map(f=> option(f, DATE_FORMATS[f])));
+        const tzSel = el('select',{}, [option('', 'Browser local'), option('UTC', 'UTC')].concat(zones.filter(z=> z !== 'UTC').map(z=> option(z, z))));
+        const detected = el('td',{class:'db-sub'}, '');
+        typeSel.value = cs.type; decSel.value = cs.decimal; thouSel.value = cs.thousands; curIn.value = cs.currency || '';
+        fmtSel.value = cs.dateFormat || 'auto'; tzSel.value = cs.tz || '';
+        const sync = ()=>{
+          const isDate = cs.type === 'date', isNum = isNumericType(cs.type);
+          [decSel, thouSel, curIn].forEach(x=> x.disabled = !isNum);
+          [fmtSel, tzSel].forEach(x=> x.disabled = !isDate);
+          detected.textContent = cs.inferred + ' (' + Math.round(cs.confidence*100) + '%)' + (isDate && cs.ambiguous ? ' — confirm format' : '');
+          const sample = firstValue(c);
+          if(sample === ''){ preview.textContent = ''; return; }
+          let shown = cs.type;
+          if(isNum){
+            const n = cellNum(sample, cs);
+            shown = isNaN(n) ? 'not a number' : (cs.type === 'currency' && cs.currency ? cs.currency + ' ' : '') + n.toLocaleString(undefined, {maximumFractionDigits:4});
+          } else if(isDate){
+            shown = dayKeyOf(sample, cs) || 'not a date in this format';
+          }
+          preview.textContent = String(sample) + ' → ' + shown;
+        };
+        const apply = ev =>{
+          cs.type = typeSel.value; cs.decimal = decSel.value; cs.thousands = thouSel.value; cs.currency = curIn.value.trim();
+          cs.tz = tzSel.value;
+          if(ev && ev.target === fmtSel){ cs.dateFormat = fmtSel.value; cs.ambiguous = false; }
+          // switching a column to date: detect its format from the loaded rows
+          if(cs.type === 'date' && !cs.dateFormat){
+            const df = detectDateFormat(master.rows.slice(0,500).map(r=> r[c]));
+            cs.dateFormat = df.format; cs.ambiguous = df.ambiguous;
+            fmtSel.value = cs.dateFormat;
+          }
+          sync(); showWarning();
+          if(master.rows.length){
+            if(loader){ scheduleRender(); return; }
+            if(calcCols.length && !cs.calc) applyCalcColumns(); // their inputs read differently now
+            renderAll();
+          }
+        };
+        [typeSel, decSel, thouSel, curIn, fmtSel, tzSel].forEach(x=> x.addEventListener('change', apply));
+        sync();
+        body.appendChild(el('tr',{}, [el('td',{title: cs.calc ? '= ' + cs.calc : ''}, c + (cs.calc ? ' (calculated)' : '')), detected,
+          el('td',{}, typeSel), el('td',{}, decSel), el('td',{}, thouSel), el('td',{}, curIn), el('td',{}, fmtSel), el('td',{}, tzSel), preview]));
+      });
+      showWarning();
+      schemaCard.appendChild(el('div',{style:'max-height:320px;overflow:auto;margin-top:8px'}, el('table',{class:'db-table'}, [el('thead',{}, head), body])));
+      // an unconfirmed day/month order on the mapped date column needs the user's eye
+      const dateS = schema[dateSel.value];
+      if(dateS && dateS.type === 'date' && dateS.ambiguous) schemaCard.style.display = 'block';
+    }
+
+    // the visible grid columns
+    function txColumns(){
+      return master.cols.filter(c=> !tx.hidden.has(c));
+    }
+
+    // cell text by column type: numbers localized (currency code / percent sign kept), dates as YYYY-MM-DD
+    function txCell(v, cs){
+      if(v === undefined || v === null || v === '') return '';
+      if(cs && isNumericType(cs.type)){
+        const n = cellNum(v, cs);
+        if(isNaN(n)) return String(v);
+        if(cs.type === 'percent') return (n * 100).toLocaleString(undefined, {maximumFractionDigits:2}) + '%';
+        return (cs.type === 'currency' && cs.currency ? cs.currency + ' ' : '') + n.toLocaleString(undefined, {maximumFractionDigits:2});
       }
-      return tot>0 && (ok/tot) > 0.6;
+      if(cs && cs.type === 'date') return dayKeyOf(v, cs) || String(v);
+      return String(v);
     }
 
-    // render sample into table
-    function renderSample(limit=50){
-      const thead = root.querySelector('#sampleTable thead');
-      const tbody = root.querySelector('#sampleTable tbody');
-      thead.innerHTML = ''; tbody.innerHTML = '';
-      const rows = master.rows.slice(0,limit);
-      if(rows.length === 0) return;
-      const cols = Object.keys(rows[0]);
-      const trh = document.createElement('tr'); cols.forEach(c=> { const th = document.createElement('th'); th.textContent = c; trh.appendChild(th); }); thead.appendChild(trh);
-      rows.forEach(r=>{
-        const tr = document.createElement('tr');
-        cols.forEach(c=> { const td = document.createElement('td'); td.textContent = r[c] === undefined || r[c] === null ? '' : String(r[c]); tr.appendChild(td); });
-        tbody.appendChild(tr);
+    // typed sort key: number, date key or lower-cased text (blanks sort last)
+    function txKey(v, cs){
+      if(cs && isNumericType(cs.type)){ const n = cellNum(v, cs); return isNaN(n) ? null : n; }
+      if(cs && cs.type === 'date') return dayKeyOf(v, cs) || null;
+      return v === undefined || v === null || v === '' ? null : String(v).toLowerCase();
+    }
+
+    // Per-column search: substring match, or a comparison such as '>100' / '<= 5' on
+    // numeric columns
+    function txColumnTest(col, q){
+      const cs = master.schema[col];
+      const m = cs && isNumericType(cs.type) && /^(<=|>=|<|>|=)\s*(-?[\d.]+)$/.exec(q);
+      if(m){
+        const x = Number(m[2]);
+        const ops = { '<':(a)=> a < x, '<=':(a)=> a <= x, '>':(a)=> a > x, '>=':(a)=> a >= x, '=':(a)=> a === x };
+        return r=>{ const n = cellNum(r[col], cs); return !isNaN(n) && ops[m[1]](n); };
+      }
+      const needle = q.toLowerCase();
+      return r=> r[col] !== undefined && r[col] !== null && String(r[col]).toLowerCase().includes(needle);
+    }
+
+    // the filtered rows (slicers) the grid searches and sorts; called from renderAll
+    function txUpdate(mapping, filters){
+      tx.base = master.rows.filter(tx.issue ? tx.issue.test : rowFilter(mapping, filters, master.schema));
+      txIssueChip.style.display = tx.issue ? '' : 'none';
+      txIssueLabel.textContent = tx.issue ? 'Data quality: ' + tx.issue.label : '';
+      txApply(!!tx.issue);
+    }
+
+    // search the base rows, sort them and redraw; new searches and sorts start at the top
+    function txApply(fromTop){
+      const cols = txColumns();
+      const tests = Object.keys(tx.colSearch).filter(c=> tx.colSearch[c] && master.cols.includes(c)).map(c=> txColumnTest(c, tx.colSearch[c]));
+      const needle = tx.search.trim().toLowerCase();
+      let rows = tx.base;
+      if(tests.length || needle){
+        rows = rows.filter(r=>{
+          for(const t of tests) if(!t(r)) return false;
+          if(!needle) return true;
+          for(const c of cols){ const v = r[c]; if(v !== undefined && v !== null && String(v).toLowerCase().includes(needle)) return true; }
+          return false;
+        });
+      }
+      if(tx.sort && master.cols.includes(tx.sort.col)){
+        const cs = master.schema[tx.sort.col], col = tx.sort.col, dir = tx.sort.dir;
+        const keyed = rows.map(r=> ({ r, k: txKey(r[col], cs) }));
+        const collator = new Intl.Collator(undefined, {numeric:true});
+        keyed.sort((a,b)=>{
+          if(a.k === null || b.k === null) return a.k === b.k ? 0 : (a.k === null ? 1 : -1);
+          const c = typeof a.k === 'number' ? a.k - b.k : collator.compare(a.k, b.k);
+          return dir * c;
+        });
+        rows = keyed.map(x=> x.r);
+      }
+      tx.rows = rows;
+      txCount.textContent = rows.length.toLocaleString() + (rows.length === 1 ? ' row' : ' rows') + (rows.length !== master.rows.length ? ' of ' + master.rows.length.toLocaleString() : '');
+      txRenderHead();
+      txBody.style.height = (rows.length * TX_ROW_H) + 'px';
+      if(fromTop || txView.scrollTop > rows.length * TX_ROW_H) txView.scrollTop = 0;
+      txRenderRows();
+    }
+
+    function setTxSearch(q){
+      tx.search = q;
+      if(txSearch.value !== q) txSearch.value = q;
+      if(page && page.search && page.search.value !== q) page.search.value = q;
+      clearTimeout(txSearchTimer);
+      txSearchTimer = setTimeout(()=> txApply(true), 200);
+    }
+
+    function txWidth(c){
+      return tx.widths[c] || 140;
+    }
+
+    // header: sortable titles with a resize handle, per-column search boxes; column picker.
+    // Rebuilt only when the columns, their types, widths or the sort change, so a search
+    // box keeps its focus and caret while the filter it feeds is applied.
+    function txRenderHead(){
+      const cols = txColumns();
+      const sig = JSON.stringify([cols, cols.map(c=> master.schema[c] ? master.schema[c].type : ''), cols.map(txWidth), tx.sort]);
+      if(txHead.dataset.sig === sig){
+        txHead.querySelectorAll('input[data-col]').forEach(q=>{ const v = tx.colSearch[q.dataset.col] || ''; if(q.value !== v) q.value = v; });
+        return;
+      }
+      txHead.dataset.sig = sig;
+      txHead.innerHTML = '';
+      const titles = el('div',{class:'db-vgrid-row'});
+      const searches = el('div',{class:'db-vgrid-row'});
+      cols.forEach(c=>{
+        const arrow = tx.sort && tx.sort.col === c ? (tx.sort.dir > 0 ? ' ▲' : ' ▼') : '';
+        const cs = master.schema[c];
+        const handle = el('span',{class:'db-vgrid-resize'});
+        const cell = el('div',{class:'db-vgrid-cell' + (cs && isNumericType(cs.type) ? ' num' : ''), style:'width:' + txWidth(c) + 'px', title:'Sort by ' + c}, [c + arrow, handle]);
+        // click cycles ascending → descending → unsorted
+        cell.addEventListener('click', ev=>{
+          if(ev.target === handle) return;
+          if(!tx.sort || tx.sort.col !== c) tx.sort = { col: c, dir: 1 };
+          else if(tx.sort.dir > 0) tx.sort.dir = -1;
+          else tx.sort = null;
+          txApply(true);
+        });
+        handle.addEventListener('mousedown', ev=>{
+          ev.preventDefault(); ev.stopPropagation();
+          const x0 = ev.clientX, w0 = txWidth(c);
+          const move = e=>{ tx.widths[c] = Math.max(TX_MIN_W, w0 + e.clientX - x0); txResize(c); };
+          const up = ()=>{ document.removeEventListener('mousemove', move); document.removeEventListener('mouseup', up); };
+          document.addEventListener('mousemove', move);
+          document.addEventListener('mouseup', up);
+        });
+        titles.appendChild(cell);
+        const q = el('input',{type:'search', 'data-col': c, placeholder: cs && isNumericType(cs.type) ? 'e.g. >100' : 'Search'});
+        q.value = tx.colSearch[c] || '';
+        q.addEventListener('input', ()=>{ tx.colSearch[c] = q.value; clearTimeout(txSearchTimer); txSearchTimer = setTimeout(()=> txApply(true), 200); });
+        searches.appendChild(el('div',{class:'db-vgrid-cell', style:'width:' + txWidth(c) + 'px'}, q));
       });
+      txHead.appendChild(titles); txHead.appendChild(searches);
+      // show/hide picker; refilled only when the columns change
+      const all = master.cols.join('\u0001');
+      if(txColsList.dataset.cols !== all){
+        txColsList.dataset.cols = all;
+        txColsList.innerHTML = '';
+        master.cols.forEach(c=>{
+          const cb = el('input',{type:'checkbox'});
+          cb.checked = !tx.hidden.has(c);
+          cb.addEventListener('change', ()=>{ if(cb.checked) tx.hidden.delete(c); else tx.hidden.add(c); txApply(); });
+          txColsList.appendChild(el('label',{}, [cb, ' ' + c]));
+        });
+      }
+    }
+
+    // apply a dragged width to the header and the rendered rows without a full redraw
+    function txResize(col){
+      const i = txColumns().indexOf(col);
+      if(i < 0) return;
+      const w = txWidth(col) + 'px';
+      txHead.querySelectorAll('.db-vgrid-row').forEach(row=>{ if(row.children[i]) row.children[i].style.width = w; });
+      txBody.querySelectorAll('.db-vgrid-row').forEach(row=>{ if(row.children[i]) row.children[i].style.width = w; });
+    }
+
+    // draw the rows in (and just around) the viewport
+    function txRenderRows(){
+      const cols = txColumns();
+      const schema = cols.map(c=> master.schema[c]);
+      const top = Math.max(0, txView.scrollTop - txHead.offsetHeight);
+      const first = Math.max(0, Math.floor(top / TX_ROW_H) - TX_OVERSCAN);
+      const count = Math.ceil((txView.clientHeight || 420) / TX_ROW_H) + TX_OVERSCAN * 2;
+      const last = Math.min(tx.rows.length, first + count);
+      txBody.innerHTML = '';
+      for(let i=first;i<last;i++){
+        const r = tx.rows[i];
+        const row = el('div',{class:'db-vgrid-row', style:'top:' + (i * TX_ROW_H) + 'px;height:' + TX_ROW_H + 'px'});
+        cols.forEach((c,j)=>{
+          const num = schema[j] && isNumericType(schema[j].type);
+          const text = txCell(r[c], schema[j]);
+          row.appendChild(el('div',{class:'db-vgrid-cell' + (num ? ' num' : ''), style:'width:' + txWidth(c) + 'px', title:text}, text));
+        });
+        txBody.appendChild(row);
+      }
     }
 
     // clear charts
@@ -342,220 +1497,1917 @@
       charts = {};
     }
 
-    // compute Pearson correlation (paired arrays)
-    function pearson(a, b){
-      if(a.length !== b.length || a.length === 0) return 0;
-      const n = a.length;
-      const meanA = a.reduce((s,x)=>s+x,0)/n;
-      const meanB = b.reduce((s,x)=>s+x,0)/n;
-      let num=0, a2=0, b2=0;
-      for(let i=0;i<n;i++){ const da=a[i]-meanA, db=b[i]-meanB; num += da*db; a2 += da*da; b2 += db*db; }
-      return num / Math.sqrt((a2*b2) || 1);
+    // distinct values of a column, most frequent first (recounted as rows stream in)
+    function distinctValues(col){
+      const hit = valueCache[col];
+      if(hit && hit.n === master.rows.length) return hit.values;
+      const counts = new Map();
+      for(const r of master.rows){ const v = dimKey(r[col]); counts.set(v, (counts.get(v) || 0) + 1); }
+      const values = Array.from(counts, ([value, count])=> ({value, count})).sort((a,b)=> b.count - a.count || (a.value < b.value ? -1 : 1));
+      valueCache[col] = { n: master.rows.length, values };
+      return values;
+    }
+
+    // slicer kind for a column: value range for numbers and dates, multi-select otherwise
+    function slicerKind(col){
+      const cs = master.schema[col];
+      if(cs && isNumericType(cs.type)) return 'number';
+      if(cs && cs.type === 'date') return 'date';
+      return 'values';
+    }
+
+    // searchable multi-select over a column's distinct values; only the first
+    // SLICER_LIST_MAX matches are listed, the search reaches the rest
+    const SLICER_LIST_MAX = 300;
+    function valueSlicer(col){
+      const summary = el('summary',{}, col);
+      const search = el('input',{type:'search', placeholder:'Search ' + col + '…'});
+      const list = el('div',{class:'db-slicer-list'});
+      const selectAll = el('button',{class:'db-btn secondary'}, 'Select matches');
+      const selectNone = el('button',{class:'db-btn secondary'}, 'Clear');
+      const box = el('details',{class:'db-slicer'}, [summary, el('div',{class:'db-slicer-pop'}, [search, el('div',{class:'db-controls', style:'margin-top:6px'}, [selectAll, selectNone]), list])]);
+      const matches = ()=>{
+        const q = search.value.trim().toLowerCase();
+        return distinctValues(col).filter(v=> !q || v.value.toLowerCase().includes(q));
+      };
+      const chosen = ()=> (slicerState[col] && slicerState[col].values) || new Set();
+      const update = values =>{
+        if(values.size) slicerState[col] = { values }; else delete slicerState[col];
+        refresh(); renderAll();
+      };
+      const refresh = ()=>{
+        const sel = chosen();
+        summary.textContent = col + (sel.size ? ' (' + sel.size + ')' : ': all');
+        if(!box.open) return;
+        const found = matches();
+        list.innerHTML = '';
+        found.slice(0, SLICER_LIST_MAX).forEach(v=>{
+          const cb = el('input',{type:'checkbox'});
+          cb.checked = sel.has(v.value);
+          cb.addEventListener('change', ()=>{
+            const next = new Set(chosen());
+            if(cb.checked) next.add(v.value); else next.delete(v.value);
+            update(next);
+          });
+          list.appendChild(el('label',{}, [cb, ' ' + v.value + ' ', el('span',{class:'db-sub'}, v.count.toLocaleString())]));
+        });
+        if(found.length > SLICER_LIST_MAX) list.appendChild(el('div',{class:'db-sub'}, (found.length - SLICER_LIST_MAX).toLocaleString() + ' more — refine the search'));
+      };
+      selectAll.addEventListener('click', ()=>{ const next = new Set(chosen()); matches().forEach(v=> next.add(v.value)); update(next); });
+      selectNone.addEventListener('click', ()=> update(new Set()));
+      box.addEventListener('toggle', refresh);
+      search.addEventListener('input', refresh);
+      return { el: box, refresh };
+    }
+
+    // min/max inputs for a numeric or date column; either end may be left open
+    function rangeSlicer(col, kind){
+      const lo = el('input',{type: kind, placeholder:'min', style:'width:110px'});
+      const hi = el('input',{type: kind, placeholder:'max', style:'width:110px'});
+      const read = i => i.value === '' ? null : (kind === 'number' ? Number(i.value) : i.value);
+      const apply = ()=>{
+        const min = read(lo), max = read(hi);
+        if(min === null && max === null) delete slicerState[col]; else slicerState[col] = { min, max };
+        renderAll();
+      };
+      [lo, hi].forEach(i=> i.addEventListener('change', apply));
+      const refresh = ()=>{
+        const s = slicerState[col];
+        lo.value = s && s.min !== null ? s.min : ''; hi.value = s && s.max !== null ? s.max : '';
+      };
+      return { el: el('span',{class:'db-slicer'}, [col + ' ', lo, ' – ', hi]), refresh };
+    }
+
+    // add a slicer for a column; slicers the user added get a remove button
+    function addSlicer(col, removable){
+      if(slicers[col]) return slicers[col];
+      const kind = slicerKind(col);
+      const widget = kind === 'values' ? valueSlicer(col) : rangeSlicer(col, kind);
+      if(removable){
+        const x = el('button',{class:'db-slicer-x', title:'Remove slicer'}, '×');
+        x.addEventListener('click', ev=>{
+          ev.preventDefault();
+          widget.el.remove(); delete slicers[col];
+          const had = col in slicerState;
+          delete slicerState[col];
+          fillAddFilter();
+          if(had) renderAll();
+        });
+        widget.el.appendChild(x);
+      }
+      widget.removable = !!removable;
+      slicers[col] = widget;
+      slicerRow.appendChild(widget.el);
+      widget.refresh();
+      fillAddFilter();
+      return widget;
+    }
+
+    // drop every slicer and filter (a new dataset is coming in)
+    function resetSlicers(){
+      filteredCube = null; corrCache = null; slicerState = {}; slicers = {}; valueCache = {};
+      slicerRow.innerHTML = ''; chipBar.innerHTML = ''; chipBar.style.display = 'none';
+    }
+
+    function clearSlicer(col){
+      delete slicerState[col];
+      if(slicers[col]) slicers[col].refresh();
+    }
+
+    // columns that can still get a slicer (the mapped date column has the date range)
+    function fillAddFilter(){
+      const cols = master.cols.filter(c=> !slicers[c] && c !== dateSel.value);
+      const sig = cols.join('\u0001');
+      if(addFilterSel.dataset.cols === sig && addFilterSel.options.length) return;
+      addFilterSel.dataset.cols = sig;
+      addFilterSel.innerHTML = '';
+      addFilterSel.appendChild(el('option',{value:''}, '+ Filter column…'));
+      cols.forEach(c=> addFilterSel.appendChild(el('option',{value:c}, c)));
+    }
+
+    // filters currently set in the slicers card
+    function readFilters(){
+      const values = {}, ranges = {};
+      for(const c in slicerState){
+        const s = slicerState[c];
+        if(s.values) values[c] = s.values; else ranges[c] = s;
+      }
+      return { from: dateFrom.value, to: dateTo.value, values, ranges };
+    }
+
+    // the cube renderAll reads for these filters: the shared cube, or one re-aggregated
+    // from the matching rows when a filter needs them (kept until rows or filters change)
+    function cubeFor(mapping, f){
+      const base = ensureCube(mapping);
+      const extra = extraRowFilter(mapping, f, master.schema);
+      if(!extra) return base;
+      const key = base.key + '|' + master.rows.length + '|' + JSON.stringify(f.ranges) + JSON.stringify(Object.keys(f.values).map(c=> [c, Array.from(f.values[c])]));
+      if(!filteredCube || filteredCube.key !== key){
+        filteredCube = { key, cube: cubeAddRows(newCube(mapping), master.rows.filter(extra), mapping, master.cols, master.schema) };
+      }
+      return filteredCube.cube;
+    }
+
+    // active filters as {text, clear}: one per date range, slicer and value range
+    function activeFilters(mapping, f){
+      const out = [];
+      const show = v => v === null ? '…' : String(v);
+      if(f.from || f.to) out.push({ text: (mapping.date || 'Date') + ': ' + (f.from || '…') + ' – ' + (f.to || '…'), clear: ()=>{ dateFrom.value = ''; dateTo.value = ''; } });
+      for(const c in f.values){
+        const v = Array.from(f.values[c]);
+        out.push({ text: c + ': ' + v.slice(0,3).join(', ') + (v.length > 3 ? ' +' + (v.length - 3) : ''), clear: ()=> clearSlicer(c) });
+      }
+      for(const c in f.ranges) out.push({ text: c + ': ' + show(f.ranges[c].min) + ' – ' + show(f.ranges[c].max), clear: ()=> clearSlicer(c) });
+      return out;
+    }
+
+    // one chip per active filter; its × clears that filter
+    function renderChips(mapping, f){
+      chipBar.innerHTML = '';
+      activeFilters(mapping, f).forEach(a=>{
+        const x = el('button',{title:'Remove filter'}, '×');
+        x.addEventListener('click', ()=>{ a.clear(); renderAll(); });
+        chipBar.appendChild(el('span',{class:'db-chip'}, [a.text, x]));
+      });
+      chipBar.style.display = chipBar.childNodes.length ? 'flex' : 'none';
+    }
+
+    // Cross-filter from a chart click. The re-render waits a tick so Chart.js can
+    // finish handling the event before the clicked chart is destroyed.
+    function crossFilter(apply){
+      apply();
+      setTimeout(()=> renderAll(), 0);
+    }
+
+    // Date range of the comparison period ({range:{from, to}, label, current}, or null).
+    // The current period is the date filter; without one, 'previous' and 'yoy' compare
+    // the latest complete period at the chosen granularity (`current`, which the KPI
+    // cards then show) against the period before it or a year earlier.
+    // Otherwise 'previous' is the equally long stretch just before the current one.
+    function comparisonRange(all, mapping, filters){
+      const mode = compareSel.value;
+      if(mode === 'none') return null;
+      let from = filters.from, to = filters.to, current = null, prefix = '';
+      if(!from || !to){
+        const days = all.filter(factFilter(mapping, Object.assign({}, filters, {from:'', to:''}))).map(f=> f.d).filter(Boolean).sort();
+        if(!days.length) return null;
+        if(!from && !to && mode !== 'custom'){
+          current = latestPeriod(days[0], days[days.length-1], granSel.value);
+          from = current.from; to = current.to; prefix = current.key + ' ';
+        } else {
+          from = from || days[0]; to = to || days[days.length-1];
+        }
+      }
+      let range, label;
+      if(mode === 'yoy'){ range = { from: shiftYear(from, -1), to: shiftYear(to, -1) }; label = 'vs last year'; }
+      else if(mode === 'custom'){
+        if(!compareFrom.value || !compareTo.value) return null;
+        range = { from: compareFrom.value, to: compareTo.value }; label = 'vs ' + compareFrom.value + ' – ' + compareTo.value;
+      } else if(current){
+        range = periodBounds(periodKey(shiftDay(from, -1), granSel.value), granSel.value); label = 'vs previous ' + GRANULARITIES[granSel.value].toLowerCase();
+      } else {
+        const prevTo = shiftDay(from, -1);
+        range = { from: shiftDay(prevTo, -dayDiff(from, to)), to: prevTo }; label = 'vs previous period';
+      }
+      return { range, label: prefix + label, current: current && { from, to } };
+    }
+
+    // the last period (at gran) that the data covers completely, or the last one when
+    // none is complete: {key, from, to}
+    function latestPeriod(first, last, gran){
+      let key = periodKey(last, gran), b = periodBounds(key, gran);
+      if(b.to > last){
+        const prev = periodKey(shiftDay(b.from, -1), gran), pb = periodBounds(prev, gran);
+        if(pb.from >= first){ key = prev; b = pb; }
+      }
+      return { key, from: b.from, to: b.to };
+    }
+
+    // facts of the comparison period, with the same non-date slicers applied, or the
+    // comparison dataset's ({dataset: true}, see compareFacts)
+    function comparisonFacts(all, mapping, filters){
+      if(compareSel.value === 'dataset') return compare && { facts: compareFacts(mapping, filters), label: 'vs ' + compare.name, dataset: true };
+      const c = mapping.date ? comparisonRange(all, mapping, filters) : null;
+      return c && { facts: all.filter(factFilter(mapping, Object.assign({}, filters, c.range))), label: c.label,
+        current: c.current && all.filter(factFilter(mapping, Object.assign({}, filters, c.current))) };
+    }
+
+    // the same comparison as rows, for the formula measures
+    function comparisonRows(all, mapping, filters){
+      if(compareSel.value === 'dataset') return compare && { rows: compare.rows.filter(rowFilter(mapping, compareFilters(filters), master.schema)), label: 'vs ' + compare.name, dataset: true };
+      const c = mapping.date ? comparisonRange(all, mapping, filters) : null;
+      return c && { rows: master.rows.filter(rowFilter(mapping, Object.assign({}, filters, c.range), master.schema)), label: c.label,
+        current: c.current && master.rows.filter(rowFilter(mapping, Object.assign({}, filters, c.current), master.schema)) };
+    }
+
+    // The filters as they apply to the comparison dataset: all of them when dates are
+    // matched, all but the date range when periods are matched in order (this year
+    // against last year)
+    function compareFilters(f){
+      return compareAlign.value === 'period' ? Object.assign({}, f, {from:'', to:''}) : f;
+    }
+
+    // facts of the comparison dataset under compareFilters, aggregated like cubeFor
+    // (kept until the rows, mapping or filters change)
+    function compareFacts(mapping, filters){
+      const f = compareFilters(filters);
+      const fresh = newCube(mapping);
+      const extra = extraRowFilter(mapping, f, master.schema);
+      const key = fresh.key + '|' + compare.name + '|' + compare.rows.length + '|' + (extra ? JSON.stringify(f.ranges) + JSON.stringify(Object.keys(f.values).map(c=> [c, Array.from(f.values[c])])) : '');
+      if(!compareCube || compareCube.key !== key){
+        compareCube = { key, cube: cubeAddRows(fresh, extra ? compare.rows.filter(extra) : compare.rows, mapping, master.cols, master.schema) };
+      }
+      return Object.values(compareCube.cube.facts).filter(factFilter(mapping, f));
+    }
+
+    // '▲ 12% vs …' style delta; '—' when the comparison value is missing or zero
+    function pctDelta(cur, prev, label){
+      if(!isFinite(cur) || !isFinite(prev) || prev === 0) return '— ' + label;
+      const p = Math.round(((cur - prev) / Math.abs(prev)) * 100);
+      return (p>=0? '▲ ':'▼ ') + Math.abs(p) + '% ' + label;
+    }
+
+    // '▲ +₹1,200 (+12%) vs …' style difference, formatted by fmt (against a comparison dataset)
+    function diffDelta(cur, prev, label, fmt){
+      if(!isFinite(cur) || !isFinite(prev)) return '— ' + label;
+      const d = cur - prev, sign = d >= 0 ? '+' : '−';
+      const pct = prev === 0 ? '' : ' (' + sign + Math.abs(Math.round(d / Math.abs(prev) * 100)) + '%)';
+      return (d >= 0 ? '▲ ' : '▼ ') + sign + fmt(Math.abs(d)) + pct + ' ' + label;
     }
 
-    // main render: apply filters, compute KPIs, charts
+    // main render: apply filters to the cube, compute KPIs, charts
     function renderAll(){
       clearCharts();
-      const salesCol = salesSel.value || null;
-      const costCol = costSel.value || null;
-      const profitCol = profitSel.value || null;
-      const dateCol = dateSel.value || null;
-      const regionCol = regionSel.value || null;
-      const productCol = productSel.value || null;
+      const mapping = currentMapping();
+      activeFx = fxFor(mapping);
+      showFxNote();
+      const salesCol = mapping.sales || null;
+      const costCol = mapping.cost || null;
+      const profitCol = mapping.profit || null;
+      const dateCol = mapping.date || null;
+      const regionCol = mapping.region || null;
+      const productCol = mapping.product || null;
 
       // show slicers card if we have data
       if(master.rows.length) slicersCard.style.display = 'block';
 
-      // apply slicers
-      const selRegion = slicersCard.querySelector('select') ? slicersCard.querySelector('select').value : 'All';
-      // but we have dedicated filterRegion and filterProduct in our DOM, find them
-      const regionFilter = slicersCard.querySelector('select') || null;
-
-      // read date range inputs
-      const dateFrom = slicersCard.querySelector('input[type=date]') ? slicersCard.querySelector('input[type=date]').value : '';
-      const dateTo = slicersCard.querySelectorAll('input[type=date]')[1] ? slicersCard.querySelectorAll('input[type=date]')[1].value : '';
-
-      // For simplicity use the previously created dateFrom/dateTo/filterRegion/filterProduct elements
-      const dateFromEl = slicersCard.querySelector('input[type=date]');
-      const dateToEl = slicersCard.querySelectorAll('input[type=date]')[1];
-      const filterRegionEl = slicersCard.querySelectorAll('select')[0];
-      const filterProductEl = slicersCard.querySelectorAll('select')[1];
-      const selRegionVal = filterRegionEl ? filterRegionEl.value : 'All';
-      const selProductVal = filterProductEl ? filterProductEl.value : 'All';
-
-      // Filter rows
-      let rows = master.rows.slice();
-      if(dateCol && (dateFromEl.value || dateToEl.value)){
-        const from = dateFromEl.value ? new Date(dateFromEl.value) : null;
-        const to   = dateToEl.value ? new Date(dateToEl.value) : null;
-        rows = rows.filter(r=>{
-          const d = Date.parse(String(r[dateCol])); if(isNaN(d)) return false;
-          const dt = new Date(d);
-          if(from && dt < from) return false; if(to && dt > to) return false; return true;
+      // slicers for the mapped region/product columns are always there; those of an
+      // earlier mapping go, with their filter, and the add-filter list follows the mapping
+      const mapped = [regionCol, productCol].filter(c=> c && master.cols.includes(c));
+      Object.keys(slicers).forEach(c=>{
+        if(slicers[c].removable || mapped.includes(c)) return;
+        slicers[c].el.remove(); delete slicers[c]; delete slicerState[c];
+      });
+      mapped.forEach(c=> addSlicer(c, false));
+      fillAddFilter();
+      if(!loader) Object.values(slicers).forEach(w=> w.refresh());
+
+      const filters = readFilters();
+      renderChips(mapping, filters);
+      const all = Object.values(cubeFor(mapping, filters).facts);
+      const facts = all.filter(factFilter(mapping, filters));
+      let anomalies = dateCol ? null : [];   // revenue anomalies per period, from the time chart when it is drawn
+
+      // KPIs over the filtered facts, each with a delta against the comparison period.
+      // Without a date filter that delta is for the latest complete period, and the
+      // card shows that period's value too, so both cover the same days.
+      const kpis = kpiValues(facts, mapping);
+      const base = comparisonFacts(all, mapping, filters);
+      const prev = base ? kpiValues(base.facts, mapping) : null;
+      const shown = base && base.current ? kpiValues(base.current, mapping) : kpis;
+      const delta = key => !prev ? '' : base.dataset ? diffDelta(shown[key], prev[key], base.label, key === 'orders' ? String : fmtMoney) : pctDelta(shown[key], prev[key], base.label);
+      kRevenue.set(fmtMoney(shown.revenue), delta('revenue'));
+      kProfit.set(fmtMoney(shown.profit), delta('profit'));
+      kOrders.set(String(shown.orders), delta('orders'));
+      kAOV.set(fmtMoney(shown.aov), delta('aov'));
+      renderMeasures(mapping, filters, all);
+
+      // Time-series chart: aggregate by the chosen granularity, gaps filled with zero
+      if(dateCol && (currentView === 'overview' || currentView === 'sales')){
+        const gran = granSel.value;
+        const series = timeSeries(facts, gran);
+        const labels = series.labels, revSeries = series.revenue, ordSeries = series.orders;
+        const history = labels.length;
+        const datasets = [
+          { label:'Revenue', data: revSeries, borderWidth:2, tension:0.25 },
+          { label:'Orders', data: ordSeries, type:'bar', barThickness:12, plain:true }
+        ];
+        if(compare) datasets.push.apply(datasets, compareSeries(mapping, filters, labels, gran));
+        if(ma7.checked) datasets.push({ label:'Revenue (7-period avg)', data: movingAverage(revSeries, 7), borderWidth:1.5, borderDash:[6,4], pointRadius:0, tension:0.25 });
+        if(ma30.checked) datasets.push({ label:'Revenue (30-period avg)', data: movingAverage(revSeries, 30), borderWidth:1.5, borderDash:[2,3], pointRadius:0, tension:0.25 });
+        anomalies = revenueAnomalies(facts, gran);
+        if(anomalies.length){
+          const marked = new Set(anomalies.map(a=> a.period));
+          datasets.push({ label:'Revenue anomaly', data: labels.map((l,i)=> marked.has(l) ? revSeries[i] : null), type:'line', showLine:false,
+            pointRadius:7, pointHoverRadius:9, pointStyle:'triangle', backgroundColor:'#ef4444', borderColor:'#ef4444' });
+        }
+        if(forecastOn.checked) addForecast(labels, datasets, revSeries, ordSeries, gran);
+        else forecastPanel.style.display = 'none';
+        const ctx = part('timeChart').getContext('2d');
+        charts.time = new Chart(ctx, {
+          type: 'line',
+          data: { labels, datasets },
+          options: {
+            responsive:true, animation: loader ? false : undefined,
+            plugins:{legend:{position:'top', labels:{ filter: item=> !!item.text }}, tooltip: moneyTooltip()}, scales:{ y: { beginAtZero:true, ticks: moneyTicks() } },
+            // clicking a point narrows the date range to its period; clicking it again clears it
+            onClick: (ev, els)=>{
+              if(!els.length || els[0].index >= history) return;
+              const b = periodBounds(labels[els[0].index], gran);
+              crossFilter(()=>{
+                const same = dateFrom.value === b.from && dateTo.value === b.to;
+                dateFrom.value = same ? '' : b.from; dateTo.value = same ? '' : b.to;
+              });
+            }
+          }
         });
       }
-      if(regionCol && selRegionVal && selRegionVal !== 'All'){
-        rows = rows.filter(r => String(r[regionCol]) === selRegionVal);
-      }
-      if(productCol && selProductVal && selProductVal !== 'All'){
-        rows = rows.filter(r => String(r[productCol]) === selProductVal);
-      }
-
-      // KPIs
-      const revenue = salesCol ? rows.reduce((s,r)=> s + (isFinite(parseNum(r[salesCol]))? parseNum(r[salesCol]) : 0), 0) : NaN;
-      let profit = NaN;
-      if(profitCol) profit = rows.reduce((s,r)=> s + (isFinite(parseNum(r[profitCol]))? parseNum(r[profitCol]) : 0), 0);
-      else if(salesCol && costCol) profit = revenue - rows.reduce((s,r)=> s + (isFinite(parseNum(r[costCol]))? parseNum(r[costCol]) : 0), 0);
-
-      const orders = rows.length;
-      const aov = orders ? (revenue / orders) : NaN;
-
-      // update KPI displays
-      kRevenue.set(fmtINR(revenue), '');
-      kProfit.set(fmtINR(profit), '');
-      kOrders.set(String(orders), '');
-      kAOV.set(fmtINR(aov), '');
-
-      // growth delta: compare recent window to previous window if date present
-      if(dateCol && master.rows.length){
-        const allDates = master.rows.map(r=> Date.parse(String(r[dateCol]))).filter(d=>!isNaN(d)).sort((a,b)=>a-b);
-        if(allDates.length){
-          const last = new Date(allDates[allDates.length-1]);
-          const days = 30;
-          const periodStart = new Date(last); periodStart.setDate(periodStart.getDate() - (days-1));
-          const prevEnd = new Date(periodStart); prevEnd.setDate(prevEnd.getDate() - 1);
-          const prevStart = new Date(prevEnd); prevStart.setDate(prevStart.getDate() - (days-1));
-          const sumPeriod = master.rows.filter(r=>{ const d=Date.parse(String(r[dateCol])); return !isNaN(d) && d>=periodStart && d<=last; }).reduce((s,r)=> s + (salesCol? parseNum(r[salesCol])||0 : 0), 0);
-          const sumPrev = master.rows.filter(r=>{ const d=Date.parse(String(r[dateCol])); return !isNaN(d) && d>=prevStart && d<=prevEnd; }).reduce((s,r)=> s + (salesCol? parseNum(r[salesCol])||0 : 0), 0);
-          let pct = '—';
-          if(sumPrev > 0) { const p = Math.round(((sumPeriod - sumPrev) / sumPrev) * 100); pct = (p>=0? '▲ ':'▼ ') + Math.abs(p) + '%'; }
-          kRevenue.set(fmtINR(revenue), pct);
+
+      // Top products (overview only, like the correlations below)
+      const overview = currentView === 'overview';
+      if(productCol && overview){
+        const prodAgg = factTotals(facts, 'product');
+        const sorted = topKeys(prodAgg, 12);
+        const vals = sorted.map(k=> prodAgg[k]);
+        const ctx = part('prodChart').getContext('2d');
+        // clicking a bar filters to that product; clicking it again clears the product slicer
+        const onClick = (ev, els)=>{
+          if(!els.length) return;
+          const p = sorted[els[0].index];
+          crossFilter(()=>{
+            const cur = slicerState[productCol];
+            if(cur && cur.values && cur.values.size === 1 && cur.values.has(p)) delete slicerState[productCol];
+            else slicerState[productCol] = { values: new Set([p]) };
+            if(slicers[productCol]) slicers[productCol].refresh();
+          });
+        };
+        charts.prod = new Chart(ctx, { type:'bar', data:{ labels: sorted, datasets: [{ label:'Revenue', data: vals, backgroundColor:'#7c3aed', borderRadius:6 }] }, options:{animation: loader ? false : undefined, onClick, plugins:{legend:{display:false}, tooltip: moneyTooltip()}, scales:{y:{beginAtZero:true, ticks: moneyTicks()}}}});
+      }
+
+      // Correlations vs sales: signed Pearson r over the filtered rows, strongest first,
+      // among the matrix's columns; a bar opens its scatter plot in the Correlations view.
+      // Left out while a file loads: each partial render would recompute them.
+      if(salesCol && overview && !loader){
+        const data = corrRows(mapping, filters);
+        const sales = corrValues(data, salesCol);
+        const top = corrColumns(mapping).filter(c=> c !== salesCol)
+          .map(col=> Object.assign({ col }, correlate(sales, corrValues(data, col), 'pearson')))
+          .filter(t=> t.n >= 10 && isFinite(t.r))
+          .sort((x,y)=> Math.abs(y.r) - Math.abs(x.r)).slice(0,8);
+        const ctx = part('corrChart').getContext('2d');
+        const onClick = (ev, els)=>{
+          if(!els.length) return;
+          corrPick = { x: salesCol, y: top[els[0].index].col };
+          corrMethod.value = 'pearson';
+          switchView('correlations', nav);
+        };
+        const label = c=>{ const t = top[c.dataIndex]; return 'r = ' + t.r.toFixed(3) + ', ' + fmtP(t.p) + ', n = ' + t.n.toLocaleString(); };
+        charts.corr = new Chart(ctx, { type:'bar', data:{ labels: top.map(t=> t.col), datasets:[{ label:'r vs ' + salesCol, data: top.map(t=> t.r), backgroundColor: top.map(t=> t.r >= 0 ? '#10b981' : '#ef4444'), borderRadius:6 }]},
+          options:{animation: loader ? false : undefined, onClick, plugins:{legend:{display:false}, tooltip:{callbacks:{label}}}, scales:{y:{min:-1, max:1}}}});
+      }
+
+      if(page) renderPage(mapping, all, facts, filters);
+
+      if(currentView === 'sales') renderSalesView(mapping, facts, filters);
+      else if(currentView === 'customers') renderCustomersView(mapping, filters);
+      else if(currentView === 'products') renderProductsView(mapping, facts, filters);
+      else if(currentView === 'pivot') renderPivotView(mapping, filters);
+      else if(currentView === 'correlations') renderCorrelationView(mapping, filters);
+      if(currentView === 'overview' || currentView === 'sales') renderMovers(mapping, facts, filters);
+
+      if(currentView === 'overview'){
+        renderQuality(mapping, anomalies || revenueAnomalies(facts, granSel.value));
+        txUpdate(mapping, filters);
+      }
+      saveHash();
+
+      const plain = plainFilters(filters), filterKey = JSON.stringify(plain);
+      if(filterKey !== lastFilterKey){ lastFilterKey = filterKey; emit('filterchange', { filters: plain }); }
+      emit('render', { view: currentView, mapping, filters: plain, kpis, rows: master.rows.length, loading: !!loader });
+    }
+
+    // The comparison dataset's revenue and orders on the time chart's periods: the same
+    // periods when dates are matched, else period by period from its first one (each
+    // point's own period shows in the tooltip)
+    function compareSeries(mapping, filters, labels, gran){
+      const other = timeSeries(compareFacts(mapping, filters), gran);
+      const byOrder = compareAlign.value === 'period';
+      const at = new Map(other.labels.map((l,i)=> [l, i]));
+      const index = labels.map((l,i)=> byOrder ? (i < other.labels.length ? i : -1) : (at.has(l) ? at.get(l) : -1));
+      const pick = vals => index.map(j=> j < 0 ? null : vals[j]);
+      const periods = byOrder ? index.map(j=> j < 0 ? null : other.labels[j]) : null;
+      return [
+        { label:'Revenue — ' + compare.name, data: pick(other.revenue), periods, borderWidth:2, borderDash:[4,3], tension:0.25, borderColor:'#f472b6', backgroundColor:'#f472b6' },
+        { label:'Orders — ' + compare.name, data: pick(other.orders), periods, type:'bar', barThickness:12, plain:true, backgroundColor:'rgba(244,114,182,0.45)' }
+      ];
+    }
+
+    // Top movers against the comparison dataset: the largest revenue changes per
+    // product and region under the current filters
+    function renderMovers(mapping, facts, filters){
+      const head = part('moversTable').querySelector('thead'), body = part('moversTable').querySelector('tbody');
+      head.innerHTML = ''; body.innerHTML = '';
+      if(!compare){ moversView.note.textContent = 'Load a comparison dataset (Compare with dataset…) to list the biggest changes per product and region.'; return; }
+      const dims = [['product', 'Product'], ['region', 'Region']].filter(d=> mapping[d[0]]);
+      const missing = Object.values(mapping).filter(c=> c && !compare.cols.includes(c) && !(master.schema[c] && master.schema[c].calc));
+      moversView.note.textContent = (missing.length ? 'Not in ' + compare.name + ': ' + missing.join(', ') + '. ' : '') + (dims.length ? '' : 'Map a product or region column to see this table.');
+      if(!dims.length) return;
+      const other = compareFacts(mapping, filters);
+      const signed = (x, fmt)=> (x >= 0 ? '+' : '−') + fmt(Math.abs(x));
+      head.appendChild(el('tr',{}, ['', 'Now', compare.name, 'Change', '%'].map(h=> el('th',{}, h))));
+      dims.forEach(([dim, label])=>{
+        const movers = topMovers(factTotals(facts, dim), factTotals(other, dim), 10);
+        body.appendChild(el('tr',{}, el('td',{colspan:'5'}, el('strong',{}, label + (movers.length ? '' : ': no changes')))));
+        movers.forEach(m=>{
+          const dir = m.diff >= 0 ? 'up' : 'down';
+          body.appendChild(el('tr',{}, [el('td',{}, m.name), el('td',{}, fmtMoney(m.cur)), el('td',{}, fmtMoney(m.prev)),
+            el('td',{class: dir}, signed(m.diff, fmtMoney)), el('td',{class: dir}, m.pct === null ? 'new' : signed(Math.round(m.pct * 100), String) + '%')]));
+        });
+      });
+    }
+
+    // revenue of a row (0 when not a number), for the per-row breakdowns
+    function rowRevenue(r, mapping){
+      return revenueOf(r, mapping, master.schema, activeFx);
+    }
+
+    // a money cell of a row in the display currency (NaN when not a number)
+    function rowAmount(r, col){
+      return cellAmount(r, col, master.schema, activeFx);
+    }
+
+    // Money display: settings and FX table from the Format menu, kept in the settings store
+    function readFormat(){
+      return store.get('format') || {};
+    }
+
+    // settle display settings (unknown values fall back to the defaults) and show them
+    function setFormat(st, save){
+      fmtSettings = {
+        currency: DISPLAY_CURRENCIES.includes(st.currency) ? st.currency : 'auto',
+        locale: DISPLAY_LOCALES.includes(st.locale) ? st.locale : '',
+        decimals: [0,1,2].includes(st.decimals) ? st.decimals : 0,
+        compact: !!st.compact
+      };
+      fmtCurrency.value = fmtSettings.currency; fmtLocale.value = fmtSettings.locale;
+      fmtDecimals.value = String(fmtSettings.decimals); fmtCompact.checked = fmtSettings.compact;
+      if(save) store.set('format', fmtSettings);
+    }
+
+    // the chosen currency; 'from data' takes the one written in the sales column, else INR
+    function displayCurrency(){
+      return targetCurrency(fmtSettings.currency, master.schema, salesSel.value);
+    }
+
+    function fmtMoney(n){
+      return formatMoney(n, { currency: displayCurrency(), locale: fmtSettings.locale, decimals: fmtSettings.decimals, compact: fmtSettings.compact });
+    }
+
+    // conversion for a mapping while an FX table is loaded (see fxFactor)
+    function fxFor(mapping){
+      return fxSpec(fxTable && fxTable.rates, mapping, master.schema, fmtSettings.currency);
+    }
+
+    function readFxTable(){
+      return store.get('fx');
+    }
+
+    // table = {name, rates} or null; cube keys cover the rates, so the next render re-aggregates
+    function setFxTable(table){
+      fxTable = table;
+      store.set('fx', table);
+      showFxNote();
+    }
+
+    async function loadFxTable(file){
+      await needLib('papaparse');
+      const res = await new Promise((resolve, reject)=> Papa.parse(file, { header:true, skipEmptyLines:true, complete: resolve, error: reject }));
+      setFxTable({ name: file.name, rates: parseFxRates(res.meta.fields || [], res.data) });
+      if(master.rows.length) renderAll();
+    }
+
+    // what the FX table does for the loaded data, including currencies it has no rate for
+    function showFxNote(){
+      fxClear.style.display = fxTable ? '' : 'none';
+      if(!fxTable){
+        fxNote.textContent = 'No FX rates: amounts are added up as written. Load a CSV of currency codes and rates (the value of one unit in a common base currency) to convert mixed-currency rows.';
+        return;
+      }
+      const to = displayCurrency(), col = currencySel.value;
+      let text = Object.keys(fxTable.rates).length + ' rates from ' + fxTable.name + '; amounts are converted to ' + to + (col ? ' by the ' + col + ' column.' : ' by the symbol written in each amount.');
+      if(col && master.cols.includes(col)){
+        const missing = Array.from(new Set(distinctValues(col).map(v=> currencyCode(v.value)).filter(c=> c && c !== to && !fxTable.rates[c])));
+        if(missing.length) text += ' No rate for ' + missing.join(', ') + ': those rows are not converted.';
+      }
+      fxNote.textContent = text;
+    }
+
+    // Chart.js options for money: ticks and tooltips in the display format; datasets
+    // marked plain (orders, percentages) keep their own numbers in the tooltip
+    function moneyTicks(){
+      return { callback: v=> fmtMoney(v) };
+    }
+    function moneyTooltip(){
+      return { callbacks:{ label: ctx=>{
+        const slice = typeof ctx.parsed === 'number';
+        const v = slice ? ctx.parsed : ctx.parsed[ctx.chart.options.indexAxis === 'y' ? 'x' : 'y'];
+        const name = slice ? ctx.label : ctx.dataset.label;
+        const at = !slice && ctx.dataset.periods ? ctx.dataset.periods[ctx.dataIndex] : null;
+        return (name ? name + (at ? ' (' + at + ')' : '') + ': ' : '') + (ctx.dataset.plain ? ctx.formattedValue : fmtMoney(v));
+      } } };
+    }
+
+    // Extend the time chart by the forecast horizon: labels for the future periods,
+    // revenue and orders forecasts joined to their last actual, 95% bands (the lower
+    // edge fills up to the upper one and has no legend entry) and the backtest panel
+    function addForecast(labels, datasets, revSeries, ordSeries, gran){
+      const h = Math.max(1, Math.min(104, Math.round(Number(forecastH.value)) || 6));
+      const m = SEASON_LENGTH[gran], model = forecastModel.value, n = labels.length;
+      const rev = forecastSeries(revSeries, h, model, m), ord = forecastSeries(ordSeries, h, model, m);
+      if(!rev){
+        forecastPanel.style.display = 'block';
+        forecastPanel.textContent = 'Not enough periods to forecast: pick a finer granularity or a wider date range.';
+        return;
+      }
+      for(let i=0, k=labels[n-1]; i<h; i++){ k = nextPeriod(k, gran); labels.push(k); }
+      datasets.forEach(d=>{ d.data = d.data.concat(new Array(h).fill(null)); });
+      const future = (vals, last)=> new Array(n - 1).fill(null).concat([last], vals);
+      const band = (f, last, color, label, plain)=> [
+        { label, data: future(f.upper, last), borderWidth:0, pointRadius:0, backgroundColor: color, fill:false, plain },
+        { label:'', data: future(f.lower, last), borderWidth:0, pointRadius:0, backgroundColor: color, fill:'-1', plain }
+      ];
+      datasets.push({ label:'Revenue forecast', data: future(rev.mean, revSeries[n-1]), borderWidth:2, borderDash:[6,4], pointRadius:0, tension:0.25, borderColor:'#0ea5e9' });
+      datasets.push.apply(datasets, band(rev, revSeries[n-1], 'rgba(14,165,233,0.18)', 'Revenue 95% interval'));
+      datasets.push({ label:'Orders forecast', data: future(ord.mean, ordSeries[n-1]), borderWidth:2, borderDash:[2,3], pointRadius:0, tension:0.25, borderColor:'#f59e0b', plain:true });
+      datasets.push.apply(datasets, band(ord, ordSeries[n-1], 'rgba(245,158,11,0.15)', 'Orders 95% interval', true));
+
+      // backtest: every model forecasts the held-out last periods (up to the horizon, at most a third of history)
+      const hold = Math.min(h, Math.floor(n / 3));
+      const pct = v => isNaN(v) ? '—' : v.toFixed(1) + '%';
+      forecastPanel.style.display = 'block';
+      forecastPanel.innerHTML = '';
+      forecastPanel.appendChild(el('div',{}, hold >= 1 ? 'Backtest: MAPE when the last ' + hold + ' ' + GRANULARITIES[gran].toLowerCase() + (hold === 1 ? '' : 's') + ' are forecast from the periods before them (lower is better)' : 'Backtest needs at least 3 periods of history.'));
+      if(hold < 1) return;
+      const table = el('table',{class:'db-table'}, [el('thead',{}, el('tr',{}, ['Model','Revenue MAPE','Orders MAPE'].map(t=> el('th',{}, t)))), el('tbody',{})]);
+      Object.keys(FORECAST_MODELS).forEach(k=>{
+        const tr = el('tr',{}, [FORECAST_MODELS[k], pct(backtest(revSeries, hold, k, m)), pct(backtest(ordSeries, hold, k, m))].map(v=> el('td',{}, v)));
+        if(k === model) tr.style.fontWeight = '700';
+        table.querySelector('tbody').appendChild(tr);
+      });
+      forecastPanel.appendChild(table);
+    }
+
+    // fill the static index.html dashboard (see bindPage)
+    function renderPage(mapping, all, facts, filters){
+      // filter options from the data, selections mirrored from the shared filters
+      const years = Array.from(new Set(all.map(f=> f.d.slice(0,4)).filter(Boolean))).sort();
+      const single = role =>{ const s = mapping[role] && filters.values[mapping[role]]; return s && s.size === 1 ? Array.from(s)[0] : 'all'; };
+      if(page.year){
+        fillPageSelect(page.year, years);
+        const y = filters.from.slice(0,4);
+        page.year.value = y && filters.from === y + '-01-01' && filters.to === y + '-12-31' && years.includes(y) ? y : 'all';
+      }
+      [['region', page.region], ['product', page.product]].forEach(([role, sel])=>{
+        if(!sel) return;
+        fillPageSelect(sel, mapping[role] ? distinctValues(mapping[role]).map(v=> v.value).slice(0,500) : []);
+        sel.value = single(role);
+        if(sel.value === '') sel.value = 'all';
+      });
+
+      const kpis = kpiValues(facts, mapping);
+      if(page.revenue) page.revenue.textContent = fmtMoney(kpis.revenue);
+      if(page.profit) page.profit.textContent = fmtMoney(kpis.profit);
+
+      // YoY: the selected (or latest) year up to its last recorded day vs the same days a year earlier
+      if(page.growth){
+        page.growth.textContent = '—'; page.growth.title = '';
+        const days = facts.map(f=> f.d).filter(Boolean).sort();
+        if(days.length){
+          const last = days[days.length-1], year = last.slice(0,4);
+          const range = { from: year + '-01-01', to: last };
+          const cur = kpiValues(all.filter(factFilter(mapping, Object.assign({}, filters, range))), mapping).revenue;
+          const prev = kpiValues(all.filter(factFilter(mapping, Object.assign({}, filters, { from: shiftYear(range.from, -1), to: shiftYear(range.to, -1) }))), mapping).revenue;
+          if(isFinite(cur) && prev > 0){
+            const pct = Math.round((cur - prev) / prev * 100);
+            page.growth.textContent = (pct > 0 ? '+' : '') + pct + '%';
+            page.growth.title = range.from + ' – ' + range.to + ' vs the same days of ' + (Number(year) - 1);
+          }
         }
       }
 
-      // Time-series chart: aggregate by day
-      if(dateCol){
-        const byDay = {};
-        rows.forEach(r=>{
-          const d = Date.parse(String(r[dateCol])); if(isNaN(d)) return;
-          const key = new Date(d).toISOString().slice(0,10);
-          byDay[key] = byDay[key] || {rev:0,orders:0};
-          byDay[key].rev += salesCol ? (isFinite(parseNum(r[salesCol]))? parseNum(r[salesCol]) : 0) : 0;
-          byDay[key].orders += 1;
+      if(mapping.date){
+        const byQuarter = {};
+        facts.forEach(f=>{ if(f.d){ const q = periodKey(f.d, 'quarter'); byQuarter[q] = (byQuarter[q]||0) + f.rev; } });
+        const keys = Object.keys(byQuarter).sort();
+        const labels = keys.length ? periodRange(keys[0], keys[keys.length-1], 'quarter') : [];
+        charts.pageTrend = new Chart(document.getElementById('salesTrendChart').getContext('2d'), {
+          type:'line', data:{ labels, datasets:[{ label:'Revenue', data: labels.map(l=> byQuarter[l] || 0), borderWidth:2, tension:0.25 }] },
+          options:{ animation: loader ? false : undefined, plugins:{legend:{display:false}, tooltip: moneyTooltip()}, scales:{y:{beginAtZero:true, ticks: moneyTicks()}} }
         });
-        const labels = Object.keys(byDay).sort((a,b)=> new Date(a)- new Date(b));
-        const revSeries = labels.map(l=> byDay[l].rev);
-        const ordSeries = labels.map(l=> byDay[l].orders);
-        const ctx = document.getElementById('timeChart').getContext('2d');
-        charts.time = new Chart(ctx, {
-          type: 'line',
-          data: {
-            labels,
-            datasets: [
-              { label:'Revenue', data: revSeries, borderWidth:2, tension:0.25 },
-              { label:'Orders', data: ordSeries, type:'bar', barThickness:12 }
-            ]
-          },
-          options: { responsive:true, plugins:{legend:{position:'top'}}, scales:{ y: { beginAtZero:true } } }
+      }
+      const productCanvas = document.getElementById('salesByProductChart');
+      if(mapping.product && productCanvas){
+        const byProduct = factTotals(facts, 'product');
+        const labels = topKeys(byProduct, 10);
+        charts.pageProduct = new Chart(productCanvas.getContext('2d'), {
+          type:'bar', data:{ labels, datasets:[{ label:'Revenue', data: labels.map(l=> byProduct[l]), backgroundColor:'#7c3aed', borderRadius:6 }] },
+          options:{ animation: loader ? false : undefined, plugins:{legend:{display:false}, tooltip: moneyTooltip()}, scales:{y:{beginAtZero:true, ticks: moneyTicks()}} }
         });
       }
 
-      // Top products
-      if(productCol){
-        const prodAgg = {};
-        rows.forEach(r=>{
-          const key = String(r[productCol] === undefined || r[productCol] === null ? 'Unknown' : r[productCol]);
-          prodAgg[key] = (prodAgg[key]||0) + (salesCol? (isFinite(parseNum(r[salesCol]))? parseNum(r[salesCol]) : 0) : 0);
+      if(page.customers){
+        page.customers.innerHTML = '';
+        if(!mapping.customer){
+          page.customers.appendChild(el('tr',{}, el('td',{colspan:'3'}, 'Map a customer column to list top customers.')));
+          return;
+        }
+        const byCustomer = {};
+        const keep = rowFilter(mapping, filters, master.schema);
+        for(const r of master.rows){
+          if(!keep(r)) continue;
+          const c = byCustomer[dimKey(r[mapping.customer])] || (byCustomer[dimKey(r[mapping.customer])] = { sales:0, profit:0 });
+          const sale = rowRevenue(r, mapping);
+          const profit = mapping.profit ? rowAmount(r, mapping.profit) : (mapping.cost ? sale - rowAmount(r, mapping.cost) : NaN);
+          c.sales += sale; c.profit += isFinite(profit) ? profit : 0;
+        }
+        const hasProfit = !!(mapping.profit || mapping.cost);
+        Object.keys(byCustomer).sort((a,b)=> byCustomer[b].sales - byCustomer[a].sales).slice(0,5).forEach(name=>{
+          const c = byCustomer[name];
+          page.customers.appendChild(el('tr',{}, [el('td',{}, name), el('td',{}, fmtMoney(c.sales)), el('td',{}, hasProfit ? fmtMoney(c.profit) : '—')]));
         });
-        const sorted = Object.keys(prodAgg).sort((a,b)=> prodAgg[b] - prodAgg[a]).slice(0,12);
-        const vals = sorted.map(k=> prodAgg[k]);
-        const ctx = document.getElementById('prodChart').getContext('2d');
-        charts.prod = new Chart(ctx, { type:'bar', data:{ labels: sorted, datasets: [{ label:'Revenue', data: vals, backgroundColor:'#7c3aed', borderRadius:6 }] }, options:{plugins:{legend:{display:false}}, scales:{y:{beginAtZero:true}}}});
-      }
-
-      // Correlations vs sales (compute Pearson on numeric columns)
-      if(salesCol){
-        const candidateCols = master.cols.filter(c=> c !== salesCol ).slice(0,50);
-        const corrs = [];
-        candidateCols.forEach(col=>{
-          const paired = [];
-          for(const r of master.rows){
-            const a = parseNum(r[salesCol]); const b = parseNum(r[col]);
-            if(!isNaN(a) && !isNaN(b)) paired.push([a,b]);
+      }
+    }
+
+    // Sales view: the time chart (rendered above) plus revenue by region and channel
+    function renderSalesView(mapping, facts, filters){
+      const opts = { animation: loader ? false : undefined, plugins:{legend:{display:false}, tooltip: moneyTooltip()}, scales:{y:{beginAtZero:true, ticks: moneyTicks()}} };
+      regionView.note.textContent = mapping.region ? '' : 'Map a region column to see this chart.';
+      if(mapping.region){
+        const byRegion = factTotals(facts, 'region');
+        const labels = topKeys(byRegion, 20);
+        charts.region = new Chart(part('regionChart').getContext('2d'), { type:'bar', data:{ labels, datasets:[{ label:'Revenue', data: labels.map(l=> byRegion[l]), backgroundColor:'#0ea5e9', borderRadius:6 }] }, options: opts });
+      }
+      channelView.note.textContent = mapping.channel ? '' : 'Map a channel column to see this chart.';
+      if(mapping.channel){
+        const byChannel = rowTotals(master.rows, mapping.channel, rowFilter(mapping, filters, master.schema), mapping, master.schema, activeFx);
+        const labels = topKeys(byChannel, 12);
+        charts.channel = new Chart(part('channelChart').getContext('2d'), { type:'doughnut', data:{ labels, datasets:[{ label:'Revenue', data: labels.map(l=> byChannel[l]) }] }, options:{ animation: loader ? false : undefined, plugins:{legend:{position:'bottom'}, tooltip: moneyTooltip()} } });
+      }
+    }
+
+    // Customers view: top-N customers, new vs returning per period and RFM segments.
+    // A customer is new in the period of their first purchase under the non-date
+    // slicers, so the date range does not turn every returning customer into a new one.
+    function renderCustomersView(mapping, filters){
+      const custCol = mapping.customer;
+      topCustomers.note.textContent = custCol ? '' : 'Map a customer column to see this view.';
+      customerMix.note.textContent = custCol && !mapping.date ? 'Map a date column to split new and returning customers.' : '';
+      rfmView.note.textContent = custCol && !mapping.date ? 'RFM needs a date column for recency.' : '';
+      const rfmHead = part('rfmTable').querySelector('thead'), rfmBody = part('rfmTable').querySelector('tbody');
+      rfmHead.innerHTML = ''; rfmBody.innerHTML = '';
+      if(!custCol) return;
+      const dateS = master.schema[mapping.date];
+      const keep = rowFilter(mapping, Object.assign({}, filters, {from:'', to:''}), master.schema);
+      const dated = !!(filters.from || filters.to);
+      const gran = mixGran.value;
+      const customers = new Map();   // name → {rev, n, first, last}; first spans all dates, the rest the date range
+      const periods = {};            // period → Set of customers buying in it
+      for(const r of master.rows){
+        if(!keep(r)) continue;
+        const name = dimKey(r[custCol]);
+        const d = mapping.date ? dayKeyOf(r[mapping.date], dateS) : '';
+        let c = customers.get(name);
+        if(!c){ c = { rev:0, n:0, first:'', last:'' }; customers.set(name, c); }
+        if(d && (!c.first || d < c.first)) c.first = d;
+        if(dated && !(d && (!filters.from || d >= filters.from) && (!filters.to || d <= filters.to))) continue;
+        c.rev += rowRevenue(r, mapping); c.n += 1;
+        if(d && d > c.last) c.last = d;
+        if(d){ const p = periodKey(d, gran); (periods[p] || (periods[p] = new Set())).add(name); }
+      }
+      const active = [];
+      customers.forEach((c, name)=>{ if(c.n) active.push(Object.assign({name}, c)); });
+
+      const top = active.slice().sort((a,b)=> b.rev - a.rev).slice(0, Number(topNSel.value));
+      charts.topCustomers = new Chart(part('topCustomersChart').getContext('2d'), {
+        type:'bar', data:{ labels: top.map(c=> c.name), datasets:[{ label:'Revenue', data: top.map(c=> c.rev), backgroundColor:'#7c3aed', borderRadius:6 }] },
+        options:{ indexAxis:'y', animation: loader ? false : undefined, plugins:{legend:{display:false}, tooltip: moneyTooltip()}, scales:{x:{beginAtZero:true, ticks: moneyTicks()}} }
+      });
+      if(!mapping.date) return;
+
+      const keys = Object.keys(periods).sort();
+      const labels = keys.length ? periodRange(keys[0], keys[keys.length-1], gran) : [];
+      const fresh = labels.map(p=>{ let n = 0; if(periods[p]) periods[p].forEach(name=>{ if(periodKey(customers.get(name).first, gran) === p) n++; }); return n; });
+      const returning = labels.map((p,i)=> (periods[p] ? periods[p].size : 0) - fresh[i]);
+      charts.customerMix = new Chart(part('customerMixChart').getContext('2d'), {
+        type:'bar', data:{ labels, datasets:[{ label:'New', data: fresh, backgroundColor:'#10b981' }, { label:'Returning', data: returning, backgroundColor:'#0ea5e9' }] },
+        options:{ animation: loader ? false : undefined, plugins:{legend:{position:'top'}}, scales:{x:{stacked:true}, y:{stacked:true, beginAtZero:true}} }
+      });
+
+      // RFM: recency in days before the latest purchase in range, order count, revenue
+      const scored = active.filter(c=> c.last);
+      if(!scored.length) return;
+      const ref = scored.reduce((m,c)=> c.last > m ? c.last : m, '');
+      const recency = scored.map(c=> dayDiff(c.last, ref));
+      const rs = quintileScores(recency, false), fs = quintileScores(scored.map(c=> c.n), true), ms = quintileScores(scored.map(c=> c.rev), true);
+      const segs = {};
+      scored.forEach((c,i)=>{
+        const seg = rfmSegment(rs[i], fs[i]);
+        const g = segs[seg] || (segs[seg] = { customers:0, rev:0, days:0, orders:0, m:0 });
+        g.customers++; g.rev += c.rev; g.days += recency[i]; g.orders += c.n; g.m += ms[i];
+      });
+      rfmHead.appendChild(el('tr',{}, ['Segment','Customers','Revenue','Avg days since last','Avg orders','Avg M score'].map(h=> el('th',{}, h))));
+      RFM_SEGMENTS.filter(seg=> segs[seg]).forEach(seg=>{
+        const g = segs[seg];
+        rfmBody.appendChild(el('tr',{}, [seg, g.customers.toLocaleString(), fmtMoney(g.rev), String(Math.round(g.days / g.customers)), (g.orders / g.customers).toFixed(1), (g.m / g.customers).toFixed(1)].map(v=> el('td',{}, v))));
+      });
+    }
+
+    // Products view: Pareto/ABC, margin by product and units vs revenue
+    function renderProductsView(mapping, facts, filters){
+      const ok = !!mapping.product;
+      paretoView.note.textContent = ok ? '' : 'Map a product column to see this view.';
+      marginView.note.textContent = ok && !mapping.profit && !mapping.cost ? 'Map a profit or cost column to see margins.' : '';
+      unitsView.note.textContent = ok && !mapping.units ? 'No units column mapped: showing orders instead.' : '';
+      if(!ok) return;
+      const byProduct = {};
+      facts.forEach(f=>{
+        const p = byProduct[f.product] || (byProduct[f.product] = { rev:0, cost:0, profit:0, n:0, units:0 });
+        p.rev += f.rev; p.cost += f.cost; p.profit += f.profit; p.n += f.n;
+      });
+      const anim = loader ? false : undefined;
+
+      const pareto = paretoABC(Object.keys(byProduct).map(k=> ({ key:k, value: byProduct[k].rev })));
+      const shown = pareto.slice(0,50);
+      const classColor = { A:'#10b981', B:'#f59e0b', C:'#ef4444' };
+      const summary = ['A','B','C'].map(cls=>{
+        const items = pareto.filter(x=> x.cls === cls);
+        return cls + ': ' + items.length + ' products';
+      }).join(' · ');
+      paretoView.note.textContent = summary + (pareto.length > shown.length ? ' (chart shows the top ' + shown.length + ')' : '');
+      charts.pareto = new Chart(part('paretoChart').getContext('2d'), {
+        type:'bar',
+        data:{ labels: shown.map(x=> x.key), datasets:[
+          { label:'Revenue', data: shown.map(x=> x.value), backgroundColor: shown.map(x=> classColor[x.cls]), borderRadius:4, yAxisID:'y' },
+          { label:'Cumulative %', data: shown.map(x=> Math.round(x.cum * 1000) / 10), type:'line', borderColor:'#e6eef6', pointRadius:0, yAxisID:'y1', plain:true }
+        ] },
+        options:{ animation: anim, plugins:{legend:{position:'top'}, tooltip: moneyTooltip()}, scales:{ y:{beginAtZero:true, ticks: moneyTicks()}, y1:{position:'right', min:0, max:100, grid:{drawOnChartArea:false}} } }
+      });
+
+      if(mapping.profit || mapping.cost){
+        const top = pareto.slice(0,15).map(x=> x.key);
+        const margins = top.map(k=>{
+          const p = byProduct[k];
+          const profit = mapping.profit ? p.profit : p.rev - p.cost;
+          return p.rev ? Math.round(profit / p.rev * 1000) / 10 : 0;
+        });
+        charts.margin = new Chart(part('marginChart').getContext('2d'), {
+          type:'bar', data:{ labels: top, datasets:[{ label:'Margin %', data: margins, backgroundColor: margins.map(m=> m >= 0 ? '#10b981' : '#ef4444'), borderRadius:6 }] },
+          options:{ indexAxis:'y', animation: anim, plugins:{legend:{display:false}} }
+        });
+      }
+
+      // units come from the rows (the cube does not hold them); orders stand in without a units column
+      if(mapping.units){
+        const unitsS = master.schema[mapping.units];
+        const keep = rowFilter(mapping, filters, master.schema);
+        for(const r of master.rows){
+          if(!keep(r)) continue;
+          const p = byProduct[dimKey(r[mapping.product])]; if(!p) continue;
+          const u = cellNum(r[mapping.units], unitsS);
+          if(isFinite(u)) p.units += u;
+        }
+      }
+      const points = pareto.slice(0,200).map(x=> ({ name: x.key, x: mapping.units ? byProduct[x.key].units : byProduct[x.key].n, y: x.value }));
+      charts.units = new Chart(part('unitsChart').getContext('2d'), {
+        type:'scatter', data:{ datasets:[{ label:'Products', data: points, backgroundColor:'#0ea5e9' }] },
+        options:{ animation: anim, plugins:{ legend:{display:false}, tooltip:{ callbacks:{ label: ctx=> ctx.raw.name + ': ' + ctx.raw.x.toLocaleString() + ' / ' + fmtMoney(ctx.raw.y) } } },
+          scales:{ x:{ title:{display:true, text: mapping.units ? 'Units' : 'Orders'}, beginAtZero:true }, y:{ title:{display:true, text:'Revenue'}, beginAtZero:true, ticks: moneyTicks() } } }
+      });
+    }
+
+    // column choices for the pivot pickers; fields of columns no longer loaded are dropped
+    function fillPivotPickers(){
+      ['rows','cols','values'].forEach(k=>{
+        const keep = pivotSpec[k].filter(f=> !f.col || master.cols.includes(f.col));
+        pivotSpec[k].length = 0; keep.forEach(f=> pivotSpec[k].push(f));
+      });
+      pivotRowAdd.innerHTML = ''; pivotColAdd.innerHTML = ''; pivotValueCol.innerHTML = '';
+      pivotRowAdd.appendChild(el('option',{value:''}, '+ Row field…'));
+      pivotColAdd.appendChild(el('option',{value:''}, '+ Column field…'));
+      pivotValueCol.appendChild(el('option',{value:''}, '(rows)'));
+      master.cols.forEach(c=>{
+        pivotRowAdd.appendChild(el('option',{value:c}, c));
+        pivotColAdd.appendChild(el('option',{value:c}, c));
+        pivotValueCol.appendChild(el('option',{value:c}, c));
+      });
+      renderPivotFields();
+    }
+
+    // chosen fields as chips: a grain select on date fields, × to remove
+    function renderPivotFields(){
+      const chip = (label, list, i, extra)=>{
+        const x = el('button',{title:'Remove'}, '×');
+        x.addEventListener('click', ()=>{ list.splice(i,1); renderPivotFields(); renderAll(); });
+        return el('span',{class:'db-chip'}, [label].concat(extra || [], x));
+      };
+      [[pivotRowsBox, pivotSpec.rows], [pivotColsBox, pivotSpec.cols]].forEach(([box, list])=>{
+        box.innerHTML = '';
+        list.forEach((f,i)=>{
+          let gran = null;
+          if(f.gran){
+            gran = el('select',{}, Object.keys(GRANULARITIES).map(g=> el('option',{value:g}, GRANULARITIES[g])));
+            gran.value = f.gran;
+            gran.addEventListener('change', ()=>{ f.gran = gran.value; renderAll(); });
           }
-          if(paired.length < 10) return;
-          const aArr = paired.map(p=>p[0]), bArr = paired.map(p=>p[1]);
-          const val = pearson(aArr, bArr);
-          corrs.push({col, val});
+          box.appendChild(chip(f.col, list, i, gran));
+        });
+      });
+      pivotValuesBox.innerHTML = '';
+      pivotSpec.values.forEach((v,i)=> pivotValuesBox.appendChild(chip(pivotValueLabel(v), pivotSpec.values, i)));
+    }
+
+    function pivotValueLabel(v){
+      return v.col ? PIVOT_AGGS[v.agg] + ' of ' + v.col : 'Rows';
+    }
+
+    // sums, averages and extremes of the mapped amount columns (and currency-typed ones) are money
+    function isMoneyValue(v){
+      if(!v.col || v.agg === 'count' || v.agg === 'distinct') return false;
+      const m = currentMapping(), cs = master.schema[v.col];
+      return [m.sales, m.cost, m.profit].includes(v.col) || !!(cs && cs.type === 'currency');
+    }
+
+    function fmtPivot(n, v){
+      if(typeof n !== 'number' || isNaN(n)) return '';
+      if(isMoneyValue(v)) return fmtMoney(n);
+      return v.agg === 'count' || v.agg === 'distinct' ? n.toLocaleString() : n.toLocaleString(undefined, {maximumFractionDigits:2});
+    }
+
+    // Pivot view: table with subtotals after each row group and grand totals, and the
+    // leaf rows as a chart once sent there (first value per column key, or each value)
+    const PIVOT_MAX_COLS = 50, PIVOT_MAX_LINES = 2000;
+    function renderPivotView(mapping, filters){
+      const thead = part('pivotTable').querySelector('thead'), tbody = part('pivotTable').querySelector('tbody');
+      thead.innerHTML = ''; tbody.innerHTML = '';
+      pivotCanvasBox.style.display = 'none';
+      if(!pivotSpec.values.length){ pivotNote.textContent = 'Add at least one value to build the pivot.'; return; }
+      const keep = rowFilter(mapping, filters, master.schema);
+      const pv = buildPivot(master.rows.filter(keep), pivotSpec, master.schema, activeFx);
+      const values = pivotSpec.values;
+      const colKeys = pv.colKeys.slice(0, PIVOT_MAX_COLS);
+      const hasCols = pivotSpec.cols.length > 0;
+      const nRow = pivotSpec.rows.length;
+      pivotNote.textContent = pv.colKeys.length > colKeys.length ? 'Showing the first ' + colKeys.length + ' of ' + pv.colKeys.length + ' column keys.' : '';
+
+      // header: column keys over value labels; a single row when there are no column fields
+      const rowHeads = (nRow ? pivotSpec.rows.map(f=> f.col) : ['']).map(h=> el('th',{}, h));
+      if(hasCols){
+        thead.appendChild(el('tr',{}, rowHeads.map(()=> el('th',{}, '')).concat(colKeys.concat('Total').map(ck=> el('th',{colspan:String(values.length)}, ck)))));
+        thead.appendChild(el('tr',{}, rowHeads.concat([].concat.apply([], colKeys.concat('Total').map(()=> values.map(v=> el('th',{}, pivotValueLabel(v))))))));
+      } else {
+        thead.appendChild(el('tr',{}, rowHeads.concat(values.map(v=> el('th',{}, pivotValueLabel(v))))));
+      }
+      const line = (cells, path, strong)=>{
+        const keys = hasCols ? colKeys.concat('') : [''];
+        const nums = [];
+        keys.forEach(ck=>{ const vals = pv.value(path, ck); values.forEach((v,j)=> nums.push(el('td',{}, fmtPivot(vals ? vals[j] : NaN, v)))); });
+        const tr = el('tr',{}, cells.map(c=> el('td',{}, c)).concat(nums));
+        if(strong) tr.style.fontWeight = '700';
+        tbody.appendChild(tr);
+      };
+      let lines = 0;
+      pv.rowKeys.forEach((path, i)=>{
+        if(lines >= PIVOT_MAX_LINES) return;
+        line(nRow ? path : ['All'], path); lines++;
+        // close the groups that end here, innermost first
+        const next = pv.rowKeys[i+1];
+        for(let l=nRow-1; l>=1; l--){
+          if(next && next.slice(0,l).join('\u0001') === path.slice(0,l).join('\u0001')) break;
+          const cells = path.slice(0,l).concat(['Total'], new Array(nRow - l - 1).fill(''));
+          line(cells, path.slice(0,l), true); lines++;
+        }
+      });
+      if(lines >= PIVOT_MAX_LINES) pivotNote.textContent += ' Showing the first ' + PIVOT_MAX_LINES.toLocaleString() + ' lines.';
+      if(nRow) line(['Grand total'].concat(new Array(nRow - 1).fill('')), [], true);
+
+      if(!pivotChartOn) return;
+      pivotCanvasBox.style.display = 'block';
+      const leaves = pv.rowKeys.slice(0,200);
+      const labels = leaves.map(p=> nRow ? p.join(' / ') : 'All');
+      const datasets = hasCols
+        ? colKeys.slice(0,12).map(ck=> ({ label: ck, data: leaves.map(p=>{ const v = pv.value(p, ck); return v && !isNaN(v[0]) ? v[0] : 0; }) }))
+        : values.map((v,j)=> ({ label: pivotValueLabel(v), data: leaves.map(p=>{ const x = pv.value(p, ''); return x && !isNaN(x[j]) ? x[j] : 0; }) }));
+      const type = pivotChartType.value;
+      const money = hasCols ? isMoneyValue(values[0]) : values.every(isMoneyValue);
+      charts.pivot = new Chart(part('pivotChart').getContext('2d'), {
+        type: type === 'line' ? 'line' : 'bar', data:{ labels, datasets },
+        options:{ animation: loader ? false : undefined, plugins:{legend:{position:'top'}, tooltip: money ? moneyTooltip() : {}},
+          scales:{ x:{stacked: type === 'stacked'}, y:{stacked: type === 'stacked', beginAtZero:true, ticks: money ? moneyTicks() : {}} } }
+      });
+    }
+
+    // Formulas (see compileFormula). Calculated columns are stored in master like loaded
+    // ones, with calc = formula in their schema entry, so mapping, slicers, pivot, grid and
+    // correlations use them as they are. Measures become KPI cards after the fixed four.
+    function readFormulas(){
+      return normalizeFormulas(store.get('formulas'));
+    }
+
+    function normalizeFormulas(st){
+      const list = v => Array.isArray(v) ? v.filter(x=> x && typeof x === 'object') : [];
+      const text = v => typeof v === 'string' ? v : '';
+      st = st || {};
+      return {
+        columns: list(st.columns).map(c=> ({ name: text(c.name).trim(), formula: text(c.formula) })),
+        measures: list(st.measures).map(m=> ({
+          name: text(m.name).trim(), formula: text(m.formula),
+          format: MEASURE_FORMATS[m.format] ? m.format : 'number',
+          target: m.target === null || m.target === undefined || String(m.target).trim() === '' || !isFinite(m.target) ? null : Number(m.target),
+          better: m.better === 'lower' ? 'lower' : 'higher'
+        }))
+      };
+    }
+
+    function setFormulas(st, save){
+      formulas = normalizeFormulas(st);
+      if(save) store.set('formulas', formulas);
+      buildMeasureCards();
+      if(master.cols.length) applyCalcColumns();
+    }
+
+    function calcRow(r, c){
+      r[c.name] = calcValue(r, c.f, master.schema);
+    }
+
+    // (Re)compute the calculated columns over master.rows (and the comparison rows) in definition order, so
+    // a column can use the ones above it. A column whose formula fails is left out.
+    // A type set in the schema panel is kept while the formula stays the same.
+    function applyCalcColumns(){
+      const prev = {};
+      master.cols.filter(c=> master.schema[c] && master.schema[c].calc).forEach(c=>{
+        prev[c] = master.schema[c];
+        delete master.schema[c];
+        master.rows.forEach(r=>{ delete r[c]; });
+        if(compare) compare.rows.forEach(r=>{ delete r[c]; });
+      });
+      master.cols = master.cols.filter(c=> !prev[c]);
+      calcCols = [];
+      formulaErrors.columns = [];
+      valueCache = {}; corrCache = null;
+      formulas.columns.forEach((def, i)=>{
+        if(!def.name && !def.formula.trim()) return;
+        let c;
+        try{
+          if(!def.name) throw new Error('Give the column a name');
+          if(master.cols.includes(def.name)) throw new Error('There is already a column named "' + def.name + '"');
+          c = { name: def.name, formula: def.formula, f: compileFormula(def.formula, master.cols, false) };
+        } catch(e){ formulaErrors.columns[i] = e.message; return; }
+        master.rows.forEach(r=> calcRow(r, c));
+        if(compare) compare.rows.forEach(r=> calcRow(r, c));
+        const old = prev[def.name];
+        const cs = old && old.calc === def.formula ? old : { tz:'', calc: def.formula };
+        if(cs.type === cs.inferred) Object.assign(cs, inferColumn(master.rows.slice(0, 1000).map(r=> r[def.name])));
+        master.schema[def.name] = cs;
+        master.cols.push(def.name);
+        calcCols.push(c);
+      });
+    }
+
+    // after the formulas changed: field pickers, slicers, pivot and grid follow the columns
+    function refreshFields(){
+      const has = c => master.cols.includes(c);
+      populateSelectors(currentMapping());
+      Object.keys(slicers).concat(Object.keys(slicerState)).forEach(c=>{
+        if(has(c)) return;
+        if(slicers[c]){ slicers[c].el.remove(); delete slicers[c]; }
+        delete slicerState[c];
+      });
+      ['rows','cols','values'].forEach(k=>{ for(let i = pivotSpec[k].length - 1; i >= 0; i--) if(!has(pivotSpec[k][i].col)) pivotSpec[k].splice(i, 1); });
+      if(corrPick && !(has(corrPick.x) && has(corrPick.y))) corrPick = null;
+      if(tx.sort && !has(tx.sort.col)) tx.sort = null;
+      fillAddFilter(); fillPivotPickers(); renderPivotFields(); renderSchemaPanel();
+    }
+
+    function buildMeasureCards(){
+      measureCards.forEach(k=> k.card.remove());
+      measureCards = formulas.measures.map(m=>{
+        const k = kpiCard(m.name || 'Measure');
+        kpiRow.appendChild(k.card);
+        return k;
+      });
+    }
+
+    function fmtMeasure(v, format){
+      if(format === 'money') return fmtMoney(v);
+      const opts = format === 'percent' ? { style:'percent', maximumFractionDigits: Math.max(1, fmtSettings.decimals) } : { maximumFractionDigits: 2 };
+      return v.toLocaleString(fmtSettings.locale || undefined, opts);
+    }
+
+    // measure cards: each formula over the filtered rows (the latest complete period's
+    // when the KPI cards show it), with a delta against the comparison period; a target
+    // colours the card by whether it is met
+    function renderMeasures(mapping, filters, all){
+      formulaErrors.measures = [];
+      if(!measureCards.length) return;
+      const rows = master.rows.filter(rowFilter(mapping, filters, master.schema));
+      const cmp = comparisonRows(all, mapping, filters);
+      formulas.measures.forEach((m, i)=>{
+        const k = measureCards[i];
+        k.card.classList.remove('good', 'bad');
+        let f;
+        try{ f = compileFormula(m.formula, master.cols, true); }
+        catch(e){ formulaErrors.measures[i] = e.message; k.set('—', e.message); return; }
+        const value = rs => measureValue(f, rs, master.schema, activeFx);
+        const v = value(cmp && cmp.current ? cmp.current : rows);
+        const parts = [];
+        if(cmp) parts.push(cmp.dataset ? diffDelta(v, value(cmp.rows), cmp.label, x=> fmtMeasure(x, m.format)) : pctDelta(v, value(cmp.rows), cmp.label));
+        if(m.target !== null){
+          parts.push('target ' + fmtMeasure(m.target, m.format));
+          if(isFinite(v)) k.card.classList.add((m.better === 'lower' ? v <= m.target : v >= m.target) ? 'good' : 'bad');
+        }
+        k.set(isFinite(v) ? fmtMeasure(v, m.format) : '—', parts.join(' · '));
+      });
+    }
+
+    // Formulas panel: edits a copy of the definitions; Apply checks, stores and recomputes them
+    function renderFormulaPanel(){
+      const draft = JSON.parse(JSON.stringify(formulas));
+      const errors = { columns: formulaErrors.columns.slice(), measures: formulaErrors.measures.slice() };
+      formulaCard.innerHTML = '';
+      const input = (obj, key, size, placeholder)=>{
+        const i = el('input',{type:'text', size: String(size), placeholder});
+        i.value = obj[key] === null || obj[key] === undefined ? '' : String(obj[key]);
+        i.addEventListener('input', ()=>{ obj[key] = i.value; });
+        return i;
+      };
+      const select = (obj, key, options)=>{
+        const s = el('select',{}, Object.keys(options).map(v=> el('option',{value:v}, options[v])));
+        s.value = obj[key];
+        s.addEventListener('change', ()=>{ obj[key] = s.value; });
+        return s;
+      };
+      const error = msg => el('td',{class:'db-sub', style:'color:var(--decline)'}, msg || '');
+      const remove = (list, errs, i)=>{
+        const b = el('button',{class:'db-slicer-x', title:'Remove'}, '×');
+        b.addEventListener('click', ()=>{ list.splice(i, 1); errs.splice(i, 1); fill(); });
+        return b;
+      };
+      const colBody = el('tbody',{}), measureBody = el('tbody',{});
+      function fill(){
+        colBody.innerHTML = ''; measureBody.innerHTML = '';
+        draft.columns.forEach((c, i)=> colBody.appendChild(el('tr',{}, [
+          el('td',{}, input(c, 'name', 14, 'Name')), el('td',{}, input(c, 'formula', 44, 'e.g. Profit / Sales')),
+          error(errors.columns[i]), el('td',{}, remove(draft.columns, errors.columns, i))
+        ])));
+        draft.measures.forEach((m, i)=> measureBody.appendChild(el('tr',{}, [
+          el('td',{}, input(m, 'name', 14, 'Name')), el('td',{}, input(m, 'formula', 44, 'e.g. SUM(Profit) / SUM(Sales)')),
+          el('td',{}, select(m, 'format', MEASURE_FORMATS)), el('td',{}, input(m, 'target', 8, 'Target')),
+          el('td',{}, select(m, 'better', { higher:'Higher is better', lower:'Lower is better' })),
+          error(errors.measures[i]), el('td',{}, remove(draft.measures, errors.measures, i))
+        ])));
+      }
+      const addCol = el('button',{class:'db-btn secondary'}, '+ Column');
+      addCol.addEventListener('click', ()=>{ draft.columns.push({ name:'', formula:'' }); fill(); });
+      const addMeasure = el('button',{class:'db-btn secondary'}, '+ KPI');
+      addMeasure.addEventListener('click', ()=>{ draft.measures.push({ name:'', formula:'', format:'number', target:'', better:'higher' }); fill(); });
+      const apply = el('button',{class:'db-btn'}, 'Apply');
+      apply.addEventListener('click', ()=>{
+        setFormulas(draft, true);
+        if(master.cols.length){ refreshFields(); renderAll(); }
+        renderFormulaPanel();
+      });
+      const fns = Object.keys(FORMULA_AGGREGATES).concat(Object.keys(FORMULA_FUNCTIONS).filter(f=> !FORMULA_AGGREGATES[f]));
+      formulaCard.appendChild(el('div',{}, el('strong',{}, 'Formulas')));
+      formulaCard.appendChild(el('div',{class:'db-sub'}, 'Calculated columns are worked out per row (Profit / Sales, Qty * [Unit Price]) and can be mapped, filtered and pivoted like any column. KPI measures aggregate the filtered rows (SUM(Profit) / SUM(Sales), DISTINCTCOUNT(Customer)). Operators: + - * / % ^ & = != < <= > >= AND OR NOT. Functions: ' + fns.join(', ') + '.'));
+      formulaCard.appendChild(el('div',{style:'margin-top:8px'}, el('strong',{}, 'Calculated columns')));
+      formulaCard.appendChild(el('table',{class:'db-table'}, colBody));
+      formulaCard.appendChild(el('div',{style:'margin-top:8px'}, el('strong',{}, 'KPI measures')));
+      formulaCard.appendChild(el('table',{class:'db-table'}, measureBody));
+      formulaCard.appendChild(el('div',{class:'db-controls'}, [addCol, addMeasure, apply]));
+      fill();
+    }
+
+    // Clean data (see applyRecipe). master holds the loaded rows (raw) through the
+    // applied steps; undo/redo move `at` and replay from raw. The recipe is kept in
+    // the settings store and, with `auto`, replayed on every upload.
+    function readRecipe(){
+      return normalizeRecipe(store.get('recipe'));
+    }
+
+    function normalizeRecipe(st){
+      st = st || {};
+      const steps = Array.isArray(st.steps) ? st.steps.filter(x=> x && typeof x === 'object') : [];
+      const at = Number.isInteger(st.at) ? Math.max(0, Math.min(st.at, steps.length)) : steps.length;
+      return { steps, at, auto: !!st.auto };
+    }
+
+    function setRecipe(st, save){
+      recipe = normalizeRecipe(st);
+      if(save) store.set('recipe', recipe);
+    }
+
+    // is the load in progress going to run a recipe (from the waiting state or the stored one)?
+    function recipeOnLoad(){
+      if(pendingState && Array.isArray(pendingState.recipe)) return pendingState.recipe.length > 0;
+      return replayRecipe && recipe.auto && recipe.at > 0;
+    }
+
+    // a column name at step `to` of the recipe, given its name at step `from`
+    function followRenames(name, steps, from, to){
+      if(to > from) steps.slice(from, to).forEach(st=>{ if(st.op === 'rename' && st.col === name) name = st.to; });
+      else steps.slice(to, from).reverse().forEach(st=>{ if(st.op === 'rename' && st.to === name) name = st.col; });
+      return name;
+    }
+
+    // switch to another recipe (or position in it) and replay it on the loaded rows;
+    // the mapping follows renamed columns
+    function changeRecipe(next, save){
+      const m = currentMapping();
+      for(const k in m) m[k] = followRenames(m[k], recipe.steps, recipeApplied ? recipe.at : 0, 0);
+      setRecipe(next, save);
+      for(const k in m) m[k] = followRenames(m[k], recipe.steps, 0, recipe.at);
+      if(!master.rows.length || loader) return;
+      recipeApplied = true;
+      if(!raw && !recipe.at) return;
+      runRecipe(m);
+    }
+
+    function runRecipe(mapping){
+      if(!raw){
+        const cols = master.cols.filter(c=> !(master.schema[c] && master.schema[c].calc)), schema = {};
+        cols.forEach(c=> schema[c] = master.schema[c]);
+        raw = { cols, rows: master.rows, schema };
+      }
+      const t = applyRecipe(raw, recipe.steps.slice(0, recipe.at));
+      recipeErrors = t.errors;
+      master.cols = t.cols; master.rows = t.rows; master.schema = t.schema;
+      cube = null; filteredCube = null; corrCache = null; quality = null; tx.issue = null;
+      if(compare){ cleanCompare(); compareCube = null; }
+      applyCalcColumns();
+      populateSelectors(mapping);
+      refreshFields();
+    }
+
+    // the comparison dataset through the same steps, from the rows it was loaded with
+    function cleanCompare(){
+      const t = applyRecipe({ cols: compare.raw.cols, rows: compare.raw.rows, schema: (raw || master).schema }, recipe.steps.slice(0, recipe.at));
+      compare.cols = t.cols; compare.rows = t.rows;
+    }
+
+    // a recipe change from the panel: stored, replayed and shown
+    function editRecipe(next){
+      changeRecipe(next, true);
+      if(master.rows.length && !loader) renderAll();
+      renderCleanPanel();
+    }
+
+    async function openRecipe(file){
+      const st = JSON.parse(await file.text());
+      const steps = Array.isArray(st) ? st : st && st.steps;
+      if(!Array.isArray(steps)) throw new Error('No steps in ' + file.name);
+      editRecipe({ steps, at: steps.length, auto: recipe.auto });
+    }
+
+    // Clean data panel: builds one step at a time against the cleaned columns; the
+    // recipe list below shows undone steps struck through until a new step drops them
+    function renderCleanPanel(){
+      cleanCard.innerHTML = '';
+      // a stored recipe this load did not replay: applied as a whole or cleared, not edited
+      const waiting = !recipeApplied && recipe.at > 0 && master.rows.length > 0;
+      const cols = master.cols.filter(c=> !(master.schema[c] && master.schema[c].calc));
+      const allCols = { trim:'All columns', dedupe:'All columns', drop:'Any column', replace:'All columns' };
+      const opSel = el('select',{}, Object.keys(CLEAN_STEPS).map(op=> el('option',{value:op}, CLEAN_STEPS[op])));
+      opSel.value = cleanOp;
+      const colSel = el('select',{});
+      const form = el('div',{class:'db-controls'});
+      const add = el('button',{class:'db-btn'}, 'Add step');
+      add.disabled = waiting;
+      const text = (placeholder, size, value)=>{
+        const i = el('input',{type:'text', size: String(size), placeholder});
+        if(value !== undefined) i.value = value;
+        return i;
+      };
+      const check = label =>{ const i = el('input',{type:'checkbox'}); return { i, label: el('label',{}, [i, ' ' + label]) }; };
+      let read = null, extra = null; // the step from the fields below; per-op field row
+      function fillForm(){
+        cleanOp = opSel.value;
+        const prev = colSel.value;
+        colSel.innerHTML = '';
+        if(allCols[cleanOp]) colSel.appendChild(el('option',{value:''}, allCols[cleanOp]));
+        cols.forEach(c=> colSel.appendChild(el('option',{value:c}, c)));
+        if(cols.includes(prev) || (prev === '' && allCols[cleanOp])) colSel.value = prev;
+        fillFields();
+      }
+      function fillFields(){
+        const op = cleanOp, col = colSel.value;
+        let fields = [], below = null;
+        if(op === 'fill'){
+          const method = el('select',{}, Object.keys(FILL_METHODS).map(k=> el('option',{value:k}, 'with ' + FILL_METHODS[k])));
+          const value = text('Value', 10);
+          method.addEventListener('change', ()=>{ value.style.display = method.value === 'value' ? '' : 'none'; });
+          fields = [method, value];
+          read = ()=> ({ op, col, method: method.value, value: method.value === 'value' ? value.value : undefined });
+        } else if(op === 'rename'){
+          const to = text('New name', 14);
+          fields = [to];
+          read = ()=> ({ op, col, to: to.value.trim() });
+        } else if(op === 'split'){
+          const sep = text('Separator', 6, '-'), into = text('New columns, comma-separated', 26), keep = check('Keep ' + (col || 'column'));
+          fields = [sep, into, keep.label];
+          read = ()=> ({ op, col, sep: sep.value, into: into.value.split(',').map(n=> n.trim()).filter(Boolean), keep: keep.i.checked });
+        } else if(op === 'map'){
+          // the column's values, most frequent first; the ticked ones become the target value
+          const counts = new Map();
+          if(col) master.rows.forEach(r=>{ const k = r[col] == null ? '' : String(r[col]).trim(); counts.set(k, (counts.get(k) || 0) + 1); });
+          const values = Array.from(counts.keys()).sort((a,b)=> counts.get(b) - counts.get(a)).slice(0, 200);
+          const boxes = values.map(v=> check((v || '(blank)') + ' (' + counts.get(v).toLocaleString() + ')'));
+          const to = text('Map ticked values to', 18);
+          boxes.forEach((b, i)=> b.i.addEventListener('change', ()=>{ if(b.i.checked && !to.value) to.value = values[i]; }));
+          fields = [to];
+          below = el('div',{class:'db-slicer-list'}, boxes.map(b=> el('div',{}, b.label)));
+          read = ()=>{
+            const map = {};
+            boxes.forEach((b, i)=>{ if(b.i.checked && values[i] !== to.value) map[values[i]] = to.value; });
+            if(!Object.keys(map).length) throw new Error('Tick the values to map');
+            return { op, col, values: map };
+          };
+        } else if(op === 'replace'){
+          const find = text('Find', 14), by = text('Replace with', 14), regex = check('Pattern (regular expression)');
+          fields = [find, by, regex.label];
+          read = ()=> ({ op, col, find: find.value, replace: by.value, regex: regex.i.checked });
+        } else if(op === 'outliers'){
+          const method = el('select',{}, [el('option',{value:'iqr'}, 'IQR (1.5 × IQR fences)'), el('option',{value:'zscore'}, 'z-score (|z| > 3)')]);
+          fields = [method];
+          read = ()=> ({ op, col, method: method.value });
+        } else {
+          read = ()=> ({ op, col });
+        }
+        form.innerHTML = '';
+        [opSel, colSel].concat(fields, [add]).forEach(x=> form.appendChild(x));
+        if(extra) extra.remove();
+        extra = below;
+        if(below) form.after(below);
+      }
+      opSel.addEventListener('change', fillForm);
+      colSel.addEventListener('change', fillFields);
+      // a new step replaces the undone ones; it is tried on the cleaned rows first
+      add.addEventListener('click', ()=>{
+        let st;
+        try{
+          st = read();
+          const t = applyRecipe({ cols, rows: master.rows, schema: master.schema }, [st]);
+          if(t.errors[0]) throw new Error(t.errors[0]);
+        } catch(e){ alert(e.message); return; }
+        editRecipe({ steps: recipe.steps.slice(0, recipe.at).concat([st]), at: recipe.at + 1, auto: recipe.auto });
+      });
+
+      const list = el('ol',{class:'db-recipe'}, recipe.steps.map((st, i)=> el('li',{class: i < recipe.at && !waiting ? '' : 'undone'}, [
+        cleanStepText(st),
+        i < recipe.at && recipeErrors[i] ? el('span',{class:'db-sub', style:'color:var(--decline)'}, ' — skipped: ' + recipeErrors[i]) : null
+      ])));
+      const button = (label, disabled, fn)=>{
+        const b = el('button',{class:'db-btn secondary'}, label);
+        b.disabled = disabled;
+        b.addEventListener('click', fn);
+        return b;
+      };
+      const undo = button('Undo', !recipe.at || waiting, ()=> editRecipe(Object.assign({}, recipe, { at: recipe.at - 1 })));
+      const redo = button('Redo', recipe.at >= recipe.steps.length || waiting, ()=> editRecipe(Object.assign({}, recipe, { at: recipe.at + 1 })));
+      const apply = waiting ? button('Apply recipe', false, ()=> editRecipe(recipe)) : null;
+      const clear = button('Clear', !recipe.steps.length, ()=> editRecipe({ steps: [], at: 0, auto: recipe.auto }));
+      const save = button('Save recipe', !recipe.at, ()=> downloadBlob(new Blob([JSON.stringify({ steps: recipe.steps.slice(0, recipe.at) }, null, 2)], {type:'application/json'}), 'cleaning_recipe.json'));
+      const input = el('input',{type:'file', accept:'.json,application/json', style:'display:none'});
+      const open = button('Open recipe…', false, ()=> input.click());
+      input.addEventListener('change', ()=>{
+        const f = input.files[0]; input.value = '';
+        if(f) openRecipe(f).catch(err=> alert('Could not read the recipe: ' + err.message));
+      });
+      const auto = check('Replay on upload');
+      auto.i.checked = recipe.auto;
+      auto.i.addEventListener('change', ()=> setRecipe(Object.assign({}, recipe, { auto: auto.i.checked }), true));
+
+      cleanCard.appendChild(el('div',{}, el('strong',{}, 'Clean data')));
+      cleanCard.appendChild(el('div',{class:'db-sub'}, 'Each step is added to the recipe and applied to the loaded rows in order. Undo and redo move through the recipe; save it to replay it on next month’s file. Download CSV gives the cleaned rows.'));
+      if(cols.length) cleanCard.appendChild(form);
+      else cleanCard.appendChild(el('div',{class:'db-sub', style:'margin-top:8px'}, 'Load a file to build steps.'));
+      if(waiting) cleanCard.appendChild(el('div',{class:'db-sub', style:'margin-top:8px'}, 'This data is shown as loaded: the recipe below was not replayed on it. Apply it, or clear it to start a new one.'));
+      cleanCard.appendChild(recipe.steps.length ? list : el('div',{class:'db-sub', style:'margin-top:8px'}, 'No steps yet.'));
+      if(raw) cleanCard.appendChild(el('div',{class:'db-sub'}, raw.rows.length.toLocaleString() + ' rows loaded → ' + master.rows.length.toLocaleString() + ' after cleaning'));
+      cleanCard.appendChild(el('div',{class:'db-controls'}, [apply, undo, redo, clear, save, open, input, auto.label]));
+      if(cols.length) fillForm();
+    }
+
+    // recorded periods of the chart's granularity whose revenue is far off their
+    // neighbours' (see seriesAnomalies), so the list and the chart markers agree
+    function revenueAnomalies(facts, gran){
+      const byPeriod = {};
+      facts.forEach(f=>{ if(f.d){ const k = periodKey(f.d, gran); byPeriod[k] = (byPeriod[k] || 0) + f.rev; } });
+      const periods = Object.keys(byPeriod).sort();
+      return seriesAnomalies(periods.map(p=> byPeriod[p])).map(a=> ({ period: periods[a.i], gran, value: byPeriod[periods[a.i]], expected: a.expected }));
+    }
+
+    // show an issue's rows in the grid
+    function showIssue(label, test){
+      tx.issue = { label, test };
+      txUpdate(currentMapping(), readFilters());
+      if(tableCard.scrollIntoView) tableCard.scrollIntoView({ behavior:'smooth', block:'start' });
+    }
+
+    // Data-quality panel: column counts (recounted when rows, schema or outlier method
+    // change, never while a file is still loading), duplicates, parse errors and the
+    // revenue anomalies under the current filters. Non-zero counts open their rows.
+    const QUALITY_MAX_LISTED = 100;
+    function renderQuality(mapping, anomalies){
+      const thead = qualityTable.querySelector('thead'), tbody = qualityTable.querySelector('tbody');
+      thead.innerHTML = ''; tbody.innerHTML = ''; qualityIssues.innerHTML = '';
+      if(!master.rows.length || progressCard.style.display !== 'none'){
+        qualitySummary.textContent = master.rows.length ? 'Checked once the file has finished loading.' : 'Upload a file to check its data quality.';
+        return;
+      }
+      const method = outlierSel.value;
+      const key = loadToken + '|' + master.rows.length + '|' + schemaKey(master.schema) + '|' + method;
+      if(!quality || quality.key !== key){
+        quality = { key, dup: duplicateRows(master.rows, master.cols), columns: master.cols.map(col=>{
+          const cs = master.schema[col];
+          const q = Object.assign({ col, type: cs ? cs.type : 'text' }, columnQuality(master.rows, col, cs));
+          q.bounds = cs && isNumericType(cs.type) ? outlierBounds(master.rows.map(r=> cellNum(r[col], cs)), method) : null;
+          q.outliers = q.bounds ? master.rows.reduce((n,r)=>{ const v = cellNum(r[col], cs); return n + (isFinite(v) && (v < q.bounds.lo || v > q.bounds.hi) ? 1 : 0); }, 0) : null;
+          return q;
+        }) };
+      }
+      const link = (n, label, test)=>{
+        if(!n) return '0';
+        const b = el('button',{class:'db-link'}, n.toLocaleString());
+        b.addEventListener('click', ()=> showIssue(label + ' (' + n.toLocaleString() + ')', test));
+        return b;
+      };
+      thead.appendChild(el('tr',{}, ['Column','Type','Missing','Unparseable','Distinct','Outliers'].map(h=> el('th',{}, h))));
+      quality.columns.forEach(q=>{
+        const cs = master.schema[q.col], col = q.col, b = q.bounds;
+        tbody.appendChild(el('tr',{}, [
+          el('td',{}, col), el('td',{}, q.type),
+          el('td',{}, link(q.missing, 'missing ' + col, r=> isBlank(r[col]))),
+          el('td',{}, link(q.unparseable, 'unparseable ' + col, r=> isUnparseable(r[col], cs))),
+          el('td',{}, q.distinct.toLocaleString() + (q.distinct >= QUALITY_DISTINCT_MAX ? '+' : '')),
+          el('td',{title: b ? 'outside ' + b.lo.toLocaleString(undefined, {maximumFractionDigits:2}) + ' – ' + b.hi.toLocaleString(undefined, {maximumFractionDigits:2}) : ''},
+            q.outliers === null ? '—' : link(q.outliers, 'outliers in ' + col, r=>{ const v = cellNum(r[col], cs); return isFinite(v) && (v < b.lo || v > b.hi); }))
+        ]));
+      });
+
+      const dup = quality.dup;
+      qualitySummary.textContent = master.rows.length.toLocaleString() + ' rows · ' + master.errorCount.toLocaleString() + ' parse errors · '
+        + dup.extra.toLocaleString() + ' duplicate rows · ' + anomalies.length + ' revenue anomalies';
+      const section = (title, items)=>{
+        qualityIssues.appendChild(el('div',{style:'margin-top:10px'}, el('strong',{}, title)));
+        qualityIssues.appendChild(el('ul',{class:'db-issues db-sub'}, items));
+      };
+      if(dup.extra){
+        const b = el('button',{class:'db-link'}, 'Show all copies');
+        b.addEventListener('click', ()=> showIssue('duplicate rows', r=> dup.keys.has(rowKey(r, master.cols))));
+        section('Duplicate rows', [el('li',{}, [dup.extra.toLocaleString() + ' rows repeat an earlier row exactly. ', b])]);
+      }
+      if(master.errors.length){
+        const items = master.errors.slice(0, QUALITY_MAX_LISTED).map(e=>{
+          const where = e.line ? 'Line ' + e.line : e.rowNumber ? 'Row ' + e.rowNumber : 'Row ?';
+          const text = where + (e.file ? ' of ' + e.file : '') + ' — ' + e.code + ': ' + e.message;
+          const row = e.row >= 0 ? master.rows[e.row] : null;
+          if(!row) return el('li',{}, text + (e.row < 0 && (e.line || e.rowNumber) ? ' (row dropped)' : ''));
+          const b = el('button',{class:'db-link'}, text);
+          b.addEventListener('click', ()=> showIssue(where.toLowerCase(), r=> r === row));
+          return el('li',{}, b);
         });
-        corrs.sort((x,y)=> Math.abs(y.val) - Math.abs(x.val));
-        const top = corrs.slice(0,8);
-        const labels = top.map(t=> t.col );
-        const vals = top.map(t=> Math.abs(t.val));
-        const ctx = document.getElementById('corrChart').getContext('2d');
-        charts.corr = new Chart(ctx, { type:'bar', data:{ labels, datasets:[{ label:'|corr| vs Sales', data: vals, backgroundColor:'#58a6ff', borderRadius:6 }]}, options:{plugins:{legend:{display:false}}, scales:{y:{beginAtZero:true, max:1}}}});
-      }
-
-      // populate slicer select options (region/product)
-      if(regionCol){
-        const options = Array.from(new Set(master.rows.map(r=> String(r[regionCol] || 'Unknown') ))).slice(0,200);
-        const sel = slicersCard.querySelectorAll('select')[0];
-        sel.innerHTML = ''; sel.appendChild(el('option',{}, 'All'));
-        options.forEach(o=> sel.appendChild(el('option',{value:o}, o)));
-      }
-      if(productCol){
-        const options = Array.from(new Set(master.rows.map(r=> String(r[productCol] || 'Unknown') ))).slice(0,200);
-        const sel = slicersCard.querySelectorAll('select')[1];
-        sel.innerHTML = ''; sel.appendChild(el('option',{}, 'All'));
-        options.forEach(o=> sel.appendChild(el('option',{value:o}, o)));
-      }
-
-      // update sample table with filtered rows
-      const sampleTable = document.getElementById('sampleTable');
-      const thead = sampleTable.querySelector('thead'), tbody = sampleTable.querySelector('tbody');
+        if(master.errorCount > items.length) items.push(el('li',{}, '… and ' + (master.errorCount - items.length).toLocaleString() + ' more'));
+        section('Parse errors', items);
+      }
+      if(anomalies.length && mapping.date){
+        const dateS = master.schema[mapping.date], keep = rowFilter(mapping, readFilters(), master.schema);
+        section('Revenue anomalies (by ' + GRANULARITIES[anomalies[0].gran].toLowerCase() + ', current filters)', anomalies.slice(0, QUALITY_MAX_LISTED).map(a=>{
+          const b = el('button',{class:'db-link'}, a.period + ': ' + fmtMoney(a.value) + ' vs about ' + fmtMoney(a.expected) + (a.value > a.expected ? ' (spike)' : ' (drop)'));
+          b.addEventListener('click', ()=> showIssue('revenue in ' + a.period, r=>{
+            if(!keep(r)) return false;
+            const d = dayKeyOf(r[mapping.date], dateS);
+            return !!d && periodKey(d, a.gran) === a.period;
+          }));
+          return el('li',{}, b);
+        }));
+      }
+    }
+
+    // numeric columns (number, currency, percent) in column order
+    function numericColumns(){
+      return master.cols.filter(c=> master.schema[c] && isNumericType(master.schema[c].type));
+    }
+
+    // a column's values over rows as numbers (NaN where not one); amounts go through the FX table
+    function columnValues(rows, col){
+      if(activeFx && activeFx.cols.includes(col)) return rows.map(r=> rowAmount(r, col));
+      const cs = master.schema[col];
+      return rows.map(r=> cellNum(r[col], cs));
+    }
+
+    // The filtered rows the correlations read, thinned evenly to CORR_MAX_ROWS, with their
+    // columns as numbers filled in by corrValues; kept until rows, types, FX, mapping or filters change
+    const CORR_MAX_COLS = 12, CORR_MAX_ROWS = 20000, CORR_MAX_POINTS = 2000;
+    function corrRows(mapping, filters){
+      const key = [loadToken, master.rows.length, schemaKey(master.schema), JSON.stringify(activeFx), JSON.stringify(mapping), JSON.stringify(plainFilters(filters))].join('|');
+      if(corrCache && corrCache.key === key) return corrCache;
+      let rows = master.rows.filter(rowFilter(mapping, filters, master.schema));
+      const total = rows.length;
+      if(total > CORR_MAX_ROWS){
+        const step = total / CORR_MAX_ROWS, all = rows;
+        rows = Array.from({length: CORR_MAX_ROWS}, (_, i)=> all[Math.floor(i * step)]);
+      }
+      corrCache = { key, rows, total, values: {} };
+      return corrCache;
+    }
+
+    function corrValues(data, col){
+      return data.values[col] || (data.values[col] = columnValues(data.rows, col));
+    }
+
+    // the numeric columns the correlations cover: the first CORR_MAX_COLS, with the sales
+    // column and the picked pair always among them so their bar or cell opens a scatter plot
+    function corrColumns(mapping){
+      const numeric = numericColumns();
+      const keep = new Set([mapping.sales].concat(corrPick ? [corrPick.x, corrPick.y] : []).filter(c=> c && numeric.includes(c)));
+      for(const c of numeric){ if(keep.size >= CORR_MAX_COLS) break; keep.add(c); }
+      return numeric.filter(c=> keep.has(c));
+    }
+
+    function fmtP(p){
+      if(isNaN(p)) return 'p —';
+      return p < 0.001 ? 'p < 0.001' : 'p = ' + p.toFixed(3);
+    }
+
+    // Correlations view: matrix heatmap (green positive, red negative, stronger = deeper)
+    // and the picked cell as a scatter plot with its least-squares line
+    function renderCorrelationView(mapping, filters){
+      const thead = part('corrTable').querySelector('thead'), tbody = part('corrTable').querySelector('tbody');
       thead.innerHTML = ''; tbody.innerHTML = '';
-      const show = rows.slice(0,200);
-      if(show.length){
-        const cols = Object.keys(show[0]);
-        const headRow = document.createElement('tr');
-        cols.forEach(c=> { const th = document.createElement('th'); th.textContent = c; headRow.appendChild(th); });
-        thead.appendChild(headRow);
-        show.forEach(r=> {
-          const tr = document.createElement('tr');
-          cols.forEach(c=> { const td = document.createElement('td'); td.textContent = r[c] === undefined || r[c] === null ? '' : String(r[c]); tr.appendChild(td); });
-          tbody.appendChild(tr);
+      corrScatterBox.style.display = 'none';
+      const numeric = numericColumns();
+      const cols = corrColumns(mapping);
+      if(cols.length < 2){ corrNote.textContent = 'Needs at least two numeric columns (see Column types).'; return; }
+      if(loader){ corrNote.textContent = 'Computed once the file has finished loading.'; return; }
+      const data = corrRows(mapping, filters), rows = data.rows, total = data.total;
+      const method = corrMethod.value;
+      const values = {};
+      cols.forEach(c=> values[c] = corrValues(data, c));
+      const notes = [];
+      if(numeric.length > cols.length) notes.push('Showing ' + cols.length + ' of ' + numeric.length + ' numeric columns.');
+      if(rows.length < total) notes.push('Computed on an even sample of ' + rows.length.toLocaleString() + ' of ' + total.toLocaleString() + ' rows.');
+      corrNote.textContent = notes.join(' ');
+
+      const m = cols.map(()=> []);
+      cols.forEach((a,i)=> cols.forEach((b,j)=>{ if(j >= i) m[i][j] = m[j][i] = correlate(values[a], values[b], method); }));
+      thead.appendChild(el('tr',{}, [el('th',{}, '')].concat(cols.map(c=> el('th',{}, c)))));
+      cols.forEach((a,i)=>{
+        const cells = cols.map((b,j)=>{
+          const c = m[i][j], ok = isFinite(c.r);
+          const td = el('td',{title: a + ' × ' + b + ': r = ' + (ok ? c.r.toFixed(3) : '—') + ', ' + fmtP(c.p) + ', n = ' + c.n.toLocaleString()},
+            [el('strong',{}, ok ? c.r.toFixed(2) : '—'), el('small',{}, (i === j ? '' : fmtP(c.p) + ' · ') + 'n ' + c.n.toLocaleString())]);
+          if(ok) td.style.background = (c.r >= 0 ? 'rgba(16,185,129,' : 'rgba(239,68,68,') + (Math.abs(c.r) * 0.8).toFixed(2) + ')';
+          if(corrPick && corrPick.x === b && corrPick.y === a) td.classList.add('picked');
+          if(i !== j) td.addEventListener('click', ()=>{ corrPick = { x: b, y: a }; renderAll(); });
+          return td;
+        });
+        tbody.appendChild(el('tr',{}, [el('th',{}, a)].concat(cells)));
+      });
+
+      if(!corrPick || !cols.includes(corrPick.x) || !cols.includes(corrPick.y) || corrPick.x === corrPick.y) return;
+      const { x, y } = corrPick;
+      const xs = [], ys = [];
+      values[x].forEach((v,k)=>{ const w = values[y][k]; if(isFinite(v) && isFinite(w)){ xs.push(v); ys.push(w); } });
+      const c = m[cols.indexOf(y)][cols.indexOf(x)];
+      const fit = linearFit(xs, ys);
+      const fmt = v => v.toLocaleString(undefined, {maximumSignificantDigits:4});
+      corrScatterTitle.textContent = y + ' vs ' + x + ': r = ' + (isFinite(c.r) ? c.r.toFixed(3) : '—') + ' (' + (method === 'spearman' ? 'Spearman' : 'Pearson') + '), ' + fmtP(c.p) + ', n = ' + c.n.toLocaleString()
+        + (fit ? '; least-squares line ' + y + ' = ' + fmt(fit.intercept) + (fit.slope < 0 ? ' − ' : ' + ') + fmt(Math.abs(fit.slope)) + ' × ' + x : '')
+        + (xs.length > CORR_MAX_POINTS ? ' (plotting ' + CORR_MAX_POINTS.toLocaleString() + ' of ' + xs.length.toLocaleString() + ' points)' : '');
+      corrScatterBox.style.display = 'block';
+      const step = Math.max(1, xs.length / CORR_MAX_POINTS);
+      const points = [];
+      for(let k=0;k<xs.length;k+=step) points.push({ x: xs[Math.floor(k)], y: ys[Math.floor(k)] });
+      const lo = xs.reduce((a,v)=> v < a ? v : a, Infinity), hi = xs.reduce((a,v)=> v > a ? v : a, -Infinity);
+      charts.corrScatter = new Chart(part('corrScatter').getContext('2d'), {
+        type:'scatter',
+        data:{ datasets:[
+          { label: y, data: points, backgroundColor:'rgba(14,165,233,0.6)', pointRadius:3 },
+          { label:'Least-squares line', type:'line', data: fit ? [{ x: lo, y: fit.intercept + fit.slope * lo }, { x: hi, y: fit.intercept + fit.slope * hi }] : [], borderColor:'#f59e0b', borderWidth:2, pointRadius:0 }
+        ] },
+        options:{ animation: loader ? false : undefined, plugins:{legend:{position:'top'}}, scales:{ x:{ type:'linear', title:{display:true, text: x} }, y:{ title:{display:true, text: y} } } }
+      });
+    }
+
+    // save a Blob under a file name
+    function downloadBlob(blob, name){
+      const a = el('a',{href: URL.createObjectURL(blob), download: name});
+      document.body.appendChild(a); a.click(); a.remove();
+      setTimeout(()=> URL.revokeObjectURL(a.href), 1000);
+    }
+
+    // the rows the slicers currently keep, in column order
+    function filteredRows(){
+      return master.rows.filter(rowFilter(currentMapping(), readFilters(), master.schema));
+    }
+
+    // live charts on screen, with the title of their card
+    function visibleCharts(){
+      const out = [];
+      for(const k in charts){
+        const ch = charts[k], canvas = ch.canvas || (ch.ctx && ch.ctx.canvas);
+        if(!canvas) continue;
+        const card = canvas.closest('[data-views]');
+        if(card && card.style.display === 'none') continue;
+        const box = canvas.closest('.db-card, .card');
+        const head = box && box.querySelector('strong, h3');
+        out.push({ key: k, chart: ch, canvas, title: head ? head.textContent : k });
+      }
+      return out;
+    }
+
+    const fileStamp = ()=> new Date().toISOString().slice(0,16).replace(/[:T]/g, '-');
+
+    function fillExportMenu(){
+      exportList.innerHTML = '';
+      const item = (label, run)=>{
+        const b = el('button',{class:'db-btn secondary'}, label);
+        b.addEventListener('click', async ()=>{
+          exportMenu.open = false;
+          try{ await run(); } catch(err){ alert('Export failed: ' + (err.message || err)); }
         });
+        exportList.appendChild(b);
+      };
+      exportList.appendChild(el('h4',{}, 'Filtered rows'));
+      item('CSV', ()=> downloadBlob(new Blob([Papa.unparse(filteredRows(), {columns: master.cols})], {type:'text/csv'}), 'filtered_data_' + fileStamp() + '.csv'));
+      item('Excel (XLSX)', async ()=>{
+        await needLib('xlsx');
+        const wb = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(filteredRows(), {header: master.cols}), 'Data');
+        const out = XLSX.write(wb, {type:'array', bookType:'xlsx'});
+        downloadBlob(new Blob([out], {type:'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'}), 'filtered_data_' + fileStamp() + '.xlsx');
+      });
+      const shown = visibleCharts();
+      if(shown.length) exportList.appendChild(el('h4',{}, 'Charts'));
+      shown.forEach(c=>{
+        const name = c.canvas.dataset.part || c.key;
+        item(c.title + ' — PNG', ()=> fetch(c.chart.toBase64Image()).then(r=> r.blob()).then(b=> downloadBlob(b, name + '.png')));
+        item(c.title + ' — SVG', ()=> downloadBlob(new Blob([chartAsSVG(c)], {type:'image/svg+xml'}), name + '.svg'));
+      });
+      exportList.appendChild(el('h4',{}, 'Report'));
+      item('Printable HTML', ()=> downloadBlob(new Blob([reportHTML(false)], {type:'text/html'}), 'dashboard_report_' + fileStamp() + '.html'));
+      item('PDF (print dialog)', ()=>{
+        const w = window.open('', '_blank');
+        if(!w) throw new Error('the report window was blocked by the browser');
+        w.document.write(reportHTML(true)); w.document.close();
+      });
+    }
+
+    // bar/line charts as vector SVG; other types (doughnut, scatter) wrap the PNG
+    function chartAsSVG(c){
+      const type = c.chart.config.type;
+      if(type === 'bar' || type === 'line'){
+        const opts = c.chart.config.options || {}; // as given: the resolved options carry Chart.js' default tick formatter
+        const axis = (opts.scales || {})[opts.indexAxis === 'y' ? 'x' : 'y'];
+        const tick = axis && axis.ticks && axis.ticks.callback;
+        return chartSVG(c.chart.data, type, { title: c.title, format: tick ? v=> String(tick(v)) : null });
+      }
+      const w = c.canvas.width || 800, h = c.canvas.height || 400;
+      return `<svg xmlns="http://www.w3.org/2000/svg" width="${w}" height="${h}"><image href="${c.chart.toBase64Image()}" width="${w}" height="${h}"/></svg>`;
+    }
+
+    // Self-contained report: KPI cards, the charts on screen, the active filters and a
+    // timestamp. With autoPrint it opens the print dialog (Save as PDF) once loaded.
+    function reportHTML(autoPrint){
+      const esc = v => String(v).replace(/[&<>"]/g, ch=> ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;'})[ch]);
+      const mapping = currentMapping(), filters = readFilters();
+      const kpis = Array.from(kpiRow.querySelectorAll('.db-kpi')).map(k=>
+        `<div class="kpi"><div class="label">${esc(k.querySelector('.label').textContent)}</div><div class="value">${esc(k.querySelector('.value').textContent)}</div><div class="delta">${esc(k.querySelector('.delta').textContent)}</div></div>`).join('');
+      const active = activeFilters(mapping, filters).map(a=> '<li>' + esc(a.text) + '</li>').join('') || '<li>None — all rows</li>';
+      const figures = visibleCharts().map(c=> `<figure><figcaption>${esc(c.title)}</figcaption><img src="${c.chart.toBase64Image()}" alt="${esc(c.title)}"></figure>`).join('');
+      return `<!DOCTYPE html><html><head><meta charset="utf-8"><title>Dashboard report</title><style>
+body{font-family:Inter,Segoe UI,Arial,sans-serif;color:#111827;margin:32px}
+h1{font-size:20px;margin:0}.stamp{color:#6b7280;font-size:12px;margin-top:4px}
+.kpis{display:flex;gap:12px;margin:20px 0;flex-wrap:wrap}.kpi{flex:1;min-width:150px;border:1px solid #e5e7eb;border-radius:8px;padding:10px}
+.kpi .label{color:#6b7280;font-size:12px}.kpi .value{font-size:20px;font-weight:700;margin-top:4px}.kpi .delta{font-size:12px;margin-top:4px}
+h2{font-size:14px;margin:18px 0 6px}ul{margin:0;padding-left:18px;font-size:13px}
+figure{margin:16px 0;page-break-inside:avoid}figcaption{font-weight:600;font-size:13px;margin-bottom:6px}img{max-width:100%;border:1px solid #e5e7eb;border-radius:8px;background:#0b1220}
+</style></head><body>
+<h1>Dashboard report — ${esc(currentView.charAt(0).toUpperCase() + currentView.slice(1))}</h1>
+<div class="stamp">Generated ${esc(new Date().toLocaleString())} · ${master.rows.length.toLocaleString()} rows loaded</div>
+<div class="kpis">${kpis}</div>
+<h2>Filters</h2><ul>${active}</ul>
+${figures}
+${autoPrint ? '<script>window.onload = ()=> window.print();<\/script>' : ''}
+</body></html>`;
+    }
+
+    // Everything a link or saved dashboard restores: mapping, filters and slicers,
+    // granularity and averages, comparison, view and pivot layout. `dataset` names
+    // the cached file, reopened when the link is loaded on this browser.
+    function dashboardState(){
+      return {
+        dataset: currentDataset,
+        mapping: currentMapping(),
+        view: currentView,
+        gran: granSel.value, ma: [ma7.checked, ma30.checked],
+        forecast: { on: forecastOn.checked, model: forecastModel.value, h: forecastH.value },
+        compare: { mode: compareSel.value, from: compareFrom.value, to: compareTo.value, align: compareAlign.value },
+        filters: plainFilters(readFilters()),
+        slicers: Object.keys(slicers).filter(c=> slicers[c].removable),
+        pivot: pivotSpec,
+        corr: { method: corrMethod.value, pick: corrPick },
+        format: fmtSettings,
+        formulas,
+        recipe: recipeApplied ? recipe.steps.slice(0, recipe.at) : []
+      };
+    }
+
+    // apply a saved state to the loaded columns; fields naming missing columns are skipped
+    function applyState(st){
+      if(Array.isArray(st.recipe)) changeRecipe({ steps: st.recipe, at: st.recipe.length, auto: recipe.auto }, false);
+      const has = c => !c || master.cols.includes(c);
+      if(st.formulas){
+        setFormulas(st.formulas);
+        populateSelectors(currentMapping());
+        fillPivotPickers();
+      }
+      if(st.mapping){
+        const m = currentMapping();
+        for(const k in st.mapping) if(k in m && has(st.mapping[k])) m[k] = st.mapping[k];
+        populateSelectors(m);
+      }
+      if(st.format) setFormat(st.format);
+      if(st.gran && GRANULARITIES[st.gran]) granSel.value = st.gran;
+      if(st.ma){ ma7.checked = !!st.ma[0]; ma30.checked = !!st.ma[1]; }
+      if(st.forecast){
+        forecastOn.checked = !!st.forecast.on;
+        if(FORECAST_MODELS[st.forecast.model]) forecastModel.value = st.forecast.model;
+        if(Number(st.forecast.h) >= 1) forecastH.value = String(st.forecast.h);
+      }
+      if(st.compare){
+        // 'dataset' only holds while a comparison dataset is loaded (it is not part of the state)
+        compareSel.value = st.compare.mode === 'dataset' && !compare ? 'previous' : st.compare.mode || 'previous';
+        compareFrom.value = st.compare.from || ''; compareTo.value = st.compare.to || '';
+        compareAlign.value = st.compare.align === 'period' ? 'period' : 'date';
+        customRange.style.display = compareSel.value === 'custom' ? 'inline' : 'none';
       }
+      const f = st.filters || {};
+      dateFrom.value = f.from || ''; dateTo.value = f.to || '';
+      resetSlicers();
+      (st.slicers || []).filter(has).forEach(c=> addSlicer(c, true));
+      for(const c in f.values || {}) if(has(c) && f.values[c].length) slicerState[c] = { values: new Set(f.values[c]) };
+      for(const c in f.ranges || {}) if(has(c)) slicerState[c] = { min: f.ranges[c].min, max: f.ranges[c].max };
+      Object.values(slicers).forEach(w=> w.refresh());
+      if(st.pivot){
+        ['rows','cols','values'].forEach(k=>{ pivotSpec[k].length = 0; (st.pivot[k] || []).filter(x=> has(x.col)).forEach(x=> pivotSpec[k].push(x)); });
+        renderPivotFields();
+      }
+      if(st.corr){
+        corrMethod.value = st.corr.method === 'spearman' ? 'spearman' : 'pearson';
+        corrPick = st.corr.pick && has(st.corr.pick.x) && has(st.corr.pick.y) ? st.corr.pick : null;
+      }
+      if(st.view && nav.querySelector('[data-view="' + st.view + '"]')){
+        currentView = st.view;
+        nav.querySelectorAll('button').forEach(b=> b.classList.toggle('active', b.dataset.view === st.view));
+        showView(st.view);
+      }
+      fillAddFilter();
+    }
+
+    // keep the state in the URL hash (replaceState: no history entry per change), when
+    // the dashboard was mounted with urlState; not while a file streams in, as the
+    // renders between its chunks change nothing a link would keep
+    function saveHash(){
+      if(!options.urlState || !master.cols.length || loader) return;
+      history.replaceState(null, '', '#db=' + encodeURIComponent(JSON.stringify(dashboardState())));
+    }
+
+    function readHash(){
+      const m = /^#db=(.*)$/.exec(location.hash);
+      if(!m) return null;
+      try{ return JSON.parse(decodeURIComponent(m[1])); } catch(e){ console.warn('Ignoring malformed dashboard link:', e); return null; }
+    }
+
+    function readDashboards(){
+      return store.get('dashboards') || {};
+    }
+    function writeDashboards(all){
+      store.set('dashboards', all);
     }
 
-    // expose a few globals for debugging (optional)
-    window.__db = { master, renderAll };
+    // open a saved dashboard: on the loaded data when its columns are there,
+    // otherwise by reopening its cached dataset
+    async function openDashboard(st){
+      dashMenu.open = false;
+      if(master.cols.length && (!st.dataset || st.dataset === currentDataset)){ applyState(st); renderAll(); return; }
+      const rec = st.dataset ? await cacheGet(st.dataset).catch(()=> null) : null;
+      if(!rec){ alert('The dataset of this dashboard is not cached on this browser: upload it and open the dashboard again.'); return; }
+      pendingState = st;
+      startLoad(rec.file, rec.plan);
+    }
 
-    // helper: parseNum and fmt used in local scope
-    function parseNum(v){ return parseNumLocal(v); } // placeholder to satisfy linter
-    function parseNumLocal(v){ if(v===null||v===undefined) return NaN; const s = String(v).replace(/[₹,\\s]/g,'').trim(); const n = Number(s); return isFinite(n)? n : NaN; }
-    function fmtINRLocal(n){ return (typeof n === 'number' && isFinite(n)) ? '₹' + Math.round(n).toLocaleString('en-IN') : '—'; }
+    function fillDashboards(){
+      const all = readDashboards();
+      dashList.innerHTML = '';
+      const names = Object.keys(all).sort();
+      if(!names.length) dashList.appendChild(el('div',{class:'db-sub'}, 'No saved dashboards yet.'));
+      names.forEach(name=>{
+        const open = el('button',{class:'db-btn secondary'}, name);
+        const del = el('button',{class:'db-slicer-x', title:'Delete'}, '×');
+        open.addEventListener('click', ()=> openDashboard(all[name]));
+        del.addEventListener('click', ()=>{ const cur = readDashboards(); delete cur[name]; writeDashboards(cur); fillDashboards(); });
+        dashList.appendChild(el('div',{class:'db-controls', style:'margin-top:4px'}, [open, del]));
+      });
+    }
 
-    // attach kpi setters to closure variables
-    function assignKPISetters(){
-      // closure variables created earlier: kRevenue, kProfit, kOrders, kAOV
-      kRevenue.set = (v,d)=> { kRevenue.card.querySelector('.value').textContent = v; kRevenue.card.querySelector('.delta').textContent = d || ''; };
-      kProfit.set = (v,d)=> { kProfit.card.querySelector('.value').textContent = v; kProfit.card.querySelector('.delta').textContent = d || ''; };
-      kOrders.set = (v,d)=> { kOrders.card.querySelector('.value').textContent = v; kOrders.card.querySelector('.delta').textContent = d || ''; };
-      kAOV.set = (v,d)=> { kAOV.card.querySelector('.value').textContent = v; kAOV.card.querySelector('.delta').textContent = d || ''; };
+    async function fillDatasets(){
+      let all;
+      try{ all = await cacheList(); } catch(err){ dataList.textContent = 'Cache unavailable: ' + err.message; return; }
+      dataList.innerHTML = '';
+      if(!all.length) dataList.appendChild(el('div',{class:'db-sub'}, 'No cached datasets.'));
+      all.forEach(rec=>{
+        const open = el('button',{class:'db-btn secondary'}, rec.name);
+        const info = el('span',{class:'db-sub'}, (rec.size / 1048576).toFixed(1) + ' MB · ' + new Date(rec.savedAt).toLocaleString());
+        const del = el('button',{class:'db-slicer-x', title:'Delete from cache'}, '×');
+        open.addEventListener('click', ()=>{ dataMenu.open = false; startLoad(rec.file, rec.plan); });
+        del.addEventListener('click', ()=> cacheDelete(rec.id).then(fillDatasets, err=> alert(err.message)));
+        dataList.appendChild(el('div',{class:'db-controls', style:'margin-top:4px'}, [open, info, del]));
+      });
     }
-    // hacky attach because kRevenue etc were created before this function exists
-    assignKPISetters();
 
-    // small poly: we used parseNumLocal above; ensure top-level parseNum variable refers to it
-    // (this is only for internal usage)
+    // back to the empty dashboard: no data, default mapping, no filters, no URL state
+    function resetDashboard(){
+      loadToken++;
+      stopLoader();
+      settleLoad(new Error('Load cancelled'));
+      clearTimeout(renderTimer); renderTimer = null;
+      progressCard.style.display = 'none';
+      master = { cols: [], rows: [], schema: {}, errors: [], errorCount: 0 };
+      raw = null; recipeErrors = []; recipeApplied = false;
+      tx.issue = null;
+      cube = null; currentDataset = null; pendingState = null;
+      setCompare(null);
+      resetSlicers();
+      clearCharts();
+      dateFrom.value = ''; dateTo.value = '';
+      ['rows','cols','values'].forEach(k=> pivotSpec[k].length = 0);
+      populateSelectors(detectMapping([], {}));
+      fillAddFilter(); fillPivotPickers();
+      [kRevenue, kProfit, kOrders, kAOV].concat(measureCards).forEach(k=>{ k.set('—', ''); k.card.classList.remove('good', 'bad'); });
+      slicersCard.style.display = 'none';
+      downloadBtn.style.display = 'none';
+      exportMenu.style.display = 'none';
+      txUpdate(currentMapping(), readFilters());
+      renderSchemaPanel();
+      if(options.urlState) history.replaceState(null, '', location.pathname + location.search);
+    }
+
+    // a link with dashboard state reopens its dataset from the cache when it is there;
+    // otherwise the state waits until that file is uploaded again
+    const linked = options.urlState ? readHash() : null;
+    if(linked){
+      pendingState = linked;
+      if(linked.dataset) cacheGet(linked.dataset).then(rec=>{ if(rec && pendingState === linked) startLoad(rec.file, rec.plan); }).catch(err=> console.warn('Dataset cache unavailable:', err));
+    }
+
+    // events: listeners per type, called after each render / when the filters change
+    const listeners = { filterchange: [], render: [] };
+    let lastFilterKey = null;
+    function emit(type, detail){
+      listeners[type].slice().forEach(fn=>{
+        try{ fn(detail); } catch(err){ console.error('Dashboard ' + type + ' listener failed:', err); }
+      });
+    }
+
+    // state for the next dataset, merged with what is already waiting
+    function queueState(st){
+      pendingState = Object.assign({}, pendingState, st);
+    }
+
+    let destroyed = false;
+    const api = {
+      root,
+      // rows: array of plain objects; csv: text in any delimiter the upload accepts.
+      // Both resolve with the row count once the data is shown. The data is loaded as
+      // given unless opts.recipe asks for the stored cleaning recipe to be replayed.
+      loadRows(rows, opts){
+        if(!Array.isArray(rows)) return Promise.reject(new TypeError('loadRows expects an array of row objects'));
+        return apiLoad(new File([JSON.stringify(rows)], 'rows.json', { type:'application/json' }), opts);
+      },
+      loadCSV(text, opts){
+        return apiLoad(new File([String(text)], 'data.csv', { type:'text/csv' }), opts);
+      },
+      // {sales, cost, profit, date, region, product, customer, channel, units, currency}:
+      // the roles given are set, '' clears one; before any data it waits for the next load
+      setMapping(mapping){
+        if(!master.cols.length){ queueState({ mapping: Object.assign({}, pendingState && pendingState.mapping, mapping) }); return api; }
+        const m = currentMapping();
+        for(const k in mapping){
+          if(!(k in m)) throw new Error('Unknown mapping role: ' + k);
+          if(mapping[k] && !master.cols.includes(mapping[k])) throw new Error('Unknown column: ' + mapping[k]);
+          m[k] = mapping[k] || '';
+        }
+        populateSelectors(m);
+        fillAddFilter();
+        renderAll();
+        return api;
+      },
+      // replaces the active filters: {from, to, values: {col: [value…]}, ranges: {col: {min, max}}}
+      setFilters(filters){
+        const f = filters || {};
+        const st = { filters: f, slicers: Object.keys(f.values || {}).concat(Object.keys(f.ranges || {})) };
+        if(!master.cols.length){ queueState(st); return api; }
+        applyState(st);
+        renderAll();
+        return api;
+      },
+      getFilters: ()=> plainFilters(readFilters()),
+      getState: ()=> dashboardState(),
+      on(type, fn){
+        if(!listeners[type]) throw new Error('Unknown dashboard event: ' + type);
+        listeners[type].push(fn);
+        return api;
+      },
+      off(type, fn){
+        if(listeners[type]) listeners[type] = listeners[type].filter(f=> f !== fn);
+        return api;
+      },
+      // stop loading, drop the charts and remove this dashboard's elements
+      destroy(){
+        if(destroyed) return;
+        destroyed = true;
+        loadToken++;
+        stopLoader();
+        clearTimeout(renderTimer); renderTimer = null;
+        settleLoad(new Error('Dashboard destroyed'));
+        clearCharts();
+        root.remove();
+        if(goTop) goTop.remove();
+        for(const type in listeners) listeners[type] = [];
+      }
+    };
+
+    const on = options.on || {};
+    for(const type in on) api.on(type, on[type]);
+    if(options.mapping) api.setMapping(options.mapping);
+    if(options.filters) api.setFilters(options.filters);
+    if(options.rows || options.csv){
+      (options.rows ? api.loadRows(options.rows) : api.loadCSV(options.csv)).catch(err=> console.error('Dashboard data failed to load:', err));
+    }
+    return api;
   }
 
-  // run builder
-  build().catch(err=>{
-    console.error('Dashboard init failed:', err);
-    const msg = document.createElement('div'); msg.style.padding='12px'; msg.style.background='#fee'; msg.textContent = 'Failed to load dashboard: ' + err.message;
-    document.body.prepend(msg);
-  });
+  window.Dashboard = { mount, core };
+
+  // <script src="script.js" data-auto-mount>: the full-page dashboard
+  const script = document.currentScript;
+  if(script && script.hasAttribute('data-auto-mount')){
+    mount(document.body, { prepend: true, urlState: true, page: true, storageKey: 'db' }).catch(err=>{
+      console.error('Dashboard init failed:', err);
+      const msg = document.createElement('div'); msg.style.padding='12px'; msg.style.background='#fee'; msg.textContent = 'Failed to load dashboard: ' + err.message;
+      document.body.prepend(msg);
+    });
+  }
 
 })(); // end IIFE
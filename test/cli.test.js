@@ -0,0 +1,73 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const cli = path.join(__dirname, '..', 'cli.js');
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sales-cli-'));
+test.after(()=> fs.rmSync(dir, { recursive: true, force: true }));
+
+function file(name, text){
+  const p = path.join(dir, name);
+  fs.writeFileSync(p, text);
+  return p;
+}
+
+function run(args){
+  return spawnSync(process.execPath, [cli].concat(args), { encoding: 'utf8', timeout: 60000 });
+}
+
+const csv = file('sales.csv', [
+  'Order_Date,Region,Product,Sales,Cost',
+  '2024-01-05, North ,A,100,60',
+  '2024-01-20,S,B,200,150',
+  '2024-02-03, North ,B,50,20'
+].join('\n') + '\n');
+const recipe = file('recipe.json', JSON.stringify({ steps: [{ op: 'trim' }, { op: 'map', col: 'Region', values: { S: 'South' } }] }));
+const formulas = file('formulas.json', JSON.stringify({
+  columns: [{ name: 'Margin', formula: 'Sales - Cost' }],
+  measures: [{ name: 'Avg margin', formula: 'AVG(Margin)' }]
+}));
+
+test('cli reports KPIs, series, top lists and measures as JSON', ()=>{
+  const r = run([csv, '--recipe', recipe, '--formulas', formulas, '--top', '1']);
+  assert.equal(r.status, 0, r.stderr);
+  const report = JSON.parse(r.stdout);
+  assert.equal(report.rows, 3);
+  assert.deepEqual(report.kpis, { revenue: 350, profit: 120, orders: 3, aov: 350 / 3 });
+  assert.deepEqual(report.series.labels, ['2024-01', '2024-02']);
+  assert.deepEqual(report.series.revenue, [300, 50]);
+  assert.deepEqual(report.top.regions, [{ name: 'South', revenue: 200 }]);
+  assert.deepEqual(report.measures, [{ name: 'Avg margin', value: 40 }]);
+});
+
+test('cli applies the recipe before filtering and writes CSV', ()=>{
+  const r = run([csv, '--recipe', recipe, '--filter', 'Region=North', '--format', 'csv']);
+  assert.equal(r.status, 0, r.stderr);
+  const lines = r.stdout.trim().split(/\r?\n/);
+  assert.equal(lines[0], 'table,name,metric,value');
+  assert.ok(lines.includes('kpis,,revenue,150'));
+  assert.ok(lines.includes('kpis,,orders,2'));
+});
+
+test('cli exits with 1 on a bad option or a missing file', ()=>{
+  const bad = run([csv, '--bogus', 'x']);
+  assert.equal(bad.status, 1);
+  assert.match(bad.stderr, /Unknown option --bogus/);
+  const missing = run([path.join(dir, 'nope.csv')]);
+  assert.equal(missing.status, 1);
+  assert.match(missing.stderr, /^Error: /);
+});
+
+test('cli keeps the usage off stdout unless --help asks for it', ()=>{
+  const none = run([]);
+  assert.equal(none.status, 2);
+  assert.equal(none.stdout, '');
+  assert.match(none.stderr, /^Error: no input file\n\nUsage: /);
+  const help = run(['--help']);
+  assert.equal(help.status, 0);
+  assert.match(help.stdout, /^Usage: /);
+});
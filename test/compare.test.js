@@ -0,0 +1,29 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../core.js');
+
+test('top movers are the largest changes either way', ()=>{
+  const movers = core.topMovers({ A: 150, B: 320, D: 50 }, { A: 80, B: 40, C: 30, D: 50 }, 10);
+  assert.deepEqual(movers, [
+    { name: 'B', cur: 320, prev: 40, diff: 280, pct: 7 },
+    { name: 'A', cur: 150, prev: 80, diff: 70, pct: 0.875 },
+    { name: 'C', cur: 0, prev: 30, diff: -30, pct: -1 }
+  ], 'unchanged values are left out');
+  assert.deepEqual(core.topMovers({ A: 1, B: -5, C: 3 }, {}, 2).map(m => [m.name, m.pct]), [['B', null], ['C', null]], 'new values have no percentage');
+  assert.deepEqual(core.topMovers({ A: -20 }, { A: -40 }, 5)[0].pct, 0.5, 'a smaller loss is a gain');
+});
+
+test('revenue per region of two cubes gives the movers between them', ()=>{
+  const mapping = { sales: 'Sales', date: 'Day', region: 'Region' };
+  const cols = ['Day', 'Region', 'Sales'];
+  const totals = rows => {
+    const schema = core.inferSchema(cols, rows);
+    const facts = Object.values(core.cubeAddRows(core.createCube(mapping, schema), rows, mapping, cols, schema).facts);
+    return core.factTotals(facts, 'region');
+  };
+  const now = totals([{ Day: '2024-03-01', Region: 'North', Sales: '100' }, { Day: '2024-03-02', Region: 'South', Sales: '30' }, { Day: '2024-03-03', Region: 'North', Sales: '20' }]);
+  const before = totals([{ Day: '2023-03-01', Region: 'North', Sales: '90' }, { Day: '2023-03-02', Region: 'South', Sales: '60' }]);
+  assert.deepEqual(now, { North: 120, South: 30 });
+  assert.deepEqual(core.topMovers(now, before, 10).map(m => m.name + ' ' + m.diff), ['North 30', 'South -30']);
+});
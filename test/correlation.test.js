@@ -0,0 +1,53 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../core.js');
+
+const near = (actual, expected, eps, msg) => assert.ok(Math.abs(actual - expected) < eps, (msg || '') + ' ' + actual + ' ≉ ' + expected);
+
+test('Pearson r of linear, inverse and constant columns', ()=>{
+  assert.equal(core.pearson([1, 2, 3, 4], [2, 4, 6, 8]), 1);
+  assert.equal(core.pearson([1, 2, 3, 4], [8, 6, 4, 2]), -1);
+  assert.ok(isNaN(core.pearson([1, 2, 3], [5, 5, 5])), 'no r for a constant column');
+  near(core.pearson([1, 2, 3, 4, 5], [2, 1, 4, 3, 5]), 0.8, 1e-12);
+});
+
+test('Spearman ranks ties by the mean of their positions', ()=>{
+  const x = [1, 2, 2, 3, 4], y = [10, 20, 30, 30, 50];
+  const c = core.correlate(x, y, 'spearman');
+  near(c.r, 35 / 38, 1e-12, 'Pearson r of the ranks [1, 2.5, 2.5, 4, 5] and [1, 2, 3.5, 3.5, 5]');
+  assert.equal(c.n, 5);
+  // any monotonic curve is a perfect rank correlation, not a perfect linear one
+  const sq = [1, 2, 3, 4, 5, 6].map(v => v ** 3);
+  assert.equal(core.correlate([1, 2, 3, 4, 5, 6], sq, 'spearman').r, 1);
+  assert.ok(core.correlate([1, 2, 3, 4, 5, 6], sq, 'pearson').r < 0.95);
+});
+
+test('pairs with a blank on either side are left out', ()=>{
+  const c = core.correlate([1, NaN, 3, 4, 5], [2, 9, NaN, 8, 10], 'pearson');
+  assert.equal(c.n, 3);
+  assert.equal(c.r, core.pearson([1, 4, 5], [2, 8, 10]));
+  const few = core.correlate([1, 2, NaN], [3, 4, 5], 'pearson');
+  assert.deepEqual([few.n, isNaN(few.r), isNaN(few.p)], [2, true, true], 'under three pairs there is no r or p');
+});
+
+test('p-values are the two-sided t test of r with n - 2 degrees of freedom', ()=>{
+  // reference r and p, the p integrated numerically from the t distribution
+  const cases = [
+    [[1, 2, 3, 4, 5, 6, 7, 8, 9, 10], [3, 1, 4, 1, 5, 9, 2, 6, 5, 3], 0.334325, 0.345071],
+    [[5, 3, 8, 1, 9, 2], [7, 6, 9, 2, 8, 4], 0.915853, 0.0103232],
+    [[1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12], [2, 4, 3, 6, 5, 8, 7, 10, 9, 12, 11, 13], 0.965035, 3.88099e-7]
+  ];
+  for(const [x, y, r, p] of cases){
+    const c = core.correlate(x, y, 'pearson');
+    near(c.r, r, 1e-6);
+    near(c.p / p, 1, 1e-4, 'p for r = ' + r);
+  }
+  assert.equal(core.correlate([1, 2, 3], [2, 4, 6], 'pearson').p, 0, 'a perfect correlation');
+  assert.equal(core.correlate([3, 1, 2, 5], [1, 2, 3, 4], 'spearman').p, core.correlate([3, 1, 2, 4], [1, 2, 3, 4], 'pearson').p, 'Spearman tests the r of the ranks');
+});
+
+test('linearFit is the least-squares line', ()=>{
+  assert.deepEqual(core.linearFit([1, 2, 3, 4], [3, 5, 7, 9]), { slope: 2, intercept: 1 });
+  assert.equal(core.linearFit([2, 2], [1, 5]), null);
+});
@@ -0,0 +1,57 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { File } = require('buffer');
+
+globalThis.Papa = require('papaparse');
+const core = require('../core.js');
+
+// one unit in USD
+const rates = core.parseFxRates(['Code', 'Note', 'USD per unit'], [
+  { Code: 'USD', Note: 'base', 'USD per unit': '1' },
+  { Code: '€', Note: '', 'USD per unit': '1.50' },
+  { Code: 'gbp', Note: 'sterling', 'USD per unit': '1.25' },
+  { Code: 'INR', Note: '', 'USD per unit': '0.012' }
+]);
+
+test('currency codes from symbols and codes; the display currency', ()=>{
+  assert.deepEqual(['$', '€', '£', '₹', 'Rs.', 'usd', 'EURO', ''].map(core.currencyCode), ['USD', 'EUR', 'GBP', 'INR', 'INR', 'USD', '', '']);
+  const schema = { Sales: { type: 'currency', currency: '€' }, Plain: { type: 'number' } };
+  assert.equal(core.targetCurrency('GBP', schema, 'Sales'), 'GBP');
+  assert.equal(core.targetCurrency('auto', schema, 'Sales'), 'EUR', 'as written in the sales column');
+  assert.equal(core.targetCurrency('auto', schema, 'Plain'), 'INR');
+});
+
+test('an FX table is a column of codes and a column of positive rates', ()=>{
+  assert.deepEqual(rates, { USD: 1, EUR: 1.5, GBP: 1.25, INR: 0.012 });
+  assert.throws(()=> core.parseFxRates(['Code'], [{ Code: 'USD' }]), /currency codes and a column of rates/);
+  assert.throws(()=> core.parseFxRates(['Code', 'Rate'], []), /currency codes/);
+});
+
+test('amounts convert by the currency column, or the symbol in the cell', ()=>{
+  const schema = { Sales: { type: 'number' }, Cur: { type: 'category' } };
+  const fx = core.fxSpec(rates, { sales: 'Sales', currency: 'Cur' }, schema, 'USD');
+  assert.deepEqual(fx, { col: 'Cur', to: 'USD', rates, cols: ['Sales'] });
+  assert.equal(core.fxSpec(null, { sales: 'Sales' }, schema, 'USD'), null);
+  assert.equal(core.cellAmount({ Sales: '100', Cur: 'EUR' }, 'Sales', schema, fx), 150);
+  assert.equal(core.cellAmount({ Sales: '100', Cur: 'XYZ' }, 'Sales', schema, fx), 100, 'unknown currencies stay as they are');
+  assert.equal(core.cellAmount({ Sales: '100', Cur: 'GBP' }, 'Sales', schema, Object.assign({}, fx, { to: 'EUR' })), 100 * (1.25 / 1.5));
+  const bySymbol = core.fxSpec(rates, { sales: 'Sales' }, { Sales: { type: 'currency' } }, 'USD');
+  assert.equal(core.cellAmount({ Sales: '£200' }, 'Sales', { Sales: { type: 'currency' } }, bySymbol), 250);
+});
+
+test('mixed-currency rows are converted before they are aggregated', async ()=>{
+  const data = await core.loadDataset(new File([[
+    'Date,Currency,Sales',
+    '2024-01-05,USD,100',
+    '2024-01-05,EUR,100',
+    '2024-01-06,INR,10000',
+    '2024-01-06,GBP,40'
+  ].join('\n')], 'sales.csv'));
+  const mapping = Object.assign({}, data.mapping, { currency: 'Currency' });
+  const facts = fx => Object.values(core.cubeAddRows(core.createCube(mapping, data.schema, fx), data.rows, mapping, data.cols, data.schema).facts);
+  assert.equal(core.kpiValues(facts(null), mapping).revenue, 10240);
+  const usd = facts(core.fxSpec(rates, mapping, data.schema, 'USD'));
+  assert.equal(Math.round(core.kpiValues(usd, mapping).revenue * 100) / 100, 420);
+  assert.notEqual(core.createCube(mapping, data.schema, core.fxSpec(rates, mapping, data.schema, 'EUR')).key, core.createCube(mapping, data.schema, null).key, 'the rates are part of the cube key');
+});
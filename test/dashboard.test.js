@@ -0,0 +1,310 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const root = path.join(__dirname, '..');
+const read = file => fs.readFileSync(file, 'utf8');
+
+// A window with core.js and script.js loaded as a page loads them. The libraries the
+// dashboard would fetch from the CDN are there already; Chart.js cannot draw without a
+// canvas, so a stand-in records the charts (w.charts) instead.
+function page(html, url){
+  const w = new JSDOM(html || '<!DOCTYPE html><body></body>', { runScripts: 'outside-only', pretendToBeVisual: true, url: url || 'http://localhost/' }).window;
+  // jsdom's Blob has no text(): read it the way browsers did before it
+  w.Blob.prototype.text = function(){
+    return new Promise((resolve, reject)=>{ const r = new w.FileReader(); r.onload = ()=> resolve(r.result); r.onerror = ()=> reject(r.error); r.readAsText(this); });
+  };
+  w.eval(read(require.resolve('papaparse/papaparse.min.js')));
+  w.eval(read(require.resolve('jszip/dist/jszip.min.js')));
+  w.charts = [];
+  w.Chart = class {
+    constructor(ctx, cfg){ this.canvas = ctx && ctx.canvas; this.config = cfg; this.data = cfg.data; w.charts.push(this); }
+    toBase64Image(){ return 'data:image/png;base64,'; }
+    destroy(){} update(){} resize(){}
+  };
+  w.HTMLCanvasElement.prototype.getContext = function(){ return { canvas: this }; };
+  w.eval(read(path.join(root, 'core.js')));
+  w.eval(read(path.join(root, 'script.js')));
+  return w;
+}
+
+const csv = [
+  'Order Date,Region,Product,Customer,Sales,Profit',
+  '2023-03-01,North,A,Ann,100,10',
+  '2024-02-01,South,B,Bo,300,60',
+  '2024-03-01,North,A,Ann,50,5',
+  '2024-03-05,North,B,Cy,20,2'
+].join('\n');
+
+// values from the window's realm, as plain values of this one (deepStrictEqual compares prototypes)
+const plain = v => JSON.parse(JSON.stringify(v));
+const texts = list => Array.from(list, n => n.textContent);
+const choose = (w, sel, value)=>{ sel.value = value; sel.dispatchEvent(new w.Event('change')); };
+
+test('the static index.html page shows the loaded data and drives the filters', async ()=>{
+  const w = page(read(path.join(root, 'index.html')).replace(/<script[\s\S]*?<\/script>/g, ''));
+  const D = w.document;
+  const db = await w.Dashboard.mount(D.body, { prepend: true, page: true });
+  assert.deepEqual(texts(D.querySelectorAll('.kpi-card h2')), ['—', '—', '—'], 'the placeholders are cleared');
+  await db.loadCSV(csv);
+
+  assert.deepEqual(texts(D.querySelectorAll('.kpi-card h2')), ['₹470', '₹77', '+270%']);
+  assert.deepEqual(Array.from(D.getElementById('year-filter').options, o => o.value), ['all', '2023', '2024']);
+  assert.deepEqual(Array.from(D.getElementById('region-filter').options, o => o.value), ['all', 'North', 'South']);
+  assert.deepEqual(texts(D.querySelectorAll('.top-customers tbody tr')), ['Bo₹300₹60', 'Ann₹150₹15', 'Cy₹20₹2']);
+  const trend = w.charts.find(c => c.canvas && c.canvas.id === 'salesTrendChart');
+  assert.deepEqual(plain(trend.config.data.labels), ['2023-Q1', '2023-Q2', '2023-Q3', '2023-Q4', '2024-Q1']);
+
+  choose(w, D.getElementById('year-filter'), '2024');
+  choose(w, D.getElementById('region-filter'), 'North');
+  assert.deepEqual(plain(db.getFilters()), { from: '2024-01-01', to: '2024-12-31', values: { Region: ['North'] }, ranges: {} });
+  assert.deepEqual(texts(D.querySelectorAll('.kpi-card h2')), ['₹70', '₹7', '-30%']);
+  assert.deepEqual(texts(D.querySelectorAll('.top-customers tbody tr')), ['Ann₹50₹5', 'Cy₹20₹2']);
+  db.destroy();
+  w.close();
+});
+
+test('the transactions grid sorts, searches and only draws the rows in view', async ()=>{
+  const w = page();
+  const D = w.document;
+  const db = await w.Dashboard.mount(D.body);
+  const rows = Array.from({ length: 1000 }, (_, i) => ({ Region: i % 2 ? 'South' : 'North', Customer: 'C' + i, Sales: String(i * 10) }));
+  assert.equal(await db.loadRows(rows), 1000);
+  const grid = db.root.querySelector('.db-vgrid');
+  const body = grid.querySelector('.db-vgrid-body');
+  const count = grid.parentNode.querySelector('.db-controls .db-sub');
+  const titles = ()=> grid.querySelectorAll('.db-vgrid-head .db-vgrid-row')[0].children;
+  const shown = col => Array.from(body.children, r => r.children[col].textContent);
+  const settle = ()=> new Promise(r => setTimeout(r, 250)); // searches are debounced
+
+  assert.equal(count.textContent, '1,000 rows');
+  assert.equal(body.style.height, '30000px', 'the body is as tall as every row');
+  assert.ok(body.children.length < 50, 'only the rows around the viewport are drawn');
+  assert.deepEqual(texts(titles()), ['Region', 'Customer', 'Sales']);
+  assert.deepEqual(shown(2).slice(0, 3), ['0', '10', '20']);
+
+  titles()[2].click();
+  titles()[2].click();
+  assert.equal(titles()[2].textContent, 'Sales ▼');
+  assert.deepEqual(shown(2).slice(0, 2), ['9,990', '9,980'], 'numbers sort and format as numbers');
+
+  const search = grid.parentNode.querySelector('.db-controls input[type=search]');
+  search.value = 'c99';
+  search.dispatchEvent(new w.Event('input'));
+  await settle();
+  assert.equal(count.textContent, '11 rows of 1,000');
+  const sales = grid.querySelector('.db-vgrid-head input[data-col=Sales]');
+  sales.value = '>9900';
+  sales.dispatchEvent(new w.Event('input'));
+  await settle();
+  assert.deepEqual(shown(1), ['C999', 'C998', 'C997', 'C996', 'C995', 'C994', 'C993', 'C992', 'C991']);
+
+  const region = Array.from(grid.parentNode.querySelectorAll('.db-slicer-list label')).find(l => l.textContent.trim() === 'Region');
+  region.querySelector('input').click();
+  assert.deepEqual(texts(titles()), ['Customer', 'Sales ▼']);
+  assert.equal(body.children[0].children.length, 2);
+  db.destroy();
+  w.close();
+});
+
+test('exports hold the filtered rows, the charts and the report', async ()=>{
+  const w = page();
+  const D = w.document;
+  // downloads are caught as the Blob handed to the link, not followed
+  const saved = [];
+  w.URL.createObjectURL = blob => { saved.push(blob); return 'blob:' + saved.length; };
+  w.URL.revokeObjectURL = ()=>{};
+  D.addEventListener('click', e => { if(e.target.download) e.preventDefault(); });
+  const db = await w.Dashboard.mount(D.body);
+  await db.loadCSV(csv);
+  db.setFilters({ values: { Region: ['North'] } });
+
+  const menu = db.root.querySelector('.db-export');
+  const run = async label => {
+    menu.open = true;
+    menu.dispatchEvent(new w.Event('toggle'));
+    const b = Array.from(menu.querySelectorAll('button')).find(x => x.textContent === label);
+    assert.ok(b, label + ' is offered');
+    b.click();
+    await new Promise(r => setTimeout(r, 0));
+    return saved[saved.length - 1].text();
+  };
+
+  assert.equal(await run('CSV'), [
+    'Order_Date,Region,Product,Customer,Sales,Profit',
+    '2023-03-01,North,A,Ann,100,10',
+    '2024-03-01,North,A,Ann,50,5',
+    '2024-03-05,North,B,Cy,20,2'
+  ].join('\r\n'));
+  const svg = await run('Revenue & Orders Over Time — SVG');
+  assert.match(svg, /^<svg /);
+  assert.match(svg, />Revenue &amp; Orders Over Time<\/text>/);
+  const report = await run('Printable HTML');
+  const card = db.root.querySelector('.db-kpi');
+  assert.ok(report.includes('<div class="label">Total Revenue</div><div class="value">' + card.querySelector('.value').textContent + '</div>'), 'the KPI cards as shown');
+  assert.match(report, /<li>Region: North<\/li>/);
+  assert.match(report, /<figcaption>Top Products<\/figcaption><img src="data:image\/png;base64,"/);
+  assert.match(report, /Generated .* · 4 rows loaded/);
+  assert.doesNotMatch(report, /window.print/);
+  db.destroy();
+  w.close();
+});
+
+test('the URL hash and saved dashboards bring a view back', async ()=>{
+  const w = page();
+  const D = w.document;
+  const db = await w.Dashboard.mount(D.body, { urlState: true, storageKey: 'sales' });
+  await db.loadCSV(csv);
+  const select = (root, value) => Array.from(root.querySelectorAll('select')).find(s => s.querySelector('option[value=' + value + ']'));
+  choose(w, select(db.root, 'week'), 'month');
+  choose(w, select(db.root, 'yoy'), 'yoy');
+  db.setFilters({ from: '2024-01-01', values: { Region: ['North'] } });
+  const state = plain(db.getState());
+  assert.equal(state.gran, 'month');
+  assert.equal(state.compare.mode, 'yoy');
+  assert.deepEqual(JSON.parse(decodeURIComponent(w.location.hash.slice('#db='.length))), state);
+
+  // a link opened elsewhere waits for its data, then applies
+  const w2 = page(null, w.location.href);
+  const db2 = await w2.Dashboard.mount(w2.document.body, { urlState: true });
+  await db2.loadCSV(csv);
+  assert.deepEqual(plain(db2.getFilters()), { from: '2024-01-01', to: '', values: { Region: ['North'] }, ranges: {} });
+  assert.equal(select(db2.root, 'week').value, 'month');
+  assert.equal(select(db2.root, 'yoy').value, 'yoy');
+  db2.destroy();
+  w2.close();
+
+  // saved under the storage key; opening one restores it on the loaded data
+  const menu = Array.from(db.root.querySelectorAll('details')).find(d => d.querySelector('summary').textContent === 'Dashboards');
+  menu.querySelector('input[type=text]').value = 'North 2024';
+  Array.from(menu.querySelectorAll('button')).find(b => b.textContent === 'Save').click();
+  assert.deepEqual(Object.keys(JSON.parse(w.localStorage.getItem('sales-dashboards'))), ['North 2024']);
+  db.setFilters({});
+  choose(w, select(db.root, 'week'), 'day');
+  assert.deepEqual(plain(db.getFilters()), { from: '', to: '', values: {}, ranges: {} });
+  Array.from(menu.querySelectorAll('button')).find(b => b.textContent === 'North 2024').click();
+  await new Promise(r => setTimeout(r, 0));
+  assert.deepEqual(plain(db.getFilters()), state.filters);
+  assert.equal(select(db.root, 'week').value, 'month');
+
+  db.destroy();
+  w.close();
+});
+
+test('the Format menu sets the currency, locale, decimals and notation of every amount', async ()=>{
+  const w = page();
+  const D = w.document;
+  const db = await w.Dashboard.mount(D.body, { storageKey: 'sales' });
+  await db.loadCSV(csv);
+  const value = ()=> db.root.querySelector('.db-kpi .value').textContent;
+  const ticks = ()=> w.charts.filter(c => c.canvas.dataset.part === 'timeChart').pop().config.options.scales.y.ticks.callback;
+  assert.equal(value(), '₹20', 'INR without decimals by default');
+
+  const menu = Array.from(db.root.querySelectorAll('details')).find(d => d.querySelector('summary').textContent === 'Format');
+  const [currency, locale, decimals] = menu.querySelectorAll('select');
+  choose(w, currency, 'EUR');
+  choose(w, locale, 'de-DE');
+  choose(w, decimals, '2');
+  assert.equal(value(), '20,00\u00a0€');
+  assert.equal(ticks()(1234.5), '1.234,50\u00a0€', 'chart axes follow');
+  const compact = menu.querySelector('input[type=checkbox]');
+  compact.click();
+  choose(w, locale, 'en-US');
+  assert.equal(ticks()(1500000), '€1.5M');
+  assert.deepEqual(JSON.parse(w.localStorage.getItem('sales-format')), { currency: 'EUR', locale: 'en-US', decimals: 2, compact: true });
+  db.destroy();
+
+  // a dashboard with the same storage key starts with the saved format
+  const again = await w.Dashboard.mount(D.body, { storageKey: 'sales' });
+  await again.loadCSV(csv);
+  assert.equal(again.root.querySelector('.db-kpi .value').textContent, '€20');
+  again.destroy();
+  w.close();
+});
+
+test('dashboards mounted side by side keep their own data, filters and events', async ()=>{
+  const w = page('<!DOCTYPE html><body><div id="a"></div><div id="b"></div></body>');
+  const D = w.document;
+  await assert.rejects(w.Dashboard.mount('#missing'), /no container element matches #missing/);
+
+  const seen = { a: [], b: [] };
+  const a = await w.Dashboard.mount('#a', { on: { filterchange: e => seen.a.push(plain(e.filters.values)) } });
+  // b loads its rows in the background and applies its filters once they are in
+  let b;
+  const ready = new Promise(resolve => w.Dashboard.mount(D.getElementById('b'), {
+    rows: [{ Region: 'North', Sales: 5 }, { Region: 'South', Sales: 7 }],
+    filters: { values: { Region: ['South'] } },
+    on: { render: e => { seen.b.push(e.kpis.revenue); if(!e.loading) resolve(); } }
+  }).then(db => { b = db; }));
+  await a.loadCSV(csv);
+  await ready;
+  assert.equal(D.getElementById('a').firstChild, a.root);
+  assert.equal(D.getElementById('b').firstChild, b.root);
+  assert.deepEqual(plain(b.getFilters().values), { Region: ['South'] });
+  assert.deepEqual(seen.b.slice(-1), [7]);
+  assert.deepEqual(plain(a.getFilters().values), {});
+
+  a.setFilters({ values: { Region: ['South'] } });
+  a.setFilters({ values: { Region: ['South'] } });
+  assert.deepEqual(seen.a, [{}, { Region: ['South'] }], 'filterchange fires when the filters change, not on every render');
+  assert.equal(a.root.querySelector('.db-kpi .value').textContent, '₹300');
+  assert.equal(b.root.querySelector('.db-kpi .value').textContent, '₹7');
+
+  assert.throws(()=> a.on('click', ()=>{}), /Unknown dashboard event: click/);
+  assert.throws(()=> a.setMapping({ region: 'Area' }), /Unknown column: Area/);
+  assert.throws(()=> a.setMapping({ colour: 'Region' }), /Unknown mapping role: colour/);
+  await assert.rejects(a.loadRows('Region,Sales'), { name: 'TypeError', message: /expects an array of row objects/ });
+
+  a.destroy();
+  assert.equal(D.getElementById('a').children.length, 0);
+  assert.ok(b.root.isConnected, 'the other dashboard stays');
+  const renders = seen.b.length;
+  b.setFilters({});
+  assert.equal(seen.b.length, renders + 1);
+  assert.deepEqual(seen.b.slice(-1), [12]);
+  b.destroy();
+  w.close();
+});
+
+test('a comparison dataset shows its differences, series and top movers', async ()=>{
+  const w = page();
+  const D = w.document;
+  const db = await w.Dashboard.mount(D.body);
+  await db.loadCSV(csv);
+  choose(w, Array.from(db.root.querySelectorAll('select')).find(s => s.querySelector('option[value=week]')), 'month');
+  const last = [
+    'Order Date,Region,Product,Customer,Sales,Profit',
+    '2024-03-01,North,A,Ann,80,8',
+    '2024-03-05,South,B,Bo,40,4',
+    '2024-03-05,East,C,Di,30,3'
+  ].join('\n');
+  const input = Array.from(db.root.querySelectorAll('input[type=file]')).find(i => i.nextSibling && i.nextSibling.classList.contains('db-chip'));
+  Object.defineProperty(input, 'files', { value: [new w.File([last], 'plan.csv', { type: 'text/csv' })], configurable: true });
+  input.dispatchEvent(new w.Event('change'));
+  const select = Array.from(db.root.querySelectorAll('select')).find(s => s.querySelector('option[value=yoy]'));
+  for(let i = 0; i < 100 && select.value !== 'dataset'; i++) await new Promise(r => setTimeout(r, 20));
+  assert.equal(select.value, 'dataset');
+  assert.deepEqual(texts(db.root.querySelectorAll('.db-kpi .delta')).slice(0, 3), ['▲ +₹320 (+213%) vs plan.csv', '▲ +₹62 (+413%) vs plan.csv', '▲ +1 (+33%) vs plan.csv']);
+  const trend = w.charts.filter(c => c.canvas.dataset.part === 'timeChart').pop();
+  const sets = trend.config.data.datasets;
+  assert.deepEqual(Array.from(sets, d => d.label), ['Revenue', 'Orders', 'Revenue — plan.csv', 'Orders — plan.csv']);
+  assert.deepEqual(plain(sets[2].data.slice(-2)), [null, 150], 'dates are matched: plan.csv has March 2024 only');
+  const movers = ()=> texts(db.root.querySelectorAll('[data-part=moversTable] tbody tr'));
+  assert.deepEqual(movers(), ['Product', 'B₹320₹40+₹280+700%', 'A₹150₹80+₹70+88%', 'C₹0₹30−₹30−100%', 'Region', 'South₹300₹40+₹260+650%', 'North₹170₹80+₹90+113%', 'East₹0₹30−₹30−100%']);
+
+  // the filters apply to both datasets
+  db.setFilters({ values: { Region: ['North'] } });
+  assert.equal(db.root.querySelector('.db-kpi .delta').textContent, '▲ +₹90 (+113%) vs plan.csv');
+  assert.deepEqual(movers(), ['Product', 'A₹150₹80+₹70+88%', 'B₹20₹0+₹20new', 'Region', 'North₹170₹80+₹90+113%']);
+
+  const stop = db.root.querySelector('button[title="Stop comparing"]');
+  stop.click();
+  assert.equal(select.value, 'previous');
+  assert.equal(select.querySelector('option[value=dataset]'), null);
+  assert.deepEqual(Array.from(w.charts.filter(c => c.canvas.dataset.part === 'timeChart').pop().config.data.datasets, d => d.label), ['Revenue', 'Orders']);
+  db.destroy();
+  w.close();
+});
@@ -0,0 +1,40 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../core.js');
+
+test('03/04/2024 is read by the other values in its column', ()=>{
+  assert.deepEqual(core.detectDateFormat(['03/04/2024', '12/25/2024']), { format: 'mdy', ratio: 1, ambiguous: false });
+  assert.deepEqual(core.detectDateFormat(['03/04/2024', '25/12/2024']), { format: 'dmy', ratio: 1, ambiguous: false });
+  // nothing above 12: DD/MM is assumed and flagged for the user to confirm
+  assert.deepEqual(core.detectDateFormat(['03/04/2024', '05/06/2024']), { format: 'dmy', ratio: 1, ambiguous: true });
+  assert.equal(core.dayKeyOf('03/04/2024', { dateFormat: 'mdy' }), '2024-03-04');
+  assert.equal(core.dayKeyOf('03/04/2024', { dateFormat: 'dmy' }), '2024-04-03');
+});
+
+test('numeric columns are Excel serials or Unix timestamps', ()=>{
+  assert.equal(core.detectDateFormat([45296, 45297]).format, 'excel');
+  assert.equal(core.detectDateFormat(['1704412800']).format, 'epoch');
+  assert.equal(core.dayKeyOf(45296, { dateFormat: 'excel' }), '2024-01-05');
+  assert.equal(core.dayKeyOf('45296.75', { dateFormat: 'excel' }), '2024-01-05');
+});
+
+test('instants fall on the day of the column timezone', ()=>{
+  const late = '2024-01-05T23:30:00Z', early = '2024-01-05T02:00:00Z';
+  assert.deepEqual([late, early].map(v => core.dayKeyOf(v, { dateFormat: 'iso', tz: 'UTC' })), ['2024-01-05', '2024-01-05']);
+  assert.deepEqual([late, early].map(v => core.dayKeyOf(v, { dateFormat: 'iso', tz: 'Asia/Kolkata' })), ['2024-01-06', '2024-01-05']);
+  assert.deepEqual([late, early].map(v => core.dayKeyOf(v, { dateFormat: 'iso', tz: 'America/New_York' })), ['2024-01-05', '2024-01-04']);
+  assert.equal(core.dayKeyOf(1704412800, { dateFormat: 'epoch', tz: 'America/New_York' }), '2024-01-04');
+  assert.equal(core.dayKeyOf('2024-03-10T01:30:00-05:00', { dateFormat: 'iso', tz: 'UTC' }), '2024-03-10');
+});
+
+test('plain calendar dates never shift with the timezone', ()=>{
+  for(const tz of ['UTC', 'Asia/Kolkata', 'America/New_York', '']) assert.equal(core.dayKeyOf('2024-01-05', { dateFormat: 'iso', tz }), '2024-01-05');
+  assert.equal(core.dayKeyOf('5 Jan 2024', { dateFormat: 'auto' }), '2024-01-05');
+  assert.equal(core.dayKeyOf('not a date', { dateFormat: 'iso' }), '');
+});
+
+test('inferSchema stores the detected format on date columns', ()=>{
+  const cs = core.inferSchema(['D'], [{ D: '03/04/2024' }, { D: '25/12/2024' }]).D;
+  assert.deepEqual([cs.type, cs.dateFormat, cs.ambiguous], ['date', 'dmy', false]);
+});
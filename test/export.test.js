@@ -0,0 +1,42 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../core.js');
+
+const count = (svg, re) => (svg.match(re) || []).length;
+
+test('chartSVG draws one bar per value and a path per line, with a legend', ()=>{
+  const svg = core.chartSVG({
+    labels: ['2024-01', '2024-02', '2024-03'],
+    datasets: [
+      { label: 'Revenue', data: [100, 250, 50], backgroundColor: '#0ea5e9' },
+      { label: 'Orders', type: 'line', data: [3, 5, 2], borderColor: '#f59e0b' }
+    ]
+  }, 'bar', { title: 'Revenue & Orders', width: 600, height: 300 });
+  assert.match(svg, /^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" width="600" height="300"/);
+  assert.match(svg, /<\/svg>$/);
+  assert.match(svg, />Revenue &amp; Orders<\/text>/, 'the title is escaped');
+  assert.equal(count(svg, /<rect [^>]*fill="#0ea5e9"/g), 4, 'three bars and the legend swatch');
+  assert.match(svg, /<path d="M[\d.]+,[\d.]+ L[\d.]+,[\d.]+ L[\d.]+,[\d.]+" fill="none" stroke="#f59e0b"/);
+  for(const l of ['2024-01', '2024-02', '2024-03', 'Revenue', 'Orders']) assert.match(svg, new RegExp('>' + l + '</text>'));
+});
+
+test('chartSVG lifts the pen over gaps and leaves hidden datasets out', ()=>{
+  const svg = core.chartSVG({
+    labels: ['a', 'b', 'c', 'd', 'e'],
+    datasets: [
+      { label: 'Average', data: [null, 2, 3, null, 5] },
+      { label: 'Hidden', data: [9, 9, 9, 9, 9], hidden: true }
+    ]
+  }, 'line');
+  const d = /<path d="([^"]+)"/.exec(svg)[1];
+  assert.equal(count(d, /M/g), 2);
+  assert.equal(count(d, /L/g), 1);
+  assert.doesNotMatch(svg, /Hidden/);
+});
+
+test('chartSVG axis labels use the given number format', ()=>{
+  const svg = core.chartSVG({ labels: ['x'], datasets: [{ data: [1000] }] }, 'bar', { format: v => '$' + v });
+  assert.deepEqual(svg.match(/>\$\d+<\/text>/g), ['>$0</text>', '>$200</text>', '>$400</text>', '>$600</text>', '>$800</text>', '>$1000</text>']);
+  assert.match(svg, />Series 1<\/text>/, 'an unlabelled dataset gets a name');
+});
@@ -0,0 +1,55 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { File } = require('buffer');
+
+globalThis.Papa = require('papaparse');
+const core = require('../core.js');
+
+const loaded = core.loadDataset(new File([[
+  'Order_Date,Region,Product,Channel,Discount,Ship_Date,Sales',
+  '2024-01-05,North,A,Web,0.1,2024-01-07,100',
+  '2024-01-20,South,B,Store,0.3,2024-01-21,200',
+  '2024-02-03,North,B,,0,2024-02-10,50',
+  '2024-02-14,East,A,Web,0.2,,80'
+].join('\n')], 'sales.csv'));
+
+// the rows a set of filters keeps, and the revenue of the facts the cube keeps for them
+async function apply(plain){
+  const data = await loaded;
+  const f = core.filtersFromPlain(plain);
+  const rows = data.rows.filter(core.rowFilter(data.mapping, f, data.schema));
+  const extra = core.extraRowFilter(data.mapping, f, data.schema);
+  const cube = core.cubeAddRows(core.createCube(data.mapping, data.schema), extra ? data.rows.filter(extra) : data.rows, data.mapping, data.cols, data.schema);
+  const facts = Object.values(cube.facts).filter(core.factFilter(data.mapping, f));
+  return { sales: rows.map(r => r.Sales), revenue: core.kpiValues(facts, data.mapping).revenue };
+}
+
+test('multi-select slicers keep any of the chosen values', async ()=>{
+  assert.deepEqual(await apply({ values: { Region: ['North', 'East'] } }), { sales: ['100', '50', '80'], revenue: 230 });
+  assert.deepEqual(await apply({ values: { Region: ['North'], Product: ['B'] } }), { sales: ['50'], revenue: 50 });
+});
+
+test('slicers work on unmapped columns too, blanks being Unknown', async ()=>{
+  assert.deepEqual(await apply({ values: { Channel: ['Web'] } }), { sales: ['100', '80'], revenue: 180 });
+  assert.deepEqual(await apply({ values: { Channel: ['Unknown'] } }), { sales: ['50'], revenue: 50 });
+});
+
+test('value and date ranges may be open at either end', async ()=>{
+  assert.deepEqual(await apply({ ranges: { Discount: { min: 0.1, max: 0.2 } } }), { sales: ['100', '80'], revenue: 180 });
+  assert.deepEqual(await apply({ ranges: { Discount: { min: '', max: 0 } } }), { sales: ['50'], revenue: 50 });
+  assert.deepEqual(await apply({ ranges: { Ship_Date: { min: '2024-01-21', max: null } } }), { sales: ['200', '50'], revenue: 250 });
+});
+
+test('the date range combines with the other filters', async ()=>{
+  assert.deepEqual(await apply({ from: '2024-01-10', to: '2024-02-10', values: { Region: ['North', 'South'] } }), { sales: ['200', '50'], revenue: 250 });
+});
+
+test('filters survive their JSON form', ()=>{
+  const f = core.filtersFromPlain({ from: '2024-01-01', values: { Region: ['North', 1] }, ranges: { Discount: { min: '', max: 0.2 } } });
+  assert.deepEqual(f.values.Region, new Set(['North', '1']));
+  assert.deepEqual(f.ranges.Discount, { min: null, max: 0.2 });
+  const again = core.filtersFromPlain(JSON.parse(JSON.stringify(core.plainFilters(f))));
+  assert.deepEqual(again, f);
+  assert.deepEqual(core.filtersFromPlain(null), { from: '', to: '', values: {}, ranges: {} });
+});
@@ -0,0 +1,78 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../core.js');
+
+// deterministic standard normals (mulberry32 + Box-Muller)
+function normals(seed){
+  let a = seed >>> 0;
+  const uniform = ()=>{
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return ()=> Math.sqrt(-2 * Math.log(1 - uniform())) * Math.cos(2 * Math.PI * uniform());
+}
+
+// Simulate the series the smoothing equations of holtWintersFit describe (y = level +
+// trend + season + e, then the same updates) and measure the variance of the error of
+// the forecast made at the start, h periods ahead.
+function simulatedVariance(fit, h, runs){
+  const next = normals(42);
+  let sum = 0;
+  for(let r=0;r<runs;r++){
+    let level = 10, trend = 1;
+    const season = fit.k > 1 ? [1, -1, 2, -2].slice(0, fit.k) : [0];
+    const forecast = level + h * trend + season[(h - 1) % fit.k];
+    let y;
+    for(let t=0;t<h;t++){
+      const st = season[t % fit.k], prev = level;
+      y = level + trend + st + next();
+      level = fit.a * (y - st) + (1 - fit.a) * (level + trend);
+      trend = fit.b * (level - prev) + (1 - fit.b) * trend;
+      if(fit.k > 1) season[t % fit.k] = fit.g * (y - level) + (1 - fit.g) * st;
+    }
+    sum += (y - forecast) * (y - forecast);
+  }
+  return sum / runs;
+}
+
+const expected = (fit, h)=>{
+  let v = 1;
+  for(let j=1;j<h;j++) v += Math.pow(core.holtWintersWeight(fit, j), 2);
+  return v;
+};
+
+test('Holt-Winters error weights use a·b for the trend and g·(1 − a) for the season', ()=>{
+  const fit = { a: 0.5, b: 0.2, g: 0.4, k: 4 };
+  assert.equal(core.holtWintersWeight(fit, 1), 0.6);
+  assert.equal(core.holtWintersWeight(fit, 4), 0.5 + 0.4 + 0.2);
+  assert.equal(core.holtWintersWeight({ a: 0.5, b: 0.2, g: 0.4, k: 1 }, 4), 0.9);
+});
+
+test('Holt-Winters interval variance matches a simulation of the model', ()=>{
+  for(const fit of [{ a: 0.5, b: 0.2, g: 0.4, k: 4 }, { a: 0.3, b: 0.1, g: 0, k: 1 }]){
+    for(const h of [1, 4, 9]){
+      const sim = simulatedVariance(fit, h, 40000), want = expected(fit, h);
+      assert.ok(Math.abs(sim - want) / want < 0.03, 'k=' + fit.k + ' h=' + h + ': simulated ' + sim.toFixed(3) + ', formula ' + want.toFixed(3));
+    }
+  }
+});
+
+test('forecastSeries widens Holt-Winters intervals with the horizon', ()=>{
+  const ys = [];
+  for(let i=0;i<36;i++) ys.push(100 + 2 * i + [10, -5, 0, -5][i % 4] + (i % 3) - 1);
+  const f = core.forecastSeries(ys, 8, 'holt', 4);
+  const half = f.upper.map((u,i)=> u - f.mean[i]);
+  half.forEach((w,i)=>{ if(i) assert.ok(w >= half[i-1] - 1e-9); });
+  assert.ok(Math.abs(f.mean[0] - (100 + 2 * 36 + 10)) < 5);
+});
+
+test('linear and seasonal naive forecasts on known series', ()=>{
+  const line = core.forecastSeries([1, 2, 3, 4, 5], 2, 'linear', 1);
+  assert.deepEqual(line.mean.map(v=> Math.round(v * 1e9) / 1e9), [6, 7]);
+  const naive = core.forecastSeries([1, 2, 3, 1, 2, 3], 4, 'snaive', 3);
+  assert.deepEqual(naive.mean, [1, 2, 3, 1]);
+  assert.equal(core.forecastSeries([1, 2], 3, 'linear', 1), null);
+});
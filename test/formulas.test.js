@@ -0,0 +1,71 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { File } = require('buffer');
+
+globalThis.Papa = require('papaparse');
+const core = require('../core.js');
+
+const row = { Sales: 10, Cost: null, Region: 'North', Order_Date: '2024-03-05' };
+const rows = [{ Sales: 10, Region: 'N' }, { Sales: 20, Region: 'S' }, { Sales: null, Region: 'N' }];
+
+function value(src){
+  const f = core.compileFormula(src, Object.keys(row), false);
+  return core.evalFormula(f.tree, { get: c => row[c] === undefined ? null : row[c] });
+}
+
+function measure(src){
+  const f = core.compileFormula(src, ['Sales', 'Region'], true);
+  return core.evalFormula(f.tree, { rows, cell: (r, c) => r[c] });
+}
+
+test('column formulas follow operator precedence', ()=>{
+  assert.equal(value('1 + 2 * 3'), 7);
+  assert.equal(value('(1 + 2) * 3'), 9);
+  assert.equal(value('-2 ^ 2'), -4);
+  assert.equal(value('10 / 4'), 2.5);
+  assert.equal(value('sales * 2'), 20);
+});
+
+test('column formulas handle blanks, text, dates and logic', ()=>{
+  assert.equal(value('Sales - Cost'), null);
+  assert.equal(value('Sales / 0'), null);
+  assert.equal(value('COALESCE(Cost, 0) + 1'), 1);
+  assert.equal(value('IF(Sales > 5, "big", "small")'), 'big');
+  assert.equal(value('"x" & Region'), 'xNorth');
+  assert.equal(value('Region = "north"'), true);
+  assert.equal(value('LEFT(Region, 2)'), 'No');
+  assert.equal(value('ROUND(10 / 3, 2)'), 3.33);
+  assert.equal(value('YEAR(Order_Date) * 100 + MONTH(Order_Date)'), 202403);
+  assert.equal(value('NOT Sales > 5 OR ISBLANK(Cost)'), true);
+  assert.equal(value('Sales >= 10 AND Region != "South"'), true);
+});
+
+test('measures aggregate over the rows', ()=>{
+  assert.equal(measure('SUM(Sales) / COUNTROWS()'), 10);
+  assert.equal(measure('AVG(Sales)'), 15);
+  assert.equal(measure('MAX(Sales)'), 20);
+  assert.equal(measure('MEDIAN(Sales)'), 15);
+  assert.equal(measure('COUNT(Sales)'), 2);
+  assert.equal(measure('DISTINCTCOUNT(Region)'), 2);
+  assert.equal(measure('SUM(Sales) / 0'), null);
+});
+
+test('formula errors name the problem', ()=>{
+  assert.throws(()=> value('Nope + 1'), /Unknown column "Nope"/);
+  assert.throws(()=> value('SUM(Sales)'), /SUM\(\) aggregates rows: use it in a KPI measure/);
+  assert.throws(()=> value('ROUND()'), /ROUND\(\) takes 1 or 2 arguments/);
+  assert.throws(()=> value('1 +'), /The formula ends too early/);
+  assert.throws(()=> measure('Sales + 1'), /Column "Sales" needs an aggregate, e.g. SUM\(Sales\)/);
+  assert.throws(()=> measure('SUM(SUM(Sales))'), /SUM\(\) cannot be used inside another aggregate/);
+});
+
+test('withCalcColumns adds typed columns without touching the input', async ()=>{
+  const data = await core.loadDataset(new File(['Sales,Cost\n100,60\n50,\n'], 'sales.csv'));
+  const out = core.withCalcColumns(data, [{ name: 'Margin', formula: 'Sales - Cost' }, { name: '', formula: '' }]);
+  assert.deepEqual(out.cols, ['Sales', 'Cost', 'Margin']);
+  assert.deepEqual(out.rows.map(r => r.Margin), [40, '']);
+  assert.equal(out.schema.Margin.type, 'number');
+  assert.equal('Margin' in data.rows[0], false);
+  assert.throws(()=> core.withCalcColumns(data, [{ name: 'Bad', formula: 'Nope' }]), /Calculated column "Bad": Unknown column "Nope"/);
+});
@@ -0,0 +1,62 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { File } = require('buffer');
+
+globalThis.Papa = require('papaparse');
+globalThis.JSZip = require('jszip');
+try{ globalThis.XLSX = require('xlsx'); } catch(e){ /* optional: the workbook test is skipped */ }
+const core = require('../core.js');
+
+const load = (text, name, plan) => core.loadDataset(new File([text], name), plan);
+
+test('importKind picks the importer by extension', ()=>{
+  assert.equal(core.importKind('sales.TSV'), 'delimited');
+  assert.equal(core.importKind('dump.jsonl'), 'ndjson');
+  assert.equal(core.importKind('finance.xlsx'), 'excel');
+  assert.equal(core.importKind('api.json'), 'json');
+  assert.equal(core.importKind('report.pdf'), null);
+});
+
+test('JSON arrays are flattened to dotted columns', async ()=>{
+  const data = await load(JSON.stringify([
+    { id: 1, customer: { name: 'Ann', city: 'Pune' }, tags: ['a', 'b'], amount: 12.5 },
+    { id: 2, customer: { name: 'Bo' }, amount: null }
+  ]), 'orders.json');
+  assert.deepEqual(data.cols, ['id', 'customer.name', 'customer.city', 'tags', 'amount']);
+  assert.deepEqual(data.rows[0], { id: 1, 'customer.name': 'Ann', 'customer.city': 'Pune', tags: 'a, b', amount: 12.5 });
+  assert.equal(data.rows[1]['customer.name'], 'Bo');
+});
+
+test('NDJSON gives the same shape, one record per line', async ()=>{
+  const data = await load('{"a":1,"b":{"c":2}}\n{"a":3}\n', 'dump.ndjson');
+  assert.deepEqual(data.cols, ['a', 'b.c']);
+  assert.deepEqual(data.rows.map(r => r.a), [1, 3]);
+});
+
+test('the delimiter of tab and semicolon files is sniffed', async ()=>{
+  const tsv = await load('Region\tSales\nNorth\t1,5\n', 'sales.tsv');
+  assert.deepEqual(tsv.cols, ['Region', 'Sales']);
+  assert.deepEqual(tsv.rows, [{ Region: 'North', Sales: '1,5' }]);
+  const semi = await load('Region;Sales;Note\nNorth;1,5;a,b\nSouth;2;c\n', 'sales.csv');
+  assert.deepEqual(semi.cols, ['Region', 'Sales', 'Note']);
+  assert.deepEqual(semi.rows.map(r => r.Note), ['a,b', 'c']);
+});
+
+test('workbooks load their first sheet, or the one chosen', { skip: !globalThis.XLSX && 'xlsx is not installed' }, async ()=>{
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([['Notes'], ['x']]), 'Readme');
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([['Order Date', 'Sales'], [new Date(Date.UTC(2024, 0, 5)), 100], ['2024-01-06', 50]], { cellDates: true }), 'Data');
+  const buf = XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
+  assert.deepEqual((await load(buf, 'finance.xlsx')).cols, ['Notes']);
+  const data = await load(buf, 'finance.xlsx', { sheets: { 'finance.xlsx': 'Data' } });
+  assert.deepEqual(data.cols, ['Order_Date', 'Sales']);
+  assert.deepEqual(data.rows, [{ Order_Date: '2024-01-05', Sales: 100 }, { Order_Date: '2024-01-06', Sales: 50 }]);
+});
+
+test('any of the formats loads from inside a ZIP', async ()=>{
+  const zip = new JSZip();
+  zip.file('rows.ndjson', '{"x":1}\n{"x":2}\n');
+  const data = await load(await zip.generateAsync({ type: 'nodebuffer' }), 'dump.zip');
+  assert.deepEqual(data.rows, [{ x: 1 }, { x: 2 }]);
+});
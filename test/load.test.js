@@ -0,0 +1,32 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { File } = require('buffer');
+
+globalThis.Papa = require('papaparse');
+const core = require('../core.js');
+
+test('parse errors point at their rows across chunks and blank lines', async ()=>{
+  // over STREAM_CHUNK (2 MB), so PapaParse delivers several chunks
+  const lines = ['Id,Qty,Note'];
+  const short = new Set([3, 40000, 70000]);
+  for(let i=1;i<=90000;i++){
+    if(i % 1000 === 0) lines.push('');
+    lines.push(short.has(i) ? 'x' + i + ',1' : 'x' + i + ',' + i + ',some text to fill');
+  }
+  lines.push('"x90001,1,2');
+  const data = await core.loadDataset(new File([lines.join('\n') + '\n'], 'big.csv'));
+  assert.equal(data.rows.length, 90001);
+  const found = data.errors.map(e=> [e.code, e.rowNumber, e.row >= 0 ? data.rows[e.row].Id.trim() : null]);
+  assert.deepEqual(found.filter(f=> f[0] === 'TooFewFields').slice(0, 3), [['TooFewFields', 3, 'x3'], ['TooFewFields', 40000, 'x40000'], ['TooFewFields', 70000, 'x70000']]);
+  assert.ok(found.some(f=> f[0] === 'MissingQuotes' && f[1] === 90001 && f[2] === 'x90001,1,2'));
+});
+
+test('NDJSON errors keep their line and drop the row', async ()=>{
+  const text = '{"a":1}\n{"a":2}\nnot json\n\n{"a":3}\n';
+  const data = await core.loadDataset(new File([text], 'rows.ndjson'));
+  assert.equal(data.rows.length, 3);
+  assert.equal(data.errorCount, 1);
+  assert.equal(data.errors[0].line, 3);
+  assert.equal(data.errors[0].row, -1);
+});
@@ -0,0 +1,43 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../core.js');
+
+test('periodKey buckets days at every granularity', ()=>{
+  const keys = g => [core.periodKey('2023-12-31', g), core.periodKey('2024-01-01', g)];
+  assert.deepEqual(keys('day'), ['2023-12-31', '2024-01-01']);
+  assert.deepEqual(keys('week'), ['2023-12-25', '2024-01-01']); // weeks start on Monday
+  assert.deepEqual(keys('month'), ['2023-12', '2024-01']);
+  assert.deepEqual(keys('quarter'), ['2023-Q4', '2024-Q1']);
+  assert.deepEqual(keys('year'), ['2023', '2024']);
+  assert.deepEqual(Object.keys(core.GRANULARITIES), ['day', 'week', 'month', 'quarter', 'year']);
+});
+
+test('period bounds and steps cross month and year ends', ()=>{
+  assert.deepEqual(core.periodBounds('2024-02', 'month'), { from: '2024-02-01', to: '2024-02-29' });
+  assert.deepEqual(core.periodBounds('2024-02-12', 'week'), { from: '2024-02-12', to: '2024-02-18' });
+  assert.deepEqual(core.periodBounds('2024-Q1', 'quarter'), { from: '2024-01-01', to: '2024-03-31' });
+  assert.equal(core.nextPeriod('2024-12-30', 'week'), '2025-01-06');
+  assert.equal(core.nextPeriod('2024-Q4', 'quarter'), '2025-Q1');
+  assert.deepEqual(core.periodRange('2024-02-27', '2024-03-01', 'day'), ['2024-02-27', '2024-02-28', '2024-02-29', '2024-03-01']);
+});
+
+test('comparison shifts keep to real calendar days', ()=>{
+  assert.equal(core.shiftYear('2024-02-29', -1), '2023-02-28');
+  assert.equal(core.shiftDay('2024-03-01', -1), '2024-02-29');
+  assert.equal(core.dayDiff('2024-01-01', '2024-03-01'), 60);
+});
+
+test('timeSeries fills missing periods with zero', ()=>{
+  const mapping = { sales: 'Sales', date: 'Day' };
+  const rows = [{ Day: '2024-01-05', Sales: '10' }, { Day: '2024-01-20', Sales: '4' }, { Day: '2024-03-02', Sales: '5' }];
+  const schema = core.inferSchema(['Day', 'Sales'], rows);
+  const facts = Object.values(core.cubeAddRows(core.createCube(mapping, schema), rows, mapping, ['Day', 'Sales'], schema).facts);
+  assert.deepEqual(core.timeSeries(facts, 'month'), { labels: ['2024-01', '2024-02', '2024-03'], revenue: [14, 0, 5], orders: [2, 0, 1] });
+  assert.deepEqual(core.timeSeries(facts, 'quarter'), { labels: ['2024-Q1'], revenue: [19], orders: [3] });
+});
+
+test('movingAverage is a trailing mean, empty until the window is full', ()=>{
+  assert.deepEqual(core.movingAverage([1, 2, 3, 4, 5], 3), [null, null, 2, 3, 4]);
+  assert.deepEqual(core.movingAverage([4, 0, 8], 1), [4, 0, 8]);
+});
@@ -0,0 +1,45 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../core.js');
+
+const cols = ['Order Date', 'Region', 'Product', 'Customer', 'Sales'];
+const rows = [
+  ['2024-01-05', 'North', 'A', 'Ann', '100'],
+  ['2024-02-10', 'North', 'B', 'Bo', '50'],
+  ['2024-04-02', 'North', 'A', 'Ann', '30'],
+  ['2024-01-20', 'South', 'A', 'Cy', '200'],
+  ['2024-05-15', 'South', 'B', '', '']
+].map(r => Object.fromEntries(cols.map((c, i) => [c, r[i]])));
+const schema = core.inferSchema(cols, rows);
+
+test('pivot cells, row subtotals and the grand total', ()=>{
+  const p = core.buildPivot(rows, { rows: [{ col: 'Region' }, { col: 'Product' }], cols: [], values: [{ col: 'Sales', agg: 'sum' }] }, schema);
+  assert.deepEqual(p.rowKeys, [['North', 'A'], ['North', 'B'], ['South', 'A'], ['South', 'B']]);
+  assert.deepEqual(p.colKeys, ['']);
+  assert.deepEqual(p.value(['North', 'A'], ''), [130]);
+  assert.ok(isNaN(p.value(['South', 'B'], '')[0]), 'a cell without amounts has no sum');
+  assert.deepEqual(p.value(['North'], ''), [180]);
+  assert.deepEqual(p.value(['South'], ''), [200]);
+  assert.deepEqual(p.value([], ''), [380]);
+  assert.equal(p.value(['East'], ''), null);
+});
+
+test('column fields split every subtotal, the row total keeping the sum', ()=>{
+  const p = core.buildPivot(rows, { rows: [{ col: 'Region' }], cols: [{ col: 'Order Date', gran: 'quarter' }], values: [{ col: 'Sales', agg: 'sum' }, { col: '', agg: 'count' }] }, schema);
+  assert.deepEqual(p.colKeys, ['2024-Q1', '2024-Q2']);
+  assert.deepEqual(p.value(['North'], '2024-Q1'), [150, 2]);
+  assert.deepEqual(p.value(['North'], '2024-Q2'), [30, 1]);
+  assert.deepEqual(p.value(['North'], ''), [180, 3]);
+  assert.deepEqual(p.value([], '2024-Q1'), [350, 3]);
+  assert.deepEqual(p.value([], '2024-Q2'), [30, 2]);
+  assert.deepEqual(p.value([], ''), [380, 5]);
+});
+
+test('averages, extremes and distinct counts are taken over the subtotal, not its cells', ()=>{
+  const values = ['avg', 'min', 'max'].map(agg => ({ col: 'Sales', agg })).concat({ col: 'Customer', agg: 'distinct' });
+  const p = core.buildPivot(rows, { rows: [{ col: 'Region' }, { col: 'Product' }], cols: [], values }, schema);
+  assert.deepEqual(p.value(['North', 'A'], ''), [65, 30, 100, 1]);
+  assert.deepEqual(p.value(['North'], ''), [60, 30, 100, 2]);
+  assert.deepEqual(p.value([], ''), [95, 30, 200, 3], 'Ann counts once, the blank customer not at all');
+});
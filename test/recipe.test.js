@@ -0,0 +1,59 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { File } = require('buffer');
+
+globalThis.Papa = require('papaparse');
+const core = require('../core.js');
+
+const steps = [
+  { op: 'trim' },
+  { op: 'map', col: 'Region', values: { N: 'North' } },
+  { op: 'dedupe' },
+  { op: 'fill', col: 'Sales', method: 'median' },
+  { op: 'split', col: 'Code', sep: '-', into: ['Letter', 'Num'] },
+  { op: 'rename', col: 'Sales', to: 'Revenue' }
+];
+
+// a fresh load of the same file each time, as when a recipe is replayed on next month's upload
+function load(){
+  return core.loadDataset(new File([[
+    'Region,Sales,Code',
+    ' North ,10,A-1',
+    'N,,B-2',
+    ' North ,10,A-1',
+    'South,30,C-3'
+  ].join('\n')], 'sales.csv'));
+}
+
+test('a saved recipe replays its steps in order', async ()=>{
+  const t = core.applyRecipe(await load(), JSON.parse(JSON.stringify(steps)));
+  assert.deepEqual(t.errors.filter(Boolean), []);
+  assert.deepEqual(t.cols, ['Region', 'Revenue', 'Letter', 'Num']);
+  assert.deepEqual(t.rows.map(r => r.Region), ['North', 'North', 'South']);
+  assert.deepEqual(t.rows.map(r => Number(r.Revenue)), [10, 20, 30]);
+  assert.deepEqual(t.rows.map(r => r.Letter + r.Num), ['A1', 'B2', 'C3']);
+  assert.equal(t.schema.Revenue.type, 'number');
+  assert.equal(t.schema.Sales, undefined);
+});
+
+test('replaying leaves the input table as it was', async ()=>{
+  const input = await load();
+  core.applyRecipe(input, steps);
+  assert.deepEqual(input.rows, (await load()).rows);
+  assert.deepEqual(input.cols, ['Region', 'Sales', 'Code']);
+});
+
+test('a step that no longer fits is skipped and reported', async ()=>{
+  const t = core.applyRecipe(await load(), [{ op: 'trim' }, { op: 'rename', col: 'Nope', to: 'X' }, { op: 'dedupe' }]);
+  assert.equal(t.errors[0], undefined);
+  assert.equal(t.errors[1], 'Column "Nope" not found');
+  assert.equal(t.rows.length, 3);
+  assert.deepEqual(t.cols, ['Region', 'Sales', 'Code']);
+});
+
+test('a prefix of the steps gives the earlier state', async ()=>{
+  const t = core.applyRecipe(await load(), steps.slice(0, 2));
+  assert.equal(t.rows.length, 4);
+  assert.deepEqual(t.rows.map(r => r.Region), ['North', 'North', 'North', 'South']);
+});
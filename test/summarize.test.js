@@ -0,0 +1,57 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { File } = require('buffer');
+
+globalThis.Papa = require('papaparse');
+const core = require('../core.js');
+
+const loaded = core.loadDataset(new File([[
+  'Order_Date,Region,Product,Currency,Sales,Cost',
+  '2024-01-05,North,A,USD,100,60',
+  '2024-01-20,South,B,EUR,200,150',
+  '2024-02-03,North,B,USD,50,20',
+  '2024-02-14,South,A,EUR,80,50'
+].join('\n')], 'sales.csv'));
+
+test('summarize totals, series and top lists', async ()=>{
+  const data = await loaded;
+  const s = core.summarize(data, data.mapping, {}, { gran: 'month', top: 1 });
+  assert.equal(s.rows, 4);
+  assert.equal(s.kpis.revenue, 430);
+  assert.equal(s.kpis.orders, 4);
+  assert.deepEqual(s.series.labels, ['2024-01', '2024-02']);
+  assert.deepEqual(s.series.revenue, [300, 130]);
+  assert.deepEqual(s.top.products, [{ name: 'B', revenue: 250 }]);
+});
+
+test('summarize applies filters in their JSON form', async ()=>{
+  const data = await loaded;
+  const s = core.summarize(data, data.mapping, { from: '2024-02-01', values: { Region: ['South'] } });
+  assert.equal(s.rows, 1);
+  assert.equal(s.kpis.revenue, 80);
+});
+
+test('summarize converts amounts with fx', async ()=>{
+  const data = await loaded;
+  const rates = core.parseFxRates(['Code', 'Rate'], [{ Code: 'USD', Rate: '1' }, { Code: 'EUR', Rate: '1.1' }]);
+  const fx = { col: 'Currency', to: 'USD', rates, cols: ['Sales', 'Cost'] };
+  const s = core.summarize(data, data.mapping, {}, { fx });
+  assert.ok(Math.abs(s.kpis.revenue - (100 + 220 + 50 + 88)) < 1e-9);
+  assert.ok(Math.abs(s.top.regions[0].revenue - 308) < 1e-9);
+});
+
+test('summarize adds calculated columns that mapping, filters and measures can use', async ()=>{
+  const data = await loaded;
+  const formulas = {
+    columns: [{ name: 'Margin', formula: 'Sales - Cost' }, { name: 'Big', formula: 'IF(Margin > 40, "yes", "no")' }],
+    measures: [{ name: 'Avg margin', formula: 'AVG(Margin)' }, { name: 'Broken', formula: 'SUM(Sales) / 0' }]
+  };
+  const mapping = Object.assign({}, data.mapping, { product: 'Big' });
+  const s = core.summarize(data, mapping, { values: { Big: ['yes'] } }, { formulas });
+  assert.equal(s.rows, 1);
+  assert.deepEqual(s.top.products, [{ name: 'yes', revenue: 200 }]);
+  assert.deepEqual(s.measures, [{ name: 'Avg margin', value: 50 }, { name: 'Broken', value: null }]);
+  assert.equal(data.rows[0].Margin, undefined, 'the loaded rows are left as they are');
+  assert.throws(()=> core.summarize(data, data.mapping, {}, { formulas: { columns: [{ name: 'X', formula: 'Nope + 1' }] } }), /Calculated column "X": Unknown column "Nope"/);
+});
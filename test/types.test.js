@@ -0,0 +1,39 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../core.js');
+
+test('parseNumber reads symbols, negatives, percentages and suffixes', ()=>{
+  assert.equal(core.parseNumber('$1,200'), 1200);
+  assert.equal(core.parseNumber('€1.234,56', { decimal: ',', thousands: '.' }), 1234.56);
+  assert.equal(core.parseNumber('(450)'), -450);
+  assert.equal(core.parseNumber('12-'), -12);
+  assert.equal(core.parseNumber('-$5'), -5);
+  assert.equal(core.parseNumber('12%'), 0.12);
+  assert.equal(core.parseNumber('1.2k'), 1200);
+  assert.equal(core.parseNumber('₹ 5,00,000'), 500000);
+  assert.equal(core.parseNumber('1 234,5', { decimal: ',', thousands: ' ' }), 1234.5);
+  assert.equal(core.parseNumber(42), 42);
+  assert.ok(Number.isNaN(core.parseNumber('abc')));
+  assert.ok(Number.isNaN(core.parseNumber('')));
+});
+
+test('inferSchema types columns and detects their separators', ()=>{
+  const rows = [
+    { Amount: '€1.234,56', Rate: '12%', Net: '(450)', Region: 'North', Day: '2024-01-05', Qty: '1.2k' },
+    { Amount: '€99,00', Rate: '3.5%', Net: '1,200', Region: 'South', Day: '2024-02-01', Qty: '3' }
+  ];
+  const schema = core.inferSchema(Object.keys(rows[0]), rows);
+  assert.deepEqual(Object.keys(schema).map(c => schema[c].type), ['currency', 'percent', 'number', 'category', 'date', 'number']);
+  assert.equal(schema.Amount.currency, '€');
+  assert.deepEqual([schema.Amount.decimal, schema.Amount.thousands], [',', '.']);
+  assert.equal(core.cellNum(rows[0].Amount, schema.Amount), 1234.56);
+  assert.equal(core.cellNum(rows[1].Rate, schema.Rate), 0.035);
+});
+
+test('decimal commas are detected from the values alone', ()=>{
+  const rows = ['1.234,56', '99,5', '2.000,00'].map(x => ({ x }));
+  const cs = core.inferSchema(['x'], rows).x;
+  assert.deepEqual([cs.type, cs.decimal, cs.thousands], ['number', ',', '.']);
+  assert.deepEqual(rows.map(r => core.cellNum(r.x, cs)), [1234.56, 99.5, 2000]);
+});
@@ -0,0 +1,42 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { File } = require('buffer');
+
+globalThis.Papa = require('papaparse');
+const core = require('../core.js');
+
+test('quintile scores rank values 1–5, ties sharing a score', ()=>{
+  assert.deepEqual(core.quintileScores([10, 20, 30, 40, 50], true), [1, 2, 3, 4, 5]);
+  assert.deepEqual(core.quintileScores([10, 20, 30, 40, 50], false), [5, 4, 3, 2, 1]);
+  assert.deepEqual(core.quintileScores([5, 5, 5, 9, 1], true), [2, 2, 2, 5, 1]);
+});
+
+test('RFM segments follow recency and frequency scores', ()=>{
+  const cases = [[5, 5, 'Champions'], [1, 4, 'At risk'], [3, 5, 'Loyal'], [5, 1, 'New'], [3, 2, 'Potential'], [1, 1, 'Lost']];
+  for(const [r, f, segment] of cases) assert.equal(core.rfmSegment(r, f), segment, r + '/' + f);
+  assert.deepEqual(cases.map(c => c[2]).sort(), core.RFM_SEGMENTS.slice().sort(), 'every segment is reachable');
+});
+
+test('Pareto classes: A up to 80% of revenue, B up to 95%, C the rest', ()=>{
+  const items = [{ key: 'c', value: 10 }, { key: 'a', value: 50 }, { key: 'e', value: 4 }, { key: 'b', value: 30 }, { key: 'd', value: 6 }];
+  const out = core.paretoABC(items);
+  assert.deepEqual(out.map(x => x.key + x.cls), ['aA', 'bA', 'cB', 'dB', 'eC']);
+  assert.deepEqual(out.map(x => Math.round(x.cum * 100)), [50, 80, 90, 96, 100]);
+});
+
+test('revenue per customer over the filtered rows gives the top-N lists', async ()=>{
+  const data = await core.loadDataset(new File([[
+    'Customer,Region,Sales',
+    'Ann,North,100',
+    'Bo,South,250',
+    'Ann,North,200',
+    ',South,40',
+    'Cy,North,10'
+  ].join('\n')], 'sales.csv'));
+  const all = core.rowTotals(data.rows, 'Customer', ()=> true, data.mapping, data.schema);
+  assert.deepEqual(all, { Ann: 300, Bo: 250, Unknown: 40, Cy: 10 });
+  assert.deepEqual(core.topKeys(all, 2), ['Ann', 'Bo']);
+  const north = core.rowTotals(data.rows, 'Customer', r => r.Region === 'North', data.mapping, data.schema);
+  assert.deepEqual(core.topKeys(north, 5), ['Ann', 'Cy']);
+});
@@ -0,0 +1,43 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { File } = require('buffer');
+
+globalThis.Papa = require('papaparse');
+globalThis.JSZip = require('jszip');
+const core = require('../core.js');
+
+// a monthly archive: an image, one CSV per month and a lookup table
+const archive = (async ()=>{
+  const zip = new JSZip();
+  zip.file('logo.png', 'not a table');
+  zip.file('jan.csv', 'Order Date,Product Code,Sales\n2024-01-05,P1,100\n2024-01-06,P2,50\n');
+  zip.file('feb.csv', 'Order Date,Product Code,Sales\n2024-02-01,P1,70\n');
+  zip.file('products.csv', 'Product Code,Category,Sales\nP1,Toys,x\nP2,Books,y\n');
+  return new File([await zip.generateAsync({ type: 'nodebuffer' })], 'sales.zip');
+})();
+
+test('a ZIP without a plan loads its first data file', async ()=>{
+  const data = await core.loadDataset(await archive);
+  assert.deepEqual(data.cols, ['Order_Date', 'Product_Code', 'Sales']);
+  assert.deepEqual(data.rows.map(r => r.Sales), ['100', '50']);
+  assert.equal(data.mapping.sales, 'Sales');
+});
+
+test('appended files keep their rows in order with a source_file column', async ()=>{
+  const data = await core.loadDataset(await archive, { files: ['jan.csv', 'feb.csv'] });
+  assert.deepEqual(data.cols, ['Order_Date', 'Product_Code', 'Sales', 'source_file']);
+  assert.deepEqual(data.rows.map(r => [r.Sales, r.source_file]), [['100', 'jan.csv'], ['50', 'jan.csv'], ['70', 'feb.csv']]);
+});
+
+test('a lookup table is left-joined by its key, renaming clashing columns', async ()=>{
+  const data = await core.loadDataset(await archive, { files: ['jan.csv', 'feb.csv'], join: { file: 'products.csv', key: 'Product_Code' } });
+  assert.deepEqual(data.cols, ['Order_Date', 'Product_Code', 'Sales', 'source_file', 'Category', 'Sales_products']);
+  assert.deepEqual(data.rows.map(r => r.Category), ['Toys', 'Books', 'Toys']);
+  assert.deepEqual(data.rows.map(r => r.Sales), ['100', '50', '70']);
+});
+
+test('missing entries and join keys are reported', async ()=>{
+  await assert.rejects(core.loadDataset(await archive, { files: ['mar.csv'] }), /mar\.csv not found inside ZIP/);
+  await assert.rejects(core.loadDataset(await archive, { files: ['jan.csv'], join: { file: 'products.csv', key: 'Sku' } }), /Key column "Sku" not found in products\.csv/);
+});